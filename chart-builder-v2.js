@@ -4,19 +4,40 @@
  */
 
 import { DataManager } from './modules/data-manager.js';
-import { ChartRenderer } from './modules/chart-renderer.js';
-import { SpecBuilder } from './modules/spec-builder.js';
+import { DataWorkerClient } from './modules/data-worker-client.js';
+import { ChartRenderer, EXPORT_FORMATS } from './modules/chart-renderer.js';
+import { SpecBuilder, LINK_SELECTIONS, LINK_EFFECTS } from './modules/spec-builder.js';
+import { UIComponents, escapeHTML } from './modules/ui-components.js';
+import { DatasetRegistry } from './modules/dataset-registry.js';
+import { DataGrid } from './modules/data-grid.js';
 import embed from 'vega-embed';
 
 class ChartBuilderV2 {
     constructor() {
         this.dataManager = new DataManager();
+        this.dataWorker = new DataWorkerClient();
         this.chartRenderer = new ChartRenderer();
         this.specBuilder = new SpecBuilder();
+        this.uiComponents = new UIComponents();
         
+        this.datasets = new DatasetRegistry();
         this.currentData = null;
+        this.sourceData = null;
+        this.sourceName = null;
+        this.dataSource = null;
+        // The last file or URL loaded, re-read when the parsing options change
+        this.lastUpload = null;
+        this.columnTypes = {};
+        this.inferredTypes = {};
+        this.typeOverrides = {};
+        this.datasetSettings = new Map();
+        this.chartView = null;
         this.currentThread = 1;
         this.threads = new Map();
+        // Links between threads: { name, source, targets, selection, effect }
+        // with thread ids for source and targets
+        this.links = [];
+        this.nextLinkId = 1;
         this.fieldMappings = {
             x: null,
             y: null,
@@ -38,7 +59,7 @@ class ChartBuilderV2 {
         // Initialize first thread
         this.threads.set(1, {
             id: 1,
-            data: null,
+            dataset: null,
             mappings: { ...this.fieldMappings },
             chartType: 'bar',
             title: 'New Chart',
@@ -53,12 +74,28 @@ class ChartBuilderV2 {
         // Field selectors
         this.setupFieldSelectors();
         
+        // Chart type picker
+        document.getElementById('chart-type-select').addEventListener('change', (e) => {
+            this.setChartType(e.target.value);
+        });
+        
         // Natural language input
         this.setupNaturalLanguageInput();
         
+        // Data view
+        this.dataGrid = new DataGrid('data-grid-v2', {
+            height: 200,
+            onCellEdit: (row, column, text) => this.editCell(row, column, text),
+            onColumnRename: (column, newName) => this.renameColumn(column, newName),
+            parseDate: text => this.dataManager.parseDate(text)
+        });
+        
         // Thread management
         this.setupThreadManagement();
         
+        // Linked charts
+        this.setupLinkManager();
+        
         // Navigation
         this.setupNavigation();
     }
@@ -98,6 +135,30 @@ class ChartBuilderV2 {
                 this.handleFileUpload(e.dataTransfer.files[0]);
             }
         });
+
+        // Load from URL
+        const urlInput = document.getElementById('data-url-v2');
+        const loadURL = () => {
+            if (urlInput.value.trim()) {
+                this.loadFromURL(urlInput.value.trim());
+            }
+        };
+        document.getElementById('load-url-v2').addEventListener('click', loadURL);
+        urlInput.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') loadURL();
+        });
+
+        // Parsing profile, shared with the 1.0 builder's form
+        this.uiComponents.createParsingOptions('parsing-options-v2', this.dataManager.parsingProfile, {
+            onChange: () => {
+                if (!this.lastUpload) return;
+                if (this.lastUpload.url) {
+                    this.loadFromURL(this.lastUpload.url);
+                } else {
+                    this.handleFileUpload(this.lastUpload.file);
+                }
+            }
+        });
     }
 
     setupFieldSelectors() {
@@ -113,6 +174,19 @@ class ChartBuilderV2 {
         });
     }
 
+    /**
+     * Change the chart type of the current thread
+     */
+    setChartType(chartType) {
+        const thread = this.threads.get(this.currentThread);
+        thread.chartType = chartType;
+        document.getElementById('chart-type-select').value = chartType;
+
+        this.updateChart();
+        this.updateThreadPreview(this.currentThread);
+        this.updateStatus(`Thread ${this.currentThread} is now a ${chartType} chart`);
+    }
+
     setupNaturalLanguageInput() {
         const nlTextarea = document.getElementById('nl-instructions');
         const generateBtn = document.querySelector('.nl-submit-btn');
@@ -170,25 +244,108 @@ class ChartBuilderV2 {
     }
 
     async handleFileUpload(file) {
+        this.lastUpload = { file };
         this.updateStatus('Loading data...');
+        const progressBar = this.uiComponents.createProgressBar('upload-progress-v2', 0, `Parsing ${file.name}...`);
         
         try {
-            const data = await this.dataManager.parseFile(file);
-            this.loadData(data, file.name);
-            this.updateStatus(`Loaded ${data.length} rows from ${file.name}`);
+            const { data, issues, columnTypes, quality } = await this.dataWorker.parseFile(file, {
+                profile: this.dataManager.parsingProfile,
+                qualityReport: true,
+                onProgress: ({ progress, stage }) => {
+                    this.uiComponents.updateProgressBar(progressBar, Math.round(progress * 100),
+                        `${stage} ${file.name}...`);
+                }
+            });
+            this.loadData(data, file.name, columnTypes, { type: 'file', fileName: file.name }, quality);
+
+            this.updateStatus(`Loaded ${data.length} rows from ${file.name}` +
+                (issues.length > 0 ? ` (${issues.length} parse issues, see the data quality report)` : ''));
         } catch (error) {
+            // A newer upload replaced this one while it was still parsing
+            if (error.name === 'AbortError') return;
+
             console.error('Error loading file:', error);
             this.updateStatus(`Error loading file: ${error.message}`);
+        } finally {
+            progressBar.remove();
         }
     }
 
-    loadData(data, sourceName) {
-        this.currentData = data;
-        
-        // Update current thread
+    async loadFromURL(url) {
+        this.lastUpload = { url };
+        this.updateStatus(`Loading ${url}...`);
+        const progressBar = this.uiComponents.createProgressBar('upload-progress-v2', 0, `Downloading ${url}...`);
+
+        try {
+            const result = await this.dataWorker.loadFromURL(url, {
+                profile: this.dataManager.parsingProfile,
+                qualityReport: true,
+                onProgress: ({ progress, stage }) => {
+                    this.uiComponents.updateProgressBar(progressBar, Math.round(progress * 100),
+                        `${stage} ${url}...`);
+                }
+            });
+            const { data, issues, columnTypes } = result;
+
+            this.loadData(data, url, columnTypes, {
+                type: 'url',
+                url,
+                format: result.format,
+                ...(result.recordPath ? { recordPath: result.recordPath } : {})
+            }, result.quality);
+
+            this.updateStatus(`Loaded ${data.length} rows from ${url}` +
+                (issues.length > 0 ? ` (${issues.length} parse issues, see the data quality report)` : ''));
+        } catch (error) {
+            if (error.name === 'AbortError') return;
+
+            console.error('Error loading URL:', error);
+            this.updateStatus(`Error loading ${url}: ${error.message}`);
+        } finally {
+            progressBar.remove();
+        }
+    }
+
+    /**
+     * Register a dataset, replacing one of the same name, and chart it in
+     * the current thread. quality is the data quality report of a parsed
+     * file or URL, listing its parse issues.
+     */
+    loadData(data, sourceName, columnTypes, source = null, quality = null) {
+        this.datasets.add(sourceName, data, {
+            columnTypes: columnTypes || this.dataManager.inferColumnTypes(data),
+            source,
+            quality: quality && { ...quality, dataset: sourceName }
+        });
+
         const thread = this.threads.get(this.currentThread);
-        thread.data = data;
-        thread.sourceName = sourceName;
+        thread.dataset = sourceName;
+        this.showDataset(sourceName);
+        
+        // Auto-suggest mappings based on data
+        this.suggestFieldMappings(this.currentData);
+    }
+
+    /**
+     * Make a registered dataset the one shown in the data panels
+     */
+    showDataset(name) {
+        const dataset = this.datasets.get(name);
+        if (!dataset) {
+            throw new Error(`Unknown dataset: ${name}`);
+        }
+
+        this.sourceData = dataset.data;
+        this.sourceName = name;
+        this.inferredTypes = dataset.columnTypes;
+        this.dataSource = dataset.source && dataset.source.type === 'url' ? dataset.source : null;
+
+        // Restore type overrides made earlier for this dataset
+        const settings = this.datasetSettings.get(name);
+        this.typeOverrides = settings ? { ...settings.typeOverrides } : {};
+        this.applyTypeOverrides();
+        const data = this.currentData;
         
         // Populate field selectors
         this.populateFieldSelectors(data);
@@ -198,15 +355,102 @@ class ChartBuilderV2 {
         
         // Update data fields panel
         this.updateDataFieldsPanel(data);
-        
-        // Auto-suggest mappings based on data
-        this.suggestFieldMappings(data);
+        this.profiledField = null;
+        document.getElementById('field-profile').innerHTML = '';
+
+        this.renderQualityReport(dataset.quality);
+        this.renderDatasetSwitcher();
+    }
+
+    renderQualityReport(report) {
+        const container = document.getElementById('quality-report-v2');
+        container.innerHTML = '';
+        if (!report) return;
+
+        this.uiComponents.createQualityReport(container, report, {
+            onDownload: () => this.downloadQualityReport(report)
+        });
+    }
+
+    downloadQualityReport(report) {
+        const blob = new Blob([JSON.stringify(report, null, 2)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = `data-quality-${Date.now()}.json`;
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+        URL.revokeObjectURL(url);
+    }
+
+    renderDatasetSwitcher() {
+        document.getElementById('datasets-section-v2').style.display = this.datasets.size > 0 ? 'block' : 'none';
+
+        this.uiComponents.createDatasetSwitcher('dataset-switcher-v2', this.datasets.list(), this.sourceName, {
+            onSelect: name => this.switchDataset(name),
+            onRemove: name => this.removeDataset(name)
+        });
+    }
+
+    /**
+     * Point the current thread at another dataset, keeping the mappings
+     * whose fields it also has
+     */
+    switchDataset(name) {
+        const thread = this.threads.get(this.currentThread);
+        thread.dataset = name;
+        this.showDataset(name);
+
+        Object.entries(this.fieldMappings).forEach(([encoding, mapping]) => {
+            const kept = mapping && mapping.column in this.columnTypes;
+            this.fieldMappings[encoding] = kept ? { ...mapping, type: this.columnTypes[mapping.column] } : null;
+        });
+        this.syncFieldSelectors();
+
+        if (!this.fieldMappings.x || !this.fieldMappings.y) {
+            this.suggestFieldMappings(this.currentData);
+        }
+        thread.mappings = { ...this.fieldMappings };
+
+        this.updateChart();
+        this.updateThreadPreview(this.currentThread);
+        this.updateStatus(`Thread ${this.currentThread} now uses ${name}`);
+    }
+
+    /**
+     * Forget a dataset; threads that used it are left without data
+     */
+    removeDataset(name) {
+        if (!confirm(`Remove ${name}? Threads using it will need another dataset.`)) return;
+
+        this.datasets.remove(name);
+        this.datasetSettings.delete(name);
+        this.threads.forEach(thread => {
+            if (thread.dataset === name) thread.dataset = null;
+        });
+
+        if (name === this.sourceName) {
+            this.sourceData = null;
+            this.sourceName = null;
+            this.currentData = null;
+            this.dataSource = null;
+            this.columnTypes = {};
+            this.populateFieldSelectors([]);
+            this.updateDataView(null);
+            document.getElementById('data-fields').innerHTML = '';
+            document.getElementById('field-profile').innerHTML = '';
+            this.renderQualityReport(null);
+            this.showChartPlaceholder();
+        }
+
+        this.renderDatasetSwitcher();
+        this.updateStatus(`Removed ${name}`);
     }
 
     populateFieldSelectors(data) {
-        if (!data || data.length === 0) return;
-        
-        const columns = Object.keys(data[0]);
+        const columns = Object.keys((data && data[0]) || {});
         const selectors = ['x-axis-select', 'y-axis-select', 'detail-select', 'color-select', 'opacity-select'];
         
         selectors.forEach(selectorId => {
@@ -231,7 +475,7 @@ class ChartBuilderV2 {
         dataFieldsContainer.innerHTML = '';
         
         columns.forEach(column => {
-            const type = this.dataManager.inferColumnType(data, column);
+            const type = this.columnTypes[column];
             const fieldItem = document.createElement('div');
             fieldItem.className = 'field-item';
             fieldItem.draggable = true;
@@ -245,7 +489,21 @@ class ChartBuilderV2 {
                     <span class="field-name">${column}</span>
                     <span class="field-type">${typeIcon}</span>
                 </div>
+                <select class="field-type-select ${this.typeOverrides[column] ? 'overridden' : ''}" title="Field type">
+                    ${['quantitative', 'temporal', 'ordinal', 'nominal'].map(t => 
+                        `<option value="${t}" ${t === type ? 'selected' : ''}>${t}${t === this.inferredTypes[column] ? ' (auto)' : ''}</option>`
+                    ).join('')}
+                </select>
             `;
+
+            fieldItem.querySelector('.field-type-select').addEventListener('change', (e) => {
+                this.setColumnType(column, e.target.value);
+            });
+
+            fieldItem.addEventListener('click', (e) => {
+                if (e.target.closest('.field-type-select')) return;
+                this.showFieldProfile(column);
+            });
             
             // Add drag functionality
             this.addDragFunctionality(fieldItem);
@@ -254,6 +512,87 @@ class ChartBuilderV2 {
         });
     }
 
+    /**
+     * Show summary statistics for a field, computed in the data worker
+     */
+    async showFieldProfile(column) {
+        this.profiledField = column;
+
+        try {
+            const stats = await this.dataWorker.getColumnStats(this.currentData, column, this.columnTypes[column]);
+
+            // Ignore stale results if another field was picked meanwhile
+            if (this.profiledField !== column) return;
+
+            this.uiComponents.createColumnProfile('field-profile', column, stats, {
+                onClose: () => { this.profiledField = null; }
+            });
+        } catch (error) {
+            console.error('Error profiling field:', error);
+            this.updateStatus(`Error profiling ${column}: ${error.message}`);
+        }
+    }
+
+    /**
+     * Override the inferred type of a field. Choosing the inferred type
+     * again removes the override.
+     */
+    setColumnType(column, type) {
+        if (type === this.inferredTypes[column]) {
+            delete this.typeOverrides[column];
+        } else {
+            this.typeOverrides[column] = type;
+        }
+
+        this.datasetSettings.set(this.sourceName, { typeOverrides: { ...this.typeOverrides } });
+        this.applyTypeOverrides();
+
+        const thread = this.threads.get(this.currentThread);
+
+        // Keep existing mappings in sync with the new type
+        Object.values(this.fieldMappings).forEach(mapping => {
+            if (mapping && mapping.column === column) {
+                mapping.type = this.columnTypes[column];
+            }
+        });
+        thread.mappings = { ...this.fieldMappings };
+
+        this.updateDataView(this.currentData);
+        this.updateDataFieldsPanel(this.currentData);
+        if (this.profiledField === column) {
+            this.showFieldProfile(column);
+        }
+        this.updateChart();
+        this.updateStatus(`${column} is now treated as ${this.columnTypes[column]}`);
+    }
+
+    /**
+     * Derive the charted data and field types from the source data and
+     * the current type overrides
+     */
+    applyTypeOverrides() {
+        this.currentData = this.dataManager.applyTypeOverrides(this.sourceData, this.typeOverrides);
+        this.columnTypes = { ...this.inferredTypes, ...this.typeOverrides };
+    }
+
+    /**
+     * Dataset details recorded in the full specification. Hand-edited
+     * data, or data read with custom parsing options, can't be re-created
+     * from its URL, so it stays inline.
+     */
+    getDatasetSpec() {
+        const edited = this.datasets.get(this.sourceName).edited;
+        const reproducible = !edited && this.dataManager.isDefaultProfile(this.dataManager.parsingProfile);
+        return {
+            name: this.sourceName,
+            ...(this.dataSource && reproducible ? { source: this.dataSource } : {}),
+            parsing: {
+                profile: this.dataManager.parsingProfile,
+                typeOverrides: this.typeOverrides
+            }
+        };
+    }
+
     getTypeIcon(type) {
         const icons = {
             quantitative: '📊',
@@ -284,12 +623,8 @@ class ChartBuilderV2 {
         const columns = Object.keys(data[0]);
         
         // Auto-suggest x-axis (first temporal or nominal column)
-        const temporalCol = columns.find(col => 
-            this.dataManager.inferColumnType(data, col) === 'temporal'
-        );
-        const nominalCol = columns.find(col => 
-            this.dataManager.inferColumnType(data, col) === 'nominal'
-        );
+        const temporalCol = columns.find(col => this.columnTypes[col] === 'temporal');
+        const nominalCol = columns.find(col => this.columnTypes[col] === 'nominal');
         
         if (temporalCol) {
             document.getElementById('x-axis-select').value = temporalCol;
@@ -300,9 +635,7 @@ class ChartBuilderV2 {
         }
         
         // Auto-suggest y-axis (first quantitative column)
-        const quantCol = columns.find(col => 
-            this.dataManager.inferColumnType(data, col) === 'quantitative'
-        );
+        const quantCol = columns.find(col => this.columnTypes[col] === 'quantitative');
         
         if (quantCol) {
             document.getElementById('y-axis-select').value = quantCol;
@@ -314,8 +647,8 @@ class ChartBuilderV2 {
         if (!field) {
             this.fieldMappings[encoding] = null;
         } else {
-            const type = this.dataManager.inferColumnType(this.currentData, field);
-            this.fieldMappings[encoding] = { field, type };
+            const type = this.columnTypes[field];
+            this.fieldMappings[encoding] = { column: field, type };
         }
         
         // Update current thread
@@ -330,24 +663,33 @@ class ChartBuilderV2 {
     }
 
     async updateChart() {
-        if (!this.currentData || !this.fieldMappings.x || !this.fieldMappings.y) {
+        // A thread whose dataset was removed has nothing to chart
+        const thread = this.threads.get(this.currentThread);
+        if (!this.currentData || thread.dataset !== this.sourceName || !this.hasRequiredMappings()) {
             this.showChartPlaceholder();
             return;
         }
+
+        const group = this.getLinkedCharts(this.currentThread);
+        if (group) {
+            await this.renderLinkedCharts(group);
+            return;
+        }
         
         try {
             const spec = this.specBuilder.buildSpec({
                 data: this.currentData,
-                chartType: 'bar', // Default for now
+                chartType: thread.chartType,
                 mappings: this.fieldMappings,
                 config: { width: 500, height: 300, title: 'Generated Chart' }
             });
             
-            await embed('#chart-container-v2', spec, {
+            const result = await embed('#chart-container-v2', spec, {
                 theme: 'quartz',
                 renderer: 'svg',
                 actions: false
             });
+            this.chartView = result.view;
             
         } catch (error) {
             console.error('Error updating chart:', error);
@@ -355,7 +697,40 @@ class ChartBuilderV2 {
         }
     }
 
+    /**
+     * Show the linked threads together; a selection in a source chart
+     * filters or highlights its targets
+     */
+    async renderLinkedCharts({ charts, links }) {
+        try {
+            const spec = this.specBuilder.buildLinkedSpec({
+                data: this.currentData,
+                charts,
+                links,
+                config: { width: 1000, height: 300 * Math.ceil(charts.length / 2), title: 'Linked Charts' }
+            });
+
+            const result = await embed('#chart-container-v2', spec, {
+                theme: 'quartz',
+                renderer: 'svg',
+                actions: false
+            });
+            this.chartView = result.view;
+
+            links.forEach(link => {
+                result.view.addSignalListener(link.name, (_, value) => {
+                    const text = this.chartRenderer.describeSelection(value, link.selection === 'brush');
+                    this.updateStatus(text ? `${link.name}: ${text}` : `${link.name} cleared`);
+                });
+            });
+        } catch (error) {
+            console.error('Error rendering linked charts:', error);
+            this.showChartPlaceholder('Error rendering linked charts');
+        }
+    }
+
     showChartPlaceholder(message) {
+        this.chartView = null;
         const container = document.getElementById('chart-container-v2');
         container.innerHTML = `
             <div class="chart-placeholder-v2">
@@ -369,30 +744,71 @@ class ChartBuilderV2 {
     }
 
     updateDataView(data) {
-        const rowCount = document.getElementById('row-count');
-        const tableHead = document.getElementById('data-table-head-v2');
-        const tableBody = document.getElementById('data-table-body-v2');
-        
-        if (!data || data.length === 0) {
-            rowCount.textContent = '0 rows';
-            tableHead.innerHTML = '';
-            tableBody.innerHTML = '';
+        document.getElementById('row-count').textContent = `${data ? data.length : 0} rows`;
+        this.dataGrid.setData(data || [], { columnTypes: this.columnTypes });
+    }
+
+    /**
+     * Store an edited cell in the dataset and redraw the chart
+     */
+    editCell(rowIndex, column, text) {
+        this.sourceData[rowIndex][column] = this.dataManager.parseValue(text, undefined, column);
+        this.datasets.get(this.sourceName).edited = true;
+
+        this.applyTypeOverrides();
+        this.updateDataView(this.currentData);
+        if (this.profiledField === column) {
+            this.showFieldProfile(column);
+        }
+        this.updateChart();
+        this.updateStatus(`Updated ${column} in row ${rowIndex + 1}`);
+    }
+
+    /**
+     * Rename a dataset field, along with its type override and the
+     * mappings of every thread using the dataset
+     */
+    renameColumn(column, newName) {
+        if (newName in this.columnTypes) {
+            this.updateStatus(`A field named "${newName}" already exists`);
+            this.updateDataView(this.currentData);
             return;
         }
-        
-        rowCount.textContent = `${data.length} rows`;
-        
-        const columns = Object.keys(data[0]);
-        
-        // Render header
-        tableHead.innerHTML = `<tr>${columns.map(col => `<th>${col}</th>`).join('')}</tr>`;
-        
-        // Render first 5 rows
-        const rows = data.slice(0, 5).map(row => 
-            `<tr>${columns.map(col => `<td>${row[col] || ''}</td>`).join('')}</tr>`
-        ).join('');
-        
-        tableBody.innerHTML = rows;
+
+        const dataset = this.datasets.get(this.sourceName);
+        const renameKey = object => Object.fromEntries(Object.entries(object)
+            .map(([key, value]) => [key === column ? newName : key, value]));
+
+        dataset.data = this.dataManager.renameColumn(this.sourceData, column, newName);
+        dataset.columnTypes = renameKey(dataset.columnTypes);
+        dataset.edited = true;
+        this.sourceData = dataset.data;
+        this.inferredTypes = dataset.columnTypes;
+        this.typeOverrides = renameKey(this.typeOverrides);
+        this.datasetSettings.set(this.sourceName, { typeOverrides: { ...this.typeOverrides } });
+
+        this.threads.forEach(thread => {
+            if (thread.dataset !== this.sourceName) return;
+            Object.values(thread.mappings).forEach(mapping => {
+                if (mapping && mapping.column === column) mapping.column = newName;
+            });
+        });
+        Object.values(this.fieldMappings).forEach(mapping => {
+            if (mapping && mapping.column === column) mapping.column = newName;
+        });
+        if (this.profiledField === column) {
+            this.profiledField = newName;
+        }
+
+        this.applyTypeOverrides();
+        this.populateFieldSelectors(this.currentData);
+        this.syncFieldSelectors();
+        this.updateDataView(this.currentData);
+        this.updateDataFieldsPanel(this.currentData);
+        this.renderDatasetSwitcher();
+        this.updateChart();
+        this.updateThreadPreview(this.currentThread);
+        this.updateStatus(`Renamed ${column} to ${newName}`);
     }
 
     processNaturalLanguageInput(instructions) {
@@ -427,9 +843,7 @@ class ChartBuilderV2 {
     findFieldByType(type) {
         if (!this.currentData) return null;
         const columns = Object.keys(this.currentData[0]);
-        return columns.find(col => 
-            this.dataManager.inferColumnType(this.currentData, col) === type
-        );
+        return columns.find(col => this.columnTypes[col] === type);
     }
 
     findFieldByKeywords(keywords) {
@@ -445,9 +859,9 @@ class ChartBuilderV2 {
         
         this.threads.set(newId, {
             id: newId,
-            data: this.currentData,
+            dataset: this.sourceName,
             mappings: { ...this.fieldMappings },
-            chartType: 'bar',
+            chartType: this.threads.get(this.currentThread).chartType,
             title: `Thread ${newId}`,
             nlInstructions: ''
         });
@@ -486,20 +900,32 @@ class ChartBuilderV2 {
         
         document.querySelector(`[data-thread="${threadId}"]`).classList.add('active');
         
-        // Load thread data
+        // Load the thread's dataset by name; threads share the registry's rows
         const thread = this.threads.get(threadId);
         this.currentThread = threadId;
-        this.fieldMappings = { ...thread.mappings };
+        if (thread.dataset && thread.dataset !== this.sourceName) {
+            this.showDataset(thread.dataset);
+        }
+
+        // Types may have been overridden since the thread was last shown
+        this.fieldMappings = Object.fromEntries(Object.entries(thread.mappings).map(([encoding, mapping]) =>
+            [encoding, mapping && { ...mapping, type: this.columnTypes[mapping.column] || mapping.type }]));
+        this.syncFieldSelectors();
+        document.getElementById('chart-type-select').value = thread.chartType;
         
-        // Update selectors
+        this.updateChart();
+    }
+
+    /**
+     * Show the current mappings in the encoding selectors
+     */
+    syncFieldSelectors() {
         Object.entries(this.fieldMappings).forEach(([encoding, mapping]) => {
             const select = document.getElementById(`${encoding === 'x' ? 'x-axis' : encoding}-select`);
-            if (select && mapping) {
-                select.value = mapping.field;
+            if (select) {
+                select.value = mapping ? mapping.column : '';
             }
         });
-        
-        this.updateChart();
     }
 
     updateThreadPreview(threadId) {
@@ -510,24 +936,69 @@ class ChartBuilderV2 {
         const chips = Object.entries(this.fieldMappings)
             .filter(([_, mapping]) => mapping)
             .map(([encoding, mapping]) => 
-                `<div class="field-chip ${encoding}-field">${mapping.field} ×</div>`
+                `<div class="field-chip ${encoding}-field">${mapping.column} ×</div>`
             ).join('');
         
-        description.innerHTML = chips || '<div class="field-chip">Configure mappings</div>';
+        const chartType = `<div class="field-chip">${this.threads.get(threadId).chartType}</div>`;
+        description.innerHTML = chips ? chartType + chips : '<div class="field-chip">Configure mappings</div>';
     }
 
+    /**
+     * Whether the mapped channels are enough to draw the thread's chart type
+     */
+    hasRequiredMappings() {
+        return this.specBuilder.hasRequiredMappings(this.threads.get(this.currentThread).chartType, this.fieldMappings);
+    }
+
+    /**
+     * Ask for a format, then download the current chart as a JSON
+     * specification, an image or a PDF
+     */
     exportCurrentChart() {
-        if (!this.currentData || !this.fieldMappings.x || !this.fieldMappings.y) {
+        if (!this.currentData || !this.hasRequiredMappings()) {
             alert('Please configure chart mappings before exporting');
             return;
         }
-        
-        const fullSpec = this.specBuilder.buildFullSpec({
-            data: this.currentData,
-            chartType: 'bar',
-            mappings: this.fieldMappings,
-            config: { title: 'Exported Chart', width: 600, height: 400 }
+
+        this.uiComponents.createDownloadDialog('export-dialog-v2', {
+            formats: { json: { label: 'JSON specification' }, ...EXPORT_FORMATS },
+            filename: `chart-builder-v2-${Date.now()}`,
+            onDownload: async (settings) => {
+                if (settings.format === 'json') {
+                    this.exportSpecification(settings.filename);
+                    return;
+                }
+                if (!this.chartView) {
+                    throw new Error('The chart has not been drawn yet');
+                }
+                await this.chartRenderer.exportChart(settings.format, { ...settings, view: this.chartView });
+                this.updateStatus(`Chart downloaded as ${settings.filename}`);
+            }
         });
+        this.uiComponents.showModal('export-dialog-v2');
+    }
+
+    /**
+     * Download the current chart's full specification
+     */
+    exportSpecification(filename) {
+        // Linked threads export together, keeping their named selections
+        const group = this.getLinkedCharts(this.currentThread);
+        const fullSpec = group
+            ? this.specBuilder.buildDashboardSpec({
+                data: this.currentData,
+                charts: group.charts,
+                links: group.links,
+                config: { title: 'Linked Charts', width: 1000, height: 300 * Math.ceil(group.charts.length / 2) },
+                dataset: this.getDatasetSpec()
+            })
+            : this.specBuilder.buildFullSpec({
+                data: this.currentData,
+                chartType: this.threads.get(this.currentThread).chartType,
+                mappings: this.fieldMappings,
+                config: { title: 'Exported Chart', width: 600, height: 400 },
+                dataset: this.getDatasetSpec()
+            });
         
         const blob = new Blob([JSON.stringify(fullSpec, null, 2)], 
             { type: 'application/json' });
@@ -535,13 +1006,245 @@ class ChartBuilderV2 {
         
         const a = document.createElement('a');
         a.href = url;
-        a.download = `chart-builder-v2-${Date.now()}.json`;
+        a.download = filename;
         document.body.appendChild(a);
         a.click();
         document.body.removeChild(a);
         URL.revokeObjectURL(url);
         
-        this.updateStatus('Chart exported successfully');
+        this.updateStatus(group ? `Exported ${group.charts.length} linked charts` : 'Chart exported successfully');
+    }
+
+    setupLinkManager() {
+        document.getElementById('add-link').addEventListener('click', () => this.openLinkEditor());
+
+        document.getElementById('link-list').addEventListener('click', (e) => {
+            const edit = e.target.closest('[data-edit-link]');
+            const remove = e.target.closest('[data-remove-link]');
+            if (edit) {
+                this.openLinkEditor(this.links.find(link => link.name === edit.dataset.editLink));
+            } else if (remove) {
+                this.removeLink(remove.dataset.removeLink);
+            }
+        });
+    }
+
+    getThreadLabel(threadId) {
+        return `thread - ${threadId}`;
+    }
+
+    /**
+     * Threads that can be linked: those charting the current dataset
+     */
+    getLinkableThreads() {
+        return [...this.threads.values()].filter(thread => this.sourceName && thread.dataset === this.sourceName);
+    }
+
+    /**
+     * A thread as a chart of a linked view, with types as currently set
+     */
+    buildThreadChart(thread) {
+        const mappings = thread.id === this.currentThread ? this.fieldMappings : thread.mappings;
+        return {
+            id: `thread-${thread.id}`,
+            title: this.getThreadLabel(thread.id),
+            chartType: thread.chartType,
+            mappings: Object.fromEntries(Object.entries(mappings).map(([encoding, mapping]) =>
+                [encoding, mapping && { ...mapping, type: this.columnTypes[mapping.column] || mapping.type }]))
+        };
+    }
+
+    /**
+     * The charts and links connected to a thread through links, as
+     * SpecBuilder.buildLinkedSpec takes them, or null when the thread isn't
+     * linked. Threads without a drawable chart of the current dataset and
+     * links their source chart can't select on are left out.
+     */
+    getLinkedCharts(threadId) {
+        const drawable = new Map(this.getLinkableThreads()
+            .map(thread => this.buildThreadChart(thread))
+            .filter(chart => this.specBuilder.hasRequiredMappings(chart.chartType, chart.mappings))
+            .map(chart => [chart.id, chart]));
+
+        const usable = this.links
+            .map(link => ({
+                ...link,
+                source: `thread-${link.source}`,
+                targets: link.targets.map(target => `thread-${target}`).filter(target => drawable.has(target))
+            }))
+            .filter(link => {
+                const source = drawable.get(link.source);
+                return source && link.targets.length > 0 &&
+                    this.specBuilder.getLinkSelections(source.chartType, source.mappings).includes(link.selection);
+            });
+
+        // Follow links in both directions from the thread
+        const ids = new Set([`thread-${threadId}`]);
+        let grown = true;
+        while (grown) {
+            grown = false;
+            usable.forEach(link => {
+                const members = [link.source, ...link.targets];
+                if (members.some(id => ids.has(id)) && members.some(id => !ids.has(id))) {
+                    members.forEach(id => ids.add(id));
+                    grown = true;
+                }
+            });
+        }
+
+        const links = usable.filter(link => ids.has(link.source));
+        if (links.length === 0) return null;
+
+        return {
+            charts: [...drawable.values()].filter(chart => ids.has(chart.id)),
+            links
+        };
+    }
+
+    /**
+     * Show the form for a new link, or for editing an existing one
+     */
+    openLinkEditor(link = null) {
+        const threads = this.getLinkableThreads();
+        if (threads.length < 2) {
+            alert('Linking needs at least two threads charting the same dataset');
+            return;
+        }
+
+        const editor = document.getElementById('link-editor');
+        const source = link ? link.source : this.currentThread;
+        const options = (entries, selected) => Object.entries(entries)
+            .map(([key, { label }]) => `<option value="${key}" ${key === selected ? 'selected' : ''}>${label}</option>`)
+            .join('');
+
+        editor.innerHTML = `
+            <div class="encoding-row">
+                <label class="encoding-label">name</label>
+                <input class="link-name-input" id="link-name" value="${link ? escapeHTML(link.name) : `link_${this.nextLinkId}`}"
+                    title="Name of the shared selection in the exported spec">
+            </div>
+            <div class="encoding-row">
+                <label class="encoding-label">source</label>
+                <select class="field-select" id="link-source">
+                    ${threads.map(thread => `<option value="${thread.id}" ${thread.id === source ? 'selected' : ''}>${this.getThreadLabel(thread.id)}</option>`).join('')}
+                </select>
+            </div>
+            <div class="encoding-row">
+                <label class="encoding-label">selection</label>
+                <select class="field-select" id="link-selection">${options(LINK_SELECTIONS, link ? link.selection : 'brush')}</select>
+            </div>
+            <div class="encoding-row">
+                <label class="encoding-label">effect</label>
+                <select class="field-select" id="link-effect">${options(LINK_EFFECTS, link ? link.effect : 'filter')}</select>
+            </div>
+            <div class="encoding-row">
+                <label class="encoding-label">targets</label>
+                <div class="link-targets">
+                    ${threads.map(thread => `
+                        <label>
+                            <input type="checkbox" value="${thread.id}" ${link && link.targets.includes(thread.id) ? 'checked' : ''}>
+                            ${this.getThreadLabel(thread.id)}
+                        </label>
+                    `).join('')}
+                </div>
+            </div>
+            <div class="link-editor-actions">
+                <button class="link-add-btn" id="link-cancel">Cancel</button>
+                <button class="nl-submit-btn" id="link-save">${link ? 'Update link' : 'Link'}</button>
+            </div>
+        `;
+        editor.style.display = 'block';
+
+        // A chart doesn't target itself
+        const sourceSelect = editor.querySelector('#link-source');
+        const syncTargets = () => {
+            editor.querySelectorAll('.link-targets input').forEach(input => {
+                input.disabled = input.value === sourceSelect.value;
+                if (input.disabled) input.checked = false;
+            });
+        };
+        sourceSelect.addEventListener('change', syncTargets);
+        syncTargets();
+
+        editor.querySelector('#link-cancel').addEventListener('click', () => this.closeLinkEditor());
+        editor.querySelector('#link-save').addEventListener('click', () => this.saveLink(link));
+    }
+
+    closeLinkEditor() {
+        const editor = document.getElementById('link-editor');
+        editor.innerHTML = '';
+        editor.style.display = 'none';
+    }
+
+    /**
+     * Store the link described by the editor, replacing the edited one
+     */
+    saveLink(previous) {
+        const editor = document.getElementById('link-editor');
+        const link = {
+            name: editor.querySelector('#link-name').value.trim(),
+            source: parseInt(editor.querySelector('#link-source').value),
+            targets: [...editor.querySelectorAll('.link-targets input:checked')].map(input => parseInt(input.value)),
+            selection: editor.querySelector('#link-selection').value,
+            effect: editor.querySelector('#link-effect').value
+        };
+
+        const source = this.buildThreadChart(this.threads.get(link.source));
+        if (!this.specBuilder.getLinkSelections(source.chartType, source.mappings).includes(link.selection)) {
+            const needs = link.selection === 'brush' ? 'an unaggregated numeric or date axis' : 'a category on x, y or color';
+            alert(`${this.getThreadLabel(link.source)} can't be the source of this link: its chart needs ${needs}`);
+            return;
+        }
+
+        const links = this.links.filter(existing => existing !== previous);
+        try {
+            this.specBuilder.validateLinks(
+                this.getLinkableThreads().map(thread => ({ id: thread.id })),
+                [...links, link]
+            );
+        } catch (error) {
+            alert(error.message);
+            return;
+        }
+
+        this.links = [...links, link];
+        if (!previous) this.nextLinkId++;
+
+        this.closeLinkEditor();
+        this.renderLinks();
+        this.updateChart();
+        this.updateStatus(`Linked ${this.getThreadLabel(link.source)} to ${link.targets.map(target => this.getThreadLabel(target)).join(', ')}`);
+    }
+
+    removeLink(name) {
+        this.links = this.links.filter(link => link.name !== name);
+        this.renderLinks();
+        this.updateChart();
+        this.updateStatus(`Removed link ${name}`);
+    }
+
+    /**
+     * List the links and mark the linked threads in the thread list
+     */
+    renderLinks() {
+        const effects = { filter: 'filters', highlight: 'highlights' };
+
+        document.getElementById('link-list').innerHTML = this.links.map(link => `
+            <li class="link-item">
+                <span class="link-summary">
+                    <code>${escapeHTML(link.name)}</code>:
+                    ${link.selection === 'brush' ? 'brushing' : 'clicking'} ${this.getThreadLabel(link.source)}
+                    ${effects[link.effect]} ${link.targets.map(target => this.getThreadLabel(target)).join(', ')}
+                </span>
+                <button data-edit-link="${escapeHTML(link.name)}" title="Edit link">✎</button>
+                <button data-remove-link="${escapeHTML(link.name)}" title="Remove link">×</button>
+            </li>
+        `).join('');
+
+        const linked = new Set(this.links.flatMap(link => [link.source, ...link.targets]));
+        document.querySelectorAll('.thread-item').forEach(item => {
+            item.classList.toggle('linked', linked.has(parseInt(item.dataset.thread)));
+        });
     }
 
     activateStep(stepNumber) {
@@ -5,27 +5,63 @@
 
 // Import required modules
 import { DataManager } from './modules/data-manager.js';
+import { DataWorkerClient } from './modules/data-worker-client.js';
 import { DragDropManager } from './modules/drag-drop.js';
-import { ChartRenderer } from './modules/chart-renderer.js';
-import { SpecBuilder } from './modules/spec-builder.js';
-import { UIComponents } from './modules/ui-components.js';
+import { ChartRenderer, EXPORT_FORMATS } from './modules/chart-renderer.js';
+import { SpecBuilder, ENCODING_CHANNELS, AGGREGATES, TIME_UNITS, SORT_ORDERS, LAYER_TYPES, COMPOSITION_TYPES, DEFAULT_INTERACTIONS, UNAVAILABLE_INTERACTIONS, SHAPE_CHARTS, getMappedFields } from './modules/spec-builder.js';
+import { UIComponents, escapeHTML } from './modules/ui-components.js';
+import { LargeDataReducer, DEFAULT_SAMPLE_SIZE } from './modules/large-data.js';
+import { DatasetRegistry } from './modules/dataset-registry.js';
+import { DataGrid } from './modules/data-grid.js';
+import { HTMLExporter, LIBRARY_MODES } from './modules/html-export.js';
+import { CodeGenerator, CODE_LANGUAGES } from './modules/code-generator.js';
+import { openInSandbox } from './modules/sandbox-handoff.js';
+import { TransformPipeline, FILTER_OPERATORS, DERIVE_OPERATORS, AGGREGATE_OPS, JOIN_TYPES } from './modules/transform-pipeline.js';
 
 class ChartBuilder {
     constructor() {
         this.dataManager = new DataManager();
+        this.dataWorker = new DataWorkerClient();
         this.dragDropManager = new DragDropManager();
         this.chartRenderer = new ChartRenderer();
+        this.htmlExporter = new HTMLExporter();
         this.specBuilder = new SpecBuilder();
+        this.codeGenerator = new CodeGenerator({ specBuilder: this.specBuilder });
         this.uiComponents = new UIComponents();
+        this.largeData = new LargeDataReducer();
         
+        this.datasets = new DatasetRegistry();
         this.currentData = null;
-        this.currentMappings = {
-            x: null,
-            y: null,
-            color: null,
-            size: null
+        this.sourceData = null;
+        this.typedData = null;
+        this.sourceName = null;
+        this.chartData = null;
+        this.pipeline = this.createPipeline();
+        this.columnTypes = {};
+        this.inferredTypes = {};
+        this.derivedTypes = {};
+        this.typeOverrides = {};
+        this.missingValues = {};
+        this.missingApplied = {};
+        this.missingCounts = {};
+        this.datasetSettings = new Map();
+        this.parsingProfile = this.dataManager.getDefaultParsingProfile();
+        this.lastUpload = null;
+        this.dataSource = null;
+        this.refreshTimer = null;
+        this.parseIssues = [];
+        this.gridView = 'result';
+        this.specTab = 'preview';
+        this.codeLanguage = 'd3';
+        this.currentMappings = Object.fromEntries(Object.keys(ENCODING_CHANNELS).map(encoding => [encoding, null]));
+        this.largeDataOptions = {
+            sampling: 'random',
+            sampleSize: DEFAULT_SAMPLE_SIZE
         };
         this.currentChartType = 'bar';
+        this.chartLayers = [];
+        this.composition = null;
+        this.interactions = { ...DEFAULT_INTERACTIONS };
         this.chartConfig = {
             title: '',
             width: 600,
@@ -44,12 +80,30 @@ class ChartBuilder {
         // Data upload
         this.setupDataUpload();
         
+        // Remote data
+        this.setupURLLoader();
+        
+        // Parsing profile
+        this.setupParsingOptions();
+        
         // Sample data buttons
         this.setupSampleData();
         
+        // Joining loaded datasets
+        this.setupDatasetJoin();
+        
+        // Data grid
+        this.setupDataGrid();
+        
+        // Transformation steps
+        this.setupTransforms();
+        
         // Chart type selection
         this.setupChartTypeSelection();
         
+        // Layers and multi-view layout
+        this.setupComposition();
+        
         // Configuration inputs
         this.setupConfiguration();
         
@@ -97,8 +151,50 @@ class ChartBuilder {
         });
     }
 
+    setupURLLoader() {
+        const urlInput = document.getElementById('data-url');
+        const load = () => {
+            const url = urlInput.value.trim();
+            if (!url) {
+                this.updateStatus('Enter a URL to load data from', 'error');
+                return;
+            }
+
+            this.loadFromURL(url, {
+                format: document.getElementById('data-url-format').value || undefined,
+                refreshInterval: Number(document.getElementById('data-url-refresh').value) || 0
+            });
+        };
+
+        document.getElementById('load-url').addEventListener('click', load);
+        urlInput.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') load();
+        });
+    }
+
+    setupParsingOptions() {
+        this.uiComponents.createParsingOptions('parsing-options', this.parsingProfile, {
+            onChange: () => {
+                // Re-read the last file or URL with the new rules
+                if (this.lastUpload) {
+                    this.reloadLastUpload(this.lastUpload.options);
+                }
+            }
+        });
+    }
+
     setupSampleData() {
-        document.querySelectorAll('.sample-btn').forEach(btn => {
+        this.sampleDatasets = this.dataManager.listSampleDatasets();
+
+        const container = document.getElementById('sample-buttons');
+        container.innerHTML = this.sampleDatasets.map(dataset => `
+            <button class="sample-btn" data-sample="${dataset.id}" title="${dataset.description}">
+                ${dataset.icon} ${dataset.name}
+                <span class="sample-rows">${dataset.rows.toLocaleString()} rows</span>
+            </button>
+        `).join('');
+
+        container.querySelectorAll('.sample-btn').forEach(btn => {
             btn.addEventListener('click', () => {
                 const sampleType = btn.dataset.sample;
                 this.loadSampleData(sampleType);
@@ -106,23 +202,675 @@ class ChartBuilder {
         });
     }
 
+    setupDatasetJoin() {
+        const suggestKeys = () => {
+            document.getElementById('join-keys').value = '';
+            document.getElementById('join-preview').innerHTML = '';
+            this.suggestJoinKeys();
+        };
+        document.getElementById('join-left').addEventListener('change', suggestKeys);
+        document.getElementById('join-right').addEventListener('change', suggestKeys);
+        document.getElementById('preview-join').addEventListener('click', () => this.previewJoin());
+        document.getElementById('create-join').addEventListener('click', () => this.createJoinedDataset());
+    }
+
+    /**
+     * Fill the dataset choices of the join form, keeping the current picks
+     */
+    renderJoinForm() {
+        const names = this.datasets.names();
+        document.getElementById('join-datasets').style.display = names.length > 1 ? 'block' : 'none';
+
+        const fill = (id, fallback) => {
+            const select = document.getElementById(id);
+            const selected = names.includes(select.value) ? select.value : fallback;
+            select.innerHTML = names.map(name => 
+                `<option value="${escapeHTML(name)}" ${name === selected ? 'selected' : ''}>${escapeHTML(name)}</option>`).join('');
+        };
+        fill('join-left', this.sourceName);
+        fill('join-right', names.find(name => name !== this.sourceName));
+        this.suggestJoinKeys();
+    }
+
+    /**
+     * Propose the columns both datasets share as join keys
+     */
+    suggestJoinKeys() {
+        const input = document.getElementById('join-keys');
+        if (input.value.trim()) return;
+
+        const { left, right } = this.readJoinForm({ requireKeys: false });
+        if (!left || !right) return;
+
+        const rightColumns = Object.keys(right.columnTypes);
+        input.value = Object.keys(left.columnTypes).filter(column => rightColumns.includes(column)).join(', ');
+    }
+
+    /**
+     * Datasets, keys and join type chosen in the join form
+     */
+    readJoinForm({ requireKeys = true } = {}) {
+        const left = this.datasets.get(document.getElementById('join-left').value);
+        const right = this.datasets.get(document.getElementById('join-right').value);
+        const how = document.getElementById('join-how').value;
+        const on = document.getElementById('join-keys').value.split(',')
+            .map(pair => pair.trim()).filter(Boolean).map(pair => {
+                const [leftKey, rightKey = leftKey] = pair.split('=').map(key => key.trim());
+                return { left: leftKey, right: rightKey };
+            });
+
+        if (requireKeys && on.length === 0) {
+            throw new Error('Enter the key columns to join on, e.g. id or region = region_code');
+        }
+        return { left, right, how, on };
+    }
+
+    /**
+     * Rows of a registered dataset with its type overrides and missing-value
+     * strategies applied, as they are before the transformation steps
+     */
+    getPreparedData(name) {
+        const dataset = this.datasets.get(name);
+        const settings = this.datasetSettings.get(name) || {};
+        const ownColumns = entries => Object.fromEntries(Object.entries(entries || {})
+            .filter(([column]) => column in dataset.columnTypes));
+
+        const typed = this.dataManager.applyTypeOverrides(
+            dataset.data, ownColumns(settings.typeOverrides), this.parsingProfile);
+        return this.dataManager.applyMissingValues(typed, ownColumns(settings.missingValues)).data;
+    }
+
+    /**
+     * Show match rates and unmatched keys for the join in the form
+     */
+    previewJoin() {
+        try {
+            const { left, right, on } = this.readJoinForm();
+            if (this.sourceName && this.datasets.has(this.sourceName)) {
+                this.saveDatasetSettings();
+            }
+
+            const preview = this.dataManager.previewJoin(
+                this.getPreparedData(left.name), this.getPreparedData(right.name), { on });
+            this.uiComponents.createJoinPreview('join-preview', preview, {
+                left: left.name,
+                right: right.name,
+                how: document.getElementById('join-how').value
+            });
+        } catch (error) {
+            console.error('Error previewing join:', error);
+            this.updateStatus(error.message, 'error');
+        }
+    }
+
+    /**
+     * Join the two chosen datasets into a new derived dataset and chart it.
+     * The derived dataset remembers the join, which is recorded in the spec.
+     */
+    createJoinedDataset() {
+        try {
+            const { left, right, how, on } = this.readJoinForm();
+            if (left.name === right.name) {
+                throw new Error('Choose two different datasets to join');
+            }
+            if (this.sourceName && this.datasets.has(this.sourceName)) {
+                this.saveDatasetSettings();
+            }
+
+            const data = this.dataManager.joinDatasets(
+                this.getPreparedData(left.name), this.getPreparedData(right.name), { on, how });
+            const name = `${left.name} ⋈ ${right.name}`;
+
+            this.loadData(data, name, null, {
+                source: { type: 'derived', join: { left: left.name, right: right.name, on, how } }
+            });
+            document.getElementById('join-preview').innerHTML = '';
+            this.updateStatus(`Created ${name} with ${data.length} rows (${how} join)`);
+        } catch (error) {
+            console.error('Error joining datasets:', error);
+            this.updateStatus(error.message, 'error');
+        }
+    }
+
+    /**
+     * Offer the catalog's suggested charts for a loaded sample
+     */
+    renderSuggestedCharts(dataset) {
+        const container = document.getElementById('suggested-charts');
+
+        if (!dataset || dataset.suggestedCharts.length === 0) {
+            container.innerHTML = '';
+            return;
+        }
+
+        container.innerHTML = `
+            <h4>Try</h4>
+            ${dataset.suggestedCharts.map((chart, index) => `
+                <button class="suggested-chart-btn" data-index="${index}">${chart.title} <span>(${chart.chartType})</span></button>
+            `).join('')}
+        `;
+
+        container.querySelectorAll('.suggested-chart-btn').forEach(btn => {
+            btn.addEventListener('click', () => {
+                this.applySuggestedChart(dataset.suggestedCharts[Number(btn.dataset.index)]);
+            });
+        });
+    }
+
+    applySuggestedChart({ title, chartType, mappings }) {
+        this.setChartType(chartType);
+        this.clearMappings();
+        Object.entries(mappings).forEach(([encoding, { column, type }]) => {
+            this.updateMapping(encoding, column, type);
+        });
+        this.updateStatus(`Applied suggested chart: ${title}`);
+    }
+
+    setupDataGrid() {
+        this.dataGrid = new DataGrid('data-grid', {
+            height: 240,
+            onCellEdit: (row, column, text) => this.editCell(row, column, text),
+            onColumnRename: (column, newName) => this.renameColumn(column, newName),
+            parseDate: text => this.dataManager.parseDate(text, this.parsingProfile.dateFormats)
+        });
+
+        document.getElementById('data-grid-view').addEventListener('change', (e) => {
+            this.gridView = e.target.value;
+            this.renderDataGrid();
+        });
+    }
+
+    setupTransforms() {
+        document.getElementById('transform-type').addEventListener('change', () => this.renderTransformForm());
+        document.getElementById('add-transform').addEventListener('click', () => this.addTransformStep());
+
+        document.getElementById('transform-steps').addEventListener('click', (e) => {
+            const button = e.target.closest('button[data-action]');
+            if (!button) return;
+
+            const index = Number(button.closest('.transform-step').dataset.index);
+            if (button.dataset.action === 'remove') {
+                this.pipeline.removeStep(index);
+            } else {
+                this.pipeline.moveStep(index, button.dataset.action === 'up' ? -1 : 1);
+            }
+            this.onPipelineChanged();
+        });
+    }
+
+    /**
+     * Render the inputs for the selected step type, offering the columns
+     * available at the end of the current pipeline
+     */
+    renderTransformForm() {
+        const type = document.getElementById('transform-type').value;
+        const columns = Object.keys((this.chartData && this.chartData[0]) || {});
+        const columnOptions = columns.map(column => `<option value="${escapeHTML(column)}">${escapeHTML(column)}</option>`).join('');
+        const options = values => values.map(value => `<option value="${value}">${value}</option>`).join('');
+        const opsOptions = `<option value="sum">sum</option>` + options(AGGREGATE_OPS.filter(op => op !== 'sum'));
+
+        const forms = {
+            filter: `
+                <label>Column<select data-field="column">${columnOptions}</select></label>
+                <label>Condition<select data-field="operator">${options(FILTER_OPERATORS)}</select></label>
+                <label class="full-width">Value<input type="text" data-field="value" placeholder="e.g. 100, North, 2024-01-01"></label>
+            `,
+            derive: `
+                <label class="full-width">New column<input type="text" data-field="as" placeholder="e.g. profit_margin"></label>
+                <label>Column<select data-field="left">${columnOptions}</select></label>
+                <label>Operator<select data-field="operator">${options(DERIVE_OPERATORS)}</select></label>
+                <label class="full-width">Column or number
+                    <input type="text" data-field="right" list="transform-columns">
+                    <datalist id="transform-columns">${columnOptions}</datalist>
+                </label>
+            `,
+            aggregate: `
+                <label class="full-width">Group by<select data-field="groupby" multiple size="3">${columnOptions}</select></label>
+                <label>Aggregate<select data-field="op">${options(AGGREGATE_OPS)}</select></label>
+                <label>Of column<select data-field="field">${columnOptions}</select></label>
+                <label class="full-width">Result name<input type="text" data-field="as" placeholder="default: op_column"></label>
+            `,
+            pivot: `
+                <label>Column to spread<select data-field="pivot">${columnOptions}</select></label>
+                <label>Values from<select data-field="value">${columnOptions}</select></label>
+                <label>Aggregate<select data-field="op">${opsOptions}</select></label>
+                <label>Group by<select data-field="groupby" multiple size="3">${columnOptions}</select></label>
+            `,
+            fold: `
+                <label class="full-width">Columns to unpivot<select data-field="fields" multiple size="4">${columnOptions}</select></label>
+                <label>Key column<input type="text" data-field="key" value="key"></label>
+                <label>Value column<input type="text" data-field="valueName" value="value"></label>
+            `,
+            join: `
+                <label class="full-width">File<input type="file" data-field="file" accept="${document.getElementById('file-input').accept}"></label>
+                <label>Join type<select data-field="how">${options(JOIN_TYPES)}</select></label>
+                <label>Keys<input type="text" data-field="on" placeholder="id or id = customer_id"></label>
+            `
+        };
+
+        document.getElementById('transform-fields').innerHTML = forms[type];
+    }
+
+    /**
+     * Build a step from the form inputs
+     */
+    async readTransformStep() {
+        const type = document.getElementById('transform-type').value;
+        const form = document.getElementById('transform-fields');
+        const value = name => {
+            const input = form.querySelector(`[data-field="${name}"]`);
+            if (!input) return '';
+            // Column choices are taken as they are; only typed text is trimmed
+            return input.tagName === 'SELECT' ? input.value : input.value.trim();
+        };
+        const selected = name => [...form.querySelector(`[data-field="${name}"]`).selectedOptions]
+            .map(option => option.value);
+
+        switch (type) {
+            case 'filter':
+                return { type, column: value('column'), operator: value('operator'), value: value('value') };
+
+            case 'derive': {
+                const right = value('right');
+                const isColumn = right in this.columnTypes;
+                return {
+                    type,
+                    as: value('as'),
+                    left: value('left'),
+                    operator: value('operator'),
+                    right: isColumn || right === '' || isNaN(Number(right)) ? right : Number(right)
+                };
+            }
+
+            case 'aggregate': {
+                const op = value('op');
+                return {
+                    type,
+                    groupby: selected('groupby'),
+                    aggregates: [{
+                        op,
+                        ...(op === 'count' ? {} : { field: value('field') }),
+                        ...(value('as') ? { as: value('as') } : {})
+                    }]
+                };
+            }
+
+            case 'pivot':
+                return { type, pivot: value('pivot'), value: value('value'), op: value('op'), groupby: selected('groupby') };
+
+            case 'fold':
+                return { type, fields: selected('fields'), as: [value('key') || 'key', value('valueName') || 'value'] };
+
+            case 'join': {
+                const file = form.querySelector('[data-field="file"]').files[0];
+                if (!file) {
+                    throw new Error('Choose a file to join');
+                }
+
+                const on = value('on').split(',').map(pair => pair.trim()).filter(Boolean).map(pair => {
+                    const [left, right = left] = pair.split('=').map(key => key.trim());
+                    return { left, right };
+                });
+
+                const result = await this.dataWorker.parseFile(file, { profile: this.parsingProfile });
+                return { type, name: file.name, data: result.data, on, how: value('how') };
+            }
+
+            default:
+                throw new Error(`Unknown transform step: ${type}`);
+        }
+    }
+
+    async addTransformStep() {
+        try {
+            const step = await this.readTransformStep();
+            this.pipeline.addStep(step);
+            this.onPipelineChanged();
+            this.updateStatus(`Added step: ${this.pipeline.describeStep(step)}`);
+        } catch (error) {
+            if (error.name === 'AbortError') return;
+            console.error('Error adding transform step:', error);
+            this.updateStatus(error.message, 'error');
+        }
+    }
+
+    /**
+     * Drop mappings to columns that no longer exist, also from repeated
+     * fields and kept views, and update the types of the rest
+     */
+    syncMappings() {
+        this.syncComposition();
+
+        Object.entries(this.currentMappings).forEach(([encoding, mapping]) => {
+            if (!mapping) return;
+
+            const refreshed = this.refreshMapping(mapping);
+            if (refreshed) {
+                this.currentMappings[encoding] = refreshed;
+                this.renderMappingZone(encoding);
+            } else {
+                this.removeMapping(encoding);
+            }
+        });
+    }
+
+    /**
+     * A mapping with the current types of its columns, leaving out columns
+     * that no longer exist; null when none are left
+     */
+    refreshMapping(mapping) {
+        if (Array.isArray(mapping)) {
+            const kept = mapping
+                .filter(item => item.column in this.columnTypes)
+                .map(item => ({ ...item, type: this.columnTypes[item.column] }));
+            return kept.length > 0 ? kept : null;
+        }
+
+        return mapping && mapping.column in this.columnTypes
+            ? { ...mapping, type: this.columnTypes[mapping.column] }
+            : null;
+    }
+
+    renderTransformSteps() {
+        const list = document.getElementById('transform-steps');
+        list.innerHTML = this.pipeline.steps.map((step, index) => `
+            <li class="transform-step" data-index="${index}">
+                <span class="transform-step-label">${escapeHTML(this.pipeline.describeStep(step))}</span>
+                <button data-action="up" title="Move up" ${index === 0 ? 'disabled' : ''}>↑</button>
+                <button data-action="down" title="Move down" ${index === this.pipeline.steps.length - 1 ? 'disabled' : ''}>↓</button>
+                <button data-action="remove" title="Remove step">×</button>
+            </li>
+        `).join('');
+    }
+
+    /**
+     * A pipeline whose date filters read their value with the parsing
+     * profile's date formats, like the date columns they compare against
+     */
+    createPipeline(steps = []) {
+        return new TransformPipeline(steps, {
+            parseDate: value => this.dataManager.parseDate(value, this.parsingProfile.dateFormats)
+        });
+    }
+
+    /**
+     * Re-run the pipeline after its steps changed and drop mappings to
+     * columns that no longer exist
+     */
+    onPipelineChanged() {
+        try {
+            this.applyPipeline();
+        } catch (error) {
+            console.error('Error applying transform steps:', error);
+            this.updateStatus(`Error applying transform steps: ${error.message}`, 'error');
+            return;
+        }
+
+        this.saveDatasetSettings();
+        this.syncMappings();
+
+        this.renderDataViews();
+        this.dragDropManager.setupColumnDragging();
+        this.renderTransformSteps();
+        this.renderTransformForm();
+        this.hideColumnProfile();
+        this.updateChart();
+    }
+
     setupChartTypeSelection() {
         document.querySelectorAll('.chart-type-btn').forEach(btn => {
             btn.addEventListener('click', () => {
-                // Remove active class from all buttons
-                document.querySelectorAll('.chart-type-btn').forEach(b => 
-                    b.classList.remove('active'));
-                
-                // Add active class to clicked button
-                btn.classList.add('active');
-                
-                // Update current chart type
-                this.currentChartType = btn.dataset.type;
-                this.updateChart();
-                
+                this.setChartType(btn.dataset.type);
                 this.updateStatus(`Chart type changed to ${this.currentChartType}`);
             });
         });
+        this.renderChannelZones();
+    }
+
+    /**
+     * Hide the drop zones of channels the chart type can't draw; their
+     * mappings are kept for other chart types
+     */
+    renderChannelZones() {
+        document.getElementById('shape-zone').hidden = !SHAPE_CHARTS.includes(this.currentChartType);
+    }
+
+    setChartType(chartType) {
+        document.querySelectorAll('.chart-type-btn').forEach(btn => 
+            btn.classList.toggle('active', btn.dataset.type === chartType));
+
+        this.currentChartType = chartType;
+        this.renderChannelZones();
+        this.renderInteractions();
+        this.updateChart();
+    }
+
+    setupComposition() {
+        const layerSelect = document.getElementById('add-layer');
+        layerSelect.insertAdjacentHTML('beforeend', Object.entries(LAYER_TYPES)
+            .map(([type, { label }]) => `<option value="${type}">${label}</option>`).join(''));
+        layerSelect.addEventListener('change', () => {
+            if (!layerSelect.value) return;
+            this.addLayer(layerSelect.value);
+            layerSelect.value = '';
+        });
+
+        document.getElementById('layer-list').addEventListener('click', (e) => {
+            const button = e.target.closest('button[data-action="remove"]');
+            if (button) {
+                this.removeLayer(Number(button.closest('.transform-step').dataset.index));
+            }
+        });
+
+        const layoutSelect = document.getElementById('view-layout');
+        layoutSelect.insertAdjacentHTML('beforeend', Object.entries(COMPOSITION_TYPES)
+            .map(([type, { label }]) => `<option value="${type}">${label}</option>`).join(''));
+        layoutSelect.addEventListener('change', () => this.setLayout(layoutSelect.value));
+    }
+
+    addLayer(type) {
+        this.chartLayers.push({ type });
+        this.renderLayers();
+        this.updateChart();
+        this.updateStatus(`Added ${LAYER_TYPES[type].label.toLowerCase()} layer`);
+    }
+
+    removeLayer(index) {
+        const [{ type }] = this.chartLayers.splice(index, 1);
+        this.renderLayers();
+        this.updateChart();
+        this.updateStatus(`Removed ${LAYER_TYPES[type].label.toLowerCase()} layer`);
+    }
+
+    renderLayers() {
+        document.getElementById('layer-list').innerHTML = this.chartLayers.map((layer, index) => `
+            <li class="transform-step" data-index="${index}">
+                <span class="transform-step-label">${LAYER_TYPES[layer.type].label}</span>
+                <button data-action="remove" title="Remove layer">×</button>
+            </li>
+        `).join('');
+    }
+
+    /**
+     * Switch between a single view, the chart repeated per field, and
+     * kept views side by side or stacked
+     */
+    setLayout(type) {
+        if (!type) {
+            this.composition = null;
+        } else if (type === 'repeat') {
+            const [channel = null] = this.getRepeatChannels();
+            this.composition = { type, channel, fields: channel ? [this.currentMappings[channel].column] : [], columns: 2 };
+        } else {
+            // Kept views stay when switching between side by side and stacked
+            this.composition = { type, views: (this.composition && this.composition.views) || [] };
+        }
+
+        this.renderComposition();
+        this.updateChart();
+    }
+
+    /**
+     * Channels with a single column mapped, which can be repeated by field
+     */
+    getRepeatChannels() {
+        return Object.keys(this.currentMappings)
+            .filter(channel => this.currentMappings[channel] && !ENCODING_CHANNELS[channel].multi);
+    }
+
+    renderComposition() {
+        const container = document.getElementById('composition-options');
+        const composition = this.composition;
+        document.getElementById('view-layout').value = composition ? composition.type : '';
+
+        if (!composition) {
+            container.innerHTML = '';
+        } else if (composition.type === 'repeat') {
+            this.renderRepeatOptions(container, composition);
+        } else {
+            this.renderViewList(container, composition);
+        }
+    }
+
+    renderRepeatOptions(container, composition) {
+        const channels = this.getRepeatChannels();
+        if (channels.length === 0) {
+            container.innerHTML = '<div class="composition-hint">Map a column, then pick the fields to repeat the chart with</div>';
+            return;
+        }
+
+        // Fields of the same type as the column mapped to the channel
+        const mapping = this.currentMappings[composition.channel];
+        const columns = mapping
+            ? Object.keys(this.columnTypes).filter(column => this.columnTypes[column] === mapping.type)
+            : [];
+
+        container.innerHTML = `
+            <div class="config-row">
+                <label for="repeat-channel">Repeat:</label>
+                <select id="repeat-channel">
+                    ${mapping ? '' : '<option value="" selected>Choose a channel…</option>'}
+                    ${channels.map(channel => `<option value="${channel}" ${channel === composition.channel ? 'selected' : ''}>${ENCODING_CHANNELS[channel].label}</option>`).join('')}
+                </select>
+            </div>
+            <div class="repeat-fields">
+                ${columns.map(column => `<label><input type="checkbox" value="${escapeHTML(column)}" ${composition.fields.includes(column) ? 'checked' : ''}> ${escapeHTML(column)}</label>`).join('')}
+            </div>
+            <div class="config-row">
+                <label for="repeat-columns">Per row:</label>
+                <input type="number" id="repeat-columns" min="1" max="6" value="${composition.columns}">
+            </div>
+        `;
+
+        container.querySelector('#repeat-channel').addEventListener('change', (e) => {
+            const channel = e.target.value;
+            this.composition = { ...composition, channel, fields: [this.currentMappings[channel].column] };
+            this.renderComposition();
+            this.updateChart();
+        });
+
+        container.querySelectorAll('.repeat-fields input').forEach(checkbox => {
+            checkbox.addEventListener('change', () => {
+                composition.fields = [...container.querySelectorAll('.repeat-fields input:checked')]
+                    .map(input => input.value);
+                this.updateChart();
+            });
+        });
+
+        container.querySelector('#repeat-columns').addEventListener('input', (e) => {
+            composition.columns = Math.max(1, parseInt(e.target.value) || 1);
+            this.updateChart();
+        });
+    }
+
+    renderViewList(container, composition) {
+        container.innerHTML = `
+            <button class="action-btn" data-action="keep">📌 Keep current chart as a view</button>
+            <ul class="transform-steps">
+                ${composition.views.map((view, index) => `
+                    <li class="transform-step" data-index="${index}">
+                        <span class="transform-step-label">${escapeHTML(this.describeView(view))}</span>
+                        <button data-action="remove" title="Remove view">×</button>
+                    </li>
+                `).join('')}
+            </ul>
+            <div class="composition-hint">The chart being edited is drawn ${composition.type === 'hconcat' ? 'right of' : 'below'} the kept views</div>
+        `;
+
+        container.querySelector('[data-action="keep"]').addEventListener('click', () => this.keepView());
+        container.querySelectorAll('[data-action="remove"]').forEach(button => {
+            button.addEventListener('click', () => {
+                composition.views.splice(Number(button.closest('.transform-step').dataset.index), 1);
+                this.renderComposition();
+                this.updateChart();
+            });
+        });
+    }
+
+    /**
+     * Snapshot the chart being edited as a view of the layout, so another
+     * chart can be built next to it
+     */
+    keepView() {
+        if (!this.hasRequiredMappings()) {
+            this.updateStatus('Map the columns this chart type needs before keeping it as a view', 'error');
+            return;
+        }
+
+        this.composition.views.push({
+            chartType: this.currentChartType,
+            mappings: structuredClone(Object.fromEntries(Object.entries(this.currentMappings).filter(([_, mapping]) => mapping))),
+            layers: structuredClone(this.chartLayers)
+        });
+        this.renderComposition();
+        this.updateChart();
+        this.updateStatus(`Kept ${this.currentChartType} chart as view ${this.composition.views.length}`);
+    }
+
+    describeView({ chartType, mappings }) {
+        const fields = getMappedFields(mappings).map(({ channel, column }) => `${channel}: ${column}`);
+        return `${chartType} (${fields.join(', ')})`;
+    }
+
+    describeInteractions() {
+        const { tooltip, zoom, brush, click, legend } = this.interactions;
+        return [
+            tooltip && 'tooltips',
+            zoom && 'zoom & pan',
+            brush && 'brush',
+            click !== 'none' && `click to ${click}`,
+            legend && 'legend toggling'
+        ].filter(Boolean).join(', ') || 'none';
+    }
+
+    describeComposition() {
+        const composition = this.composition;
+        if (!composition) return 'single view';
+        if (composition.type === 'repeat') {
+            return `repeat ${composition.channel || '-'} by ${composition.fields.join(', ') || '-'}`;
+        }
+        return `${COMPOSITION_TYPES[composition.type].label.toLowerCase()} (${composition.views.length + 1} views)`;
+    }
+
+    /**
+     * Drop repeated fields and kept views whose columns no longer exist
+     */
+    syncComposition() {
+        const composition = this.composition;
+        if (composition && composition.type === 'repeat') {
+            composition.fields = composition.fields.filter(column => column in this.columnTypes);
+        } else if (composition) {
+            composition.views = composition.views
+                .map(view => ({
+                    ...view,
+                    mappings: Object.fromEntries(Object.entries(view.mappings)
+                        .map(([channel, mapping]) => [channel, this.refreshMapping(mapping)])
+                        .filter(([_, mapping]) => mapping))
+                }))
+                .filter(view => this.specBuilder.hasRequiredMappings(view.chartType, view.mappings));
+        }
+
+        this.renderComposition();
     }
 
     setupConfiguration() {
@@ -138,6 +886,52 @@ class ChartBuilder {
                 this.updateChart();
             });
         });
+
+        document.querySelectorAll('[data-interaction]').forEach(checkbox => {
+            checkbox.addEventListener('change', () => {
+                this.interactions[checkbox.dataset.interaction] = checkbox.checked;
+                this.updateChart();
+            });
+        });
+
+        document.getElementById('click-action').addEventListener('change', (e) => {
+            this.interactions.click = e.target.value;
+            this.updateChart();
+        });
+    }
+
+    /**
+     * Show the interaction settings, disabling the ones the chart type
+     * can't offer; their settings are kept for other chart types
+     */
+    renderInteractions() {
+        const unavailable = UNAVAILABLE_INTERACTIONS[this.currentChartType] || [];
+        const labels = [];
+
+        document.querySelectorAll('[data-interaction]').forEach(checkbox => {
+            const name = checkbox.dataset.interaction;
+            checkbox.checked = Boolean(this.interactions[name]);
+            checkbox.disabled = unavailable.includes(name);
+            if (checkbox.disabled) labels.push(checkbox.parentElement.textContent.trim());
+        });
+
+        const clickAction = document.getElementById('click-action');
+        clickAction.value = this.interactions.click;
+        clickAction.disabled = unavailable.includes('click');
+        if (clickAction.disabled) labels.push('click');
+
+        document.getElementById('interaction-note').textContent = labels.length > 0
+            ? `Not available for ${this.currentChartType} charts: ${labels.join(', ')}`
+            : '';
+    }
+
+    /**
+     * Show what a brush, click or legend selection on the chart covers
+     */
+    reportSelection(name, value) {
+        const description = this.chartRenderer.describeSelection(value, name === 'brush');
+        const labels = { brush: 'Brushed', pick: 'Selected', legend: 'Showing' };
+        this.updateStatus(description ? `${labels[name]} ${description}` : 'Selection cleared');
     }
 
     setupPreviewActions() {
@@ -146,195 +940,1087 @@ class ChartBuilder {
             this.updateStatus('Chart refreshed');
         });
 
-        document.getElementById('export-json').addEventListener('click', () => {
-            this.exportSpecification();
+        document.getElementById('export-json').addEventListener('click', () => {
+            this.exportSpecification();
+        });
+
+        const importInput = document.getElementById('import-json-input');
+        document.getElementById('import-json').addEventListener('click', () => importInput.click());
+        importInput.addEventListener('change', () => {
+            if (importInput.files.length > 0) {
+                this.importSpecification(importInput.files[0]);
+                importInput.value = '';
+            }
+        });
+
+        document.getElementById('download-chart').addEventListener('click', () => {
+            this.downloadChart();
+        });
+
+        document.getElementById('export-html').addEventListener('click', () => {
+            this.exportHTML();
+        });
+    }
+
+    setupStatusActions() {
+        document.getElementById('clear-all').addEventListener('click', () => {
+            this.clearAll();
+        });
+
+        document.getElementById('save-project').addEventListener('click', () => {
+            this.saveProject();
+        });
+    }
+
+    setupSpecTabs() {
+        document.querySelectorAll('.spec-tab').forEach(tab => {
+            tab.addEventListener('click', () => {
+                // Update tab active state
+                document.querySelectorAll('.spec-tab').forEach(t => 
+                    t.classList.remove('active'));
+                tab.classList.add('active');
+                
+                // Update spec display
+                this.specTab = tab.dataset.tab;
+                document.getElementById('code-toolbar').style.display = this.specTab === 'code' ? 'flex' : 'none';
+                this.updateSpecDisplay(this.specTab);
+            });
+        });
+
+        const languageSelect = document.getElementById('code-language');
+        languageSelect.innerHTML = Object.entries(CODE_LANGUAGES)
+            .map(([key, { label }]) => `<option value="${key}">${label}</option>`)
+            .join('');
+        languageSelect.value = this.codeLanguage;
+        languageSelect.addEventListener('change', () => {
+            this.codeLanguage = languageSelect.value;
+            this.updateSpecDisplay('code');
+        });
+
+        document.getElementById('copy-code').addEventListener('click', () => this.copyCode());
+        document.getElementById('open-in-sandbox').addEventListener('click', () => this.openCodeInSandbox());
+    }
+
+    async handleFileUpload(file, options = {}) {
+        this.updateStatus(`Loading ${file.name}...`);
+        const progressBar = this.uiComponents.createProgressBar('upload-progress', 0, `Parsing ${file.name}...`);
+        
+        try {
+            const result = await this.dataWorker.parseFile(file, {
+                profile: this.parsingProfile,
+                qualityReport: true,
+                ...options,
+                onProgress: ({ progress, stage }) => {
+                    this.uiComponents.updateProgressBar(progressBar, Math.round(progress * 100),
+                        `${stage} ${file.name}...`);
+                }
+            });
+            const { data, issues, columnTypes } = result;
+            this.loadData(data, result.sheet ? `${file.name} (${result.sheet})` : file.name, columnTypes, {
+                source: { type: 'file', fileName: file.name },
+                upload: { file, options, result: this.getUploadChoices(result) },
+                issues,
+                quality: result.quality
+            });
+
+            if (issues.length > 0) {
+                this.updateStatus(`Loaded ${data.length} rows from ${file.name} (${issues.length} parse issues, see the data quality report)`, 'warning');
+            } else {
+                this.updateStatus(`Loaded ${data.length} rows from ${file.name}`);
+            }
+        } catch (error) {
+            // A newer upload replaced this one while it was still parsing
+            if (error.name === 'AbortError') return;
+
+            console.error('Error loading file:', error);
+            this.updateStatus(`Error loading file: ${error.message}`, 'error');
+        } finally {
+            progressBar.remove();
+        }
+    }
+
+    /**
+     * Fetch data from a URL. Refreshes keep the current mappings and
+     * skip the progress bar.
+     */
+    async loadFromURL(url, options = {}, { refresh = false } = {}) {
+        const { refreshInterval = 0, ...loadOptions } = options;
+        const progressBar = refresh ? null :
+            this.uiComponents.createProgressBar('upload-progress', 0, `Downloading ${url}...`);
+
+        if (!refresh) {
+            this.updateStatus(`Loading ${url}...`);
+        }
+
+        try {
+            const result = await this.dataWorker.loadFromURL(url, {
+                profile: this.parsingProfile,
+                qualityReport: true,
+                ...loadOptions,
+                onProgress: ({ progress, stage }) => {
+                    if (progressBar) {
+                        this.uiComponents.updateProgressBar(progressBar, Math.round(progress * 100),
+                            `${stage} ${url}...`);
+                    }
+                }
+            });
+            const { data, issues, columnTypes } = result;
+
+            this.loadData(data, url, columnTypes, {
+                keepMappings: refresh,
+                source: {
+                    type: 'url',
+                    url,
+                    format: result.format,
+                    ...(result.recordPath ? { recordPath: result.recordPath } : {}),
+                    ...(loadOptions.explode ? { explode: loadOptions.explode } : {}),
+                    ...(refreshInterval ? { refreshInterval } : {})
+                },
+                upload: { url, options, result: this.getUploadChoices(result) },
+                issues,
+                quality: result.quality
+            });
+
+            const verb = refresh ? 'Refreshed' : 'Loaded';
+            if (issues.length > 0) {
+                this.updateStatus(`${verb} ${data.length} rows from ${url} (${issues.length} parse issues, see the data quality report)`, 'warning');
+            } else {
+                this.updateStatus(`${verb} ${data.length} rows from ${url}`);
+            }
+        } catch (error) {
+            if (error.name === 'AbortError') return;
+
+            console.error('Error loading URL:', error);
+            this.updateStatus(`Error loading ${url}: ${error.message}`, 'error');
+        } finally {
+            if (progressBar) progressBar.remove();
+        }
+    }
+
+    /**
+     * The format-specific choices of a parse result that renderUploadOptions
+     * offers, kept with the dataset so they can be shown again on switching
+     */
+    getUploadChoices({ sheets, sheet, recordPaths, recordPath, arrayPaths }) {
+        return { sheets, sheet, recordPaths, recordPath, arrayPaths };
+    }
+
+    /**
+     * Record where the current data came from and (re)start its refresh timer
+     */
+    setDataSource(source) {
+        const unchanged = source && this.dataSource && source.url === this.dataSource.url &&
+            source.refreshInterval === this.dataSource.refreshInterval;
+        this.dataSource = source;
+
+        if (unchanged) return;
+
+        clearInterval(this.refreshTimer);
+        this.refreshTimer = null;
+
+        if (source && source.refreshInterval) {
+            this.refreshTimer = setInterval(() => {
+                // Don't cancel a file the user is loading in the meantime
+                if (this.dataWorker.activeParseId !== null) return;
+                this.loadFromURL(source.url, this.lastUpload.options, { refresh: true });
+            }, source.refreshInterval * 1000);
+        }
+    }
+
+    /**
+     * Load the last file or URL again with different options
+     */
+    reloadLastUpload(options) {
+        if (this.lastUpload.url) {
+            this.loadFromURL(this.lastUpload.url, options);
+        } else {
+            this.handleFileUpload(this.lastUpload.file, options);
+        }
+    }
+
+    /**
+     * Show format-specific choices for the last upload: the worksheet of an
+     * Excel workbook, the record array inside a JSON object, and which
+     * nested array to explode into rows
+     */
+    renderUploadOptions(result, options = {}) {
+        const container = document.getElementById('upload-options');
+        const pickers = [];
+
+        if (result.sheets && result.sheets.length > 1) {
+            pickers.push({
+                key: 'sheet',
+                label: 'Sheet',
+                value: result.sheet,
+                choices: result.sheets.map(name => ({ value: name, label: name }))
+            });
+        }
+
+        if (result.recordPaths && result.recordPaths.length > 1) {
+            pickers.push({
+                key: 'recordPath',
+                label: 'Records at',
+                value: result.recordPath,
+                choices: result.recordPaths.map(({ path, length }) => 
+                    ({ value: path, label: `${path} (${length} records)` }))
+            });
+        }
+
+        const arrayPaths = [...new Set([...(result.arrayPaths || []), ...(options.explode ? [options.explode] : [])])];
+        if (arrayPaths.length > 0) {
+            pickers.push({
+                key: 'explode',
+                label: 'Explode array into rows',
+                value: options.explode || '',
+                choices: [
+                    { value: '', label: 'None (keep as JSON text)' },
+                    ...arrayPaths.map(path => ({ value: path, label: path }))
+                ]
+            });
+        }
+
+        container.innerHTML = pickers.map(({ key, label, value, choices }) => `
+            <label for="upload-option-${key}">${label}:</label>
+            <select id="upload-option-${key}" data-option="${key}">
+                ${choices.map(choice => 
+                    `<option value="${escapeHTML(choice.value)}" ${choice.value === value ? 'selected' : ''}>${escapeHTML(choice.label)}</option>`
+                ).join('')}
+            </select>
+        `).join('');
+
+        container.querySelectorAll('select').forEach(select => {
+            select.addEventListener('change', () => {
+                const nextOptions = { ...options, [select.dataset.option]: select.value || undefined };
+
+                // A different record array has different nested arrays
+                if (select.dataset.option === 'recordPath') {
+                    delete nextOptions.explode;
+                }
+
+                this.reloadLastUpload(nextOptions);
+            });
+        });
+    }
+
+    async loadSampleData(sampleType) {
+        this.updateStatus('Loading sample data...');
+        const dataset = this.sampleDatasets.find(sample => sample.id === sampleType);
+        
+        try {
+            const data = await this.dataManager.loadSampleData(sampleType);
+            const columnTypes = await this.dataWorker.inferColumnTypes(data);
+            this.loadData(data, `Sample: ${dataset.name}`, columnTypes, {
+                source: { type: 'sample', id: sampleType },
+                sample: dataset
+            });
+            this.updateStatus(`Loaded ${data.length} rows of ${dataset.name}`);
+        } catch (error) {
+            console.error('Error loading sample data:', error);
+            this.updateStatus(`Error loading sample data: ${error.message}`, 'error');
+        }
+    }
+
+    /**
+     * Register a dataset under sourceName, replacing one of the same name,
+     * and show it. keepMappings is used when the same source is refreshed,
+     * so the chart updates in place. details (source, upload, issues,
+     * sample) are kept with the dataset for when it is shown again.
+     */
+    loadData(data, sourceName, columnTypes, { keepMappings = false, ...details } = {}) {
+        this.datasets.add(sourceName, data, {
+            ...details,
+            columnTypes: columnTypes || this.dataManager.inferColumnTypes(data)
+        });
+
+        // A refresh of a dataset that was switched away from only updates the registry
+        if (keepMappings && sourceName !== this.sourceName) {
+            this.renderDatasetSwitcher();
+        } else {
+            this.showDataset(sourceName, { keepMappings });
+        }
+
+        this.updateQualityReport(sourceName);
+    }
+
+    /**
+     * Check a newly loaded dataset in the data worker and keep the report
+     * with it; the report is shown if the dataset still is. Parsed files
+     * and URLs arrive with their report already.
+     */
+    async updateQualityReport(name) {
+        const dataset = this.datasets.get(name);
+
+        if (dataset.quality) {
+            dataset.quality = { ...dataset.quality, dataset: name };
+            if (this.sourceName === name) {
+                this.renderQualityReport(dataset.quality);
+            }
+            return;
+        }
+
+        try {
+            dataset.quality = await this.dataWorker.getQualityReport(dataset.data, {
+                issues: dataset.issues || [],
+                name
+            });
+        } catch (error) {
+            console.error('Error checking data quality:', error);
+            return;
+        }
+
+        if (this.sourceName === name && this.datasets.get(name) === dataset) {
+            this.renderQualityReport(dataset.quality);
+        }
+    }
+
+    renderQualityReport(report) {
+        const container = document.getElementById('quality-report');
+        container.innerHTML = '';
+        if (!report) return;
+
+        this.uiComponents.createQualityReport(container, report, {
+            onDownload: () => this.downloadQualityReport(report)
+        });
+    }
+
+    downloadQualityReport(report) {
+        const blob = new Blob([JSON.stringify(report, null, 2)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = `data-quality-${Date.now()}.json`;
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+        URL.revokeObjectURL(url);
+
+        this.updateStatus('Data quality report downloaded');
+    }
+
+    /**
+     * Make a registered dataset the one being charted. The chart of the
+     * dataset shown before is saved with its settings and restored when
+     * switching back.
+     */
+    showDataset(name, { keepMappings = false } = {}) {
+        const dataset = this.datasets.get(name);
+        if (!dataset) {
+            throw new Error(`Unknown dataset: ${name}`);
+        }
+
+        if (this.sourceName && this.datasets.has(this.sourceName)) {
+            this.saveDatasetSettings();
+        }
+
+        this.sourceData = dataset.data;
+        this.sourceName = name;
+        this.inferredTypes = dataset.columnTypes;
+        this.parseIssues = dataset.issues || [];
+        this.lastUpload = dataset.upload || null;
+        this.setDataSource(dataset.source && dataset.source.type === 'url' ? dataset.source : null);
+
+        if (dataset.upload) {
+            this.renderUploadOptions(dataset.upload.result, dataset.upload.options);
+        } else {
+            document.getElementById('upload-options').innerHTML = '';
+        }
+        this.renderSuggestedCharts(dataset.sample || null);
+        this.renderDatasetSwitcher();
+        this.renderQualityReport(dataset.quality || null);
+
+        // Restore type overrides, missing-value strategies and transformation
+        // steps made earlier for this dataset
+        const settings = this.datasetSettings.get(name);
+        this.typeOverrides = settings ? { ...settings.typeOverrides } : {};
+        this.missingValues = settings ? { ...settings.missingValues } : {};
+        this.pipeline = this.createPipeline(settings ? settings.pipeline : []);
+        this.applyTypeOverrides();
+        
+        // Show data preview and transform sections
+        document.getElementById('data-preview-section').style.display = 'block';
+        document.getElementById('transform-section').style.display = 'block';
+        
+        this.renderDataViews();
+        this.renderTransformSteps();
+
+        if (keepMappings) {
+            this.dragDropManager.setupColumnDragging();
+            this.syncMappings();
+            if (this.profiledColumn in this.columnTypes) {
+                this.showColumnProfile(this.profiledColumn);
+            } else {
+                this.hideColumnProfile();
+            }
+            this.updateChart();
+            return;
+        }
+
+        this.renderTransformForm();
+        this.hideColumnProfile();
+        
+        // Initialize drag and drop for columns
+        this.dragDropManager.initColumnDragDrop();
+        
+        // Clear existing mappings, or bring back the chart last made from this dataset
+        this.clearMappings();
+        if (settings && settings.chart) {
+            this.restoreChart(settings.chart);
+        }
+        
+        // Update chart
+        this.updateChart();
+    }
+
+    /**
+     * Put back a saved chart type and the mappings whose columns still exist
+     */
+    restoreChart({ chartType, mappings, layers = [], composition = null }) {
+        document.querySelectorAll('.chart-type-btn').forEach(btn => 
+            btn.classList.toggle('active', btn.dataset.type === chartType));
+        this.currentChartType = chartType;
+        this.renderChannelZones();
+        this.renderInteractions();
+
+        Object.entries(mappings).forEach(([encoding, mapping]) => {
+            const restored = this.refreshMapping(mapping);
+            if (restored && encoding in this.currentMappings) {
+                this.currentMappings[encoding] = restored;
+                this.renderMappingZone(encoding);
+            }
+        });
+
+        this.chartLayers = structuredClone(layers);
+        this.composition = structuredClone(composition);
+        this.renderLayers();
+        this.syncComposition();
+    }
+
+    /**
+     * List the loaded datasets so the user can switch between them
+     */
+    renderDatasetSwitcher() {
+        const section = document.getElementById('loaded-datasets');
+        section.style.display = this.datasets.size > 0 ? 'block' : 'none';
+
+        this.uiComponents.createDatasetSwitcher('dataset-switcher', this.datasets.list(), this.sourceName, {
+            onSelect: name => this.switchDataset(name),
+            onRemove: name => this.removeDataset(name)
+        });
+        this.renderJoinForm();
+    }
+
+    switchDataset(name) {
+        this.showDataset(name);
+        this.updateStatus(`Switched to ${name}`);
+    }
+
+    /**
+     * Forget a dataset and its settings; removing the one being charted
+     * shows the most recently added one left
+     */
+    removeDataset(name) {
+        if (!confirm(`Remove ${name} and its chart settings?`)) return;
+
+        this.datasets.remove(name);
+        this.datasetSettings.delete(name);
+
+        if (name === this.sourceName) {
+            const names = this.datasets.names();
+            if (names.length > 0) {
+                this.showDataset(names[names.length - 1]);
+            } else {
+                this.resetData();
+            }
+        } else {
+            this.renderDatasetSwitcher();
+        }
+
+        this.updateStatus(`Removed ${name}`);
+    }
+
+    /**
+     * Refresh the row/column counts, grid and column list from the
+     * transformed data
+     */
+    renderDataViews() {
+        const data = this.chartData || [];
+        document.getElementById('data-rows-count').textContent = `${data.length} rows`;
+        document.getElementById('data-cols-count').textContent = 
+            `${Object.keys(data[0] || {}).length} columns`;
+
+        this.renderDataGrid();
+        this.renderColumnList(data);
+    }
+
+    /**
+     * Show the charted rows in the grid. Once missing-value strategies or
+     * steps change the rows, the dataset itself can be shown instead; only
+     * the dataset is editable, since its rows map back to the source.
+     */
+    renderDataGrid() {
+        const transformed = !this.pipeline.isEmpty() || Object.keys(this.missingApplied).length > 0;
+        document.getElementById('data-grid-toolbar').style.display = transformed ? 'flex' : 'none';
+
+        const showResult = transformed && this.gridView === 'result';
+        this.dataGrid.setData(showResult ? this.chartData : this.typedData, {
+            columnTypes: this.columnTypes,
+            editable: !showResult
+        });
+    }
+
+    /**
+     * Store an edited cell in the dataset, read the way the file was parsed
+     */
+    editCell(rowIndex, column, text) {
+        this.sourceData[rowIndex][column] = this.dataManager.parseValue(text, this.parsingProfile, column);
+        this.datasets.get(this.sourceName).edited = true;
+
+        this.refreshData(column);
+        this.updateStatus(`Updated ${column} in row ${rowIndex + 1}`);
+    }
+
+    /**
+     * Rename a dataset column along with its settings, steps and mappings
+     */
+    renameColumn(column, newName) {
+        if (newName in this.columnTypes) {
+            this.updateStatus(`A column named "${newName}" already exists`, 'error');
+            this.renderDataGrid();
+            return;
+        }
+
+        const dataset = this.datasets.get(this.sourceName);
+        const renameKey = object => Object.fromEntries(Object.entries(object)
+            .map(([key, value]) => [key === column ? newName : key, value]));
+
+        dataset.data = this.dataManager.renameColumn(this.sourceData, column, newName);
+        dataset.columnTypes = renameKey(dataset.columnTypes);
+        dataset.edited = true;
+        this.sourceData = dataset.data;
+        this.inferredTypes = dataset.columnTypes;
+        this.typeOverrides = renameKey(this.typeOverrides);
+        this.missingValues = renameKey(this.missingValues);
+        this.pipeline.renameColumn(column, newName);
+
+        const views = (this.composition && this.composition.views) || [];
+        [this.currentMappings, ...views.map(view => view.mappings)].forEach(mappings => {
+            Object.values(mappings).flat().forEach(mapping => {
+                if (mapping && mapping.column === column) mapping.column = newName;
+            });
+        });
+        if (this.composition && this.composition.fields) {
+            this.composition.fields = this.composition.fields.map(field => field === column ? newName : field);
+        }
+        if (this.profiledColumn === column) {
+            this.profiledColumn = newName;
+        }
+
+        this.saveDatasetSettings();
+        this.renderTransformSteps();
+        this.refreshData(newName);
+        this.syncMappings();
+        this.renderTransformForm();
+        this.renderDatasetSwitcher();
+        this.updateStatus(`Renamed ${column} to ${newName}`);
+    }
+
+    /**
+     * Re-derive the charted data after the dataset was edited, then update
+     * the views and chart
+     */
+    refreshData(column) {
+        try {
+            this.applyTypeOverrides();
+        } catch (error) {
+            console.error('Error applying transform steps:', error);
+            this.updateStatus(`Error applying transform steps: ${error.message}`, 'error');
+            return;
+        }
+
+        this.renderDataViews();
+        this.dragDropManager.setupColumnDragging();
+        if (this.profiledColumn === column) {
+            this.showColumnProfile(column);
+        }
+        this.updateChart();
+    }
+
+    renderColumnList(data) {
+        const columnsList = document.getElementById('columns-list');
+        
+        if (!data || data.length === 0) {
+            columnsList.innerHTML = '<p>No data loaded</p>';
+            return;
+        }
+        
+        const columns = Object.keys(data[0]);
+        const types = ['quantitative', 'temporal', 'ordinal', 'nominal'];
+        columnsList.innerHTML = columns.map(column => {
+            const type = this.columnTypes[column];
+            const inferred = this.getInferredType(column);
+            return `
+                <div class="column-item ${this.typeOverrides[column] ? 'type-overridden' : ''}" draggable="true" data-column="${escapeHTML(column)}" data-type="${type}">
+                    <div class="column-name">${escapeHTML(column)}</div>
+                    <select class="column-type-select" data-column="${escapeHTML(column)}" title="Column type">
+                        ${types.map(t => `<option value="${t}" ${t === type ? 'selected' : ''}>${t}${t === inferred ? ' (auto)' : ''}</option>`).join('')}
+                    </select>
+                    ${this.renderMissingControl(column, type)}
+                </div>
+            `;
+        }).join('');
+
+        columnsList.querySelectorAll('.column-type-select').forEach(select => {
+            select.addEventListener('change', () => {
+                this.setColumnType(select.dataset.column, select.value);
+            });
+        });
+
+        columnsList.querySelectorAll('.column-missing-select').forEach(select => {
+            select.addEventListener('change', () => {
+                this.setMissingStrategy(select.dataset.column, select.value);
+            });
         });
 
-        document.getElementById('download-chart').addEventListener('click', () => {
-            this.downloadChart();
+        columnsList.querySelectorAll('.column-item').forEach(item => {
+            item.addEventListener('click', (e) => {
+                if (e.target.closest('.column-type-select, .column-missing-select')) return;
+                this.showColumnProfile(item.dataset.column);
+            });
         });
     }
 
-    setupStatusActions() {
-        document.getElementById('clear-all').addEventListener('click', () => {
-            this.clearAll();
-        });
+    /**
+     * Missing-value count and strategy picker for a source column. Columns
+     * without gaps and without a strategy get nothing.
+     */
+    renderMissingControl(column, type) {
+        const count = this.missingCounts[column] || 0;
+        const current = this.missingValues[column];
+        if (!(column in this.inferredTypes) || (count === 0 && !current)) return '';
 
-        document.getElementById('save-project').addEventListener('click', () => {
-            this.saveProject();
-        });
+        const numeric = type === 'quantitative';
+        const strategies = [
+            ['', 'Keep missing'],
+            ['drop', 'Drop rows'],
+            ['constant', 'Fill with value…'],
+            ...(numeric ? [['mean', 'Fill with mean'], ['median', 'Fill with median']] : []),
+            ['ffill', 'Forward fill']
+        ];
+        const selected = current ? current.strategy : '';
+        const label = current && current.strategy === 'constant' ? `Fill with ${escapeHTML(current.value)}` : null;
+
+        return `
+            <div class="column-missing">
+                <span class="missing-count">${count.toLocaleString()} missing</span>
+                <select class="column-missing-select" data-column="${escapeHTML(column)}" title="Missing values">
+                    ${strategies.map(([value, text]) => `<option value="${value}" ${value === selected ? 'selected' : ''}>${value === 'constant' && label ? label : text}</option>`).join('')}
+                </select>
+            </div>
+        `;
     }
 
-    setupSpecTabs() {
-        document.querySelectorAll('.spec-tab').forEach(tab => {
-            tab.addEventListener('click', () => {
-                // Update tab active state
-                document.querySelectorAll('.spec-tab').forEach(t => 
-                    t.classList.remove('active'));
-                tab.classList.add('active');
-                
-                // Update spec display
-                this.updateSpecDisplay(tab.dataset.tab);
-            });
-        });
+    /**
+     * Choose how missing values in a column are handled before charting
+     */
+    setMissingStrategy(column, strategy) {
+        if (!strategy) {
+            delete this.missingValues[column];
+        } else if (strategy === 'constant') {
+            const previous = this.missingValues[column];
+            const value = prompt(`Fill missing ${column} values with:`,
+                previous && previous.strategy === 'constant' ? previous.value : '');
+            if (value === null || value === '') {
+                this.renderColumnList(this.chartData);
+                this.dragDropManager.setupColumnDragging();
+                return;
+            }
+            this.missingValues[column] = { strategy, value };
+        } else {
+            this.missingValues[column] = { strategy };
+        }
+
+        this.saveDatasetSettings();
+        this.applyTypeOverrides();
+        this.renderDataViews();
+        this.dragDropManager.setupColumnDragging();
+        if (this.profiledColumn === column) {
+            this.showColumnProfile(column);
+        }
+        this.updateChart();
+
+        const applied = this.missingApplied[column];
+        if (!applied) {
+            this.updateStatus(`Missing ${column} values are kept`);
+        } else if (applied.strategy === 'drop') {
+            this.updateStatus(`Dropped ${applied.dropped} rows with missing ${column}`);
+        } else if (applied.value === null) {
+            this.updateStatus(`No ${column} values to fill missing cells with`, 'warning');
+        } else {
+            this.updateStatus(`Filled ${applied.filled} missing ${column} values`);
+        }
     }
 
-    async handleFileUpload(file) {
-        this.updateStatus('Loading data...');
-        
+    /**
+     * Show summary statistics for a column, computed in the data worker
+     */
+    async showColumnProfile(column) {
+        this.profiledColumn = column;
+        document.querySelectorAll('.column-item').forEach(item => {
+            item.classList.toggle('profiled', item.dataset.column === column);
+        });
+
         try {
-            const data = await this.dataManager.parseFile(file);
-            this.loadData(data, file.name);
-            this.updateStatus(`Loaded ${data.length} rows from ${file.name}`);
+            const stats = await this.dataWorker.getColumnStats(this.chartData, column, this.columnTypes[column]);
+
+            // Ignore stale results if another column was picked meanwhile
+            if (this.profiledColumn !== column) return;
+
+            this.uiComponents.createColumnProfile('column-profile', column, stats, {
+                onClose: () => this.hideColumnProfile()
+            });
         } catch (error) {
-            console.error('Error loading file:', error);
-            this.updateStatus(`Error loading file: ${error.message}`, 'error');
+            console.error('Error profiling column:', error);
+            this.updateStatus(`Error profiling ${column}: ${error.message}`, 'error');
         }
     }
 
-    async loadSampleData(sampleType) {
-        this.updateStatus('Loading sample data...');
-        
-        try {
-            const data = await this.dataManager.loadSampleData(sampleType);
-            this.loadData(data, `Sample: ${sampleType}`);
-            this.updateStatus(`Loaded ${data.length} rows of ${sampleType} data`);
-        } catch (error) {
-            console.error('Error loading sample data:', error);
-            this.updateStatus(`Error loading sample data: ${error.message}`, 'error');
+    hideColumnProfile() {
+        this.profiledColumn = null;
+        document.getElementById('column-profile').innerHTML = '';
+        document.querySelectorAll('.column-item.profiled').forEach(item => item.classList.remove('profiled'));
+    }
+
+    /**
+     * Override the inferred type of a column. Choosing the inferred type
+     * again removes the override.
+     */
+    setColumnType(column, type) {
+        if (type === this.getInferredType(column)) {
+            delete this.typeOverrides[column];
+        } else {
+            this.typeOverrides[column] = type;
+        }
+
+        this.saveDatasetSettings();
+        this.applyTypeOverrides();
+
+        // Keep existing mappings in sync with the new type
+        Object.entries(this.currentMappings).forEach(([encoding, mapping]) => {
+            if ([mapping].flat().some(item => item && item.column === column)) {
+                this.currentMappings[encoding] = this.refreshMapping(mapping);
+                this.renderMappingZone(encoding);
+            }
+        });
+
+        this.renderDataViews();
+        this.dragDropManager.setupColumnDragging();
+        if (this.profiledColumn === column) {
+            this.showColumnProfile(column);
         }
+        this.updateChart();
+        this.updateStatus(`${column} is now treated as ${this.columnTypes[column]}`);
     }
 
-    loadData(data, sourceName) {
+    /**
+     * Derive the charted data and column types from the source data, the
+     * current type overrides and the missing-value strategies
+     */
+    applyTypeOverrides() {
+        // Derived columns don't exist yet; their overrides only set the encoding type
+        const sourceOverrides = Object.fromEntries(Object.entries(this.typeOverrides)
+            .filter(([column]) => column in this.inferredTypes));
+
+        const typed = this.dataManager.applyTypeOverrides(
+            this.sourceData, sourceOverrides, this.parsingProfile);
+        this.typedData = typed;
+        this.missingCounts = this.dataManager.getMissingCounts(typed);
+
+        const strategies = Object.fromEntries(Object.entries(this.missingValues)
+            .filter(([column]) => column in this.inferredTypes));
+        const { data, applied } = this.dataManager.applyMissingValues(typed, strategies);
         this.currentData = data;
-        
-        // Show data preview section
-        document.getElementById('data-preview-section').style.display = 'block';
-        
-        // Update data info
-        document.getElementById('data-rows-count').textContent = `${data.length} rows`;
-        document.getElementById('data-cols-count').textContent = 
-            `${Object.keys(data[0] || {}).length} columns`;
-        
-        // Render data table
-        this.renderDataTable(data);
-        
-        // Render column list
-        this.renderColumnList(data);
-        
-        // Initialize drag and drop for columns
-        this.dragDropManager.initColumnDragDrop();
-        
-        // Clear existing mappings
-        this.clearMappings();
-        
-        // Update chart
-        this.updateChart();
+        this.missingApplied = applied;
+        this.applyPipeline();
     }
 
-    renderDataTable(data) {
-        const table = document.getElementById('data-table');
-        const thead = document.getElementById('data-table-head');
-        const tbody = document.getElementById('data-table-body');
-        
-        if (!data || data.length === 0) return;
-        
-        const columns = Object.keys(data[0]);
-        
-        // Render header
-        thead.innerHTML = `<tr>${columns.map(col => `<th>${col}</th>`).join('')}</tr>`;
-        
-        // Render first 10 rows
-        const rows = data.slice(0, 10).map(row => 
-            `<tr>${columns.map(col => `<td>${row[col] || ''}</td>`).join('')}</tr>`
-        ).join('');
-        
-        tbody.innerHTML = rows;
-        
-        // Add "..." row if more data exists
-        if (data.length > 10) {
-            const ellipsisRow = `<tr class="ellipsis-row">${columns.map(() => '<td>...</td>').join('')}</tr>`;
-            tbody.innerHTML += ellipsisRow;
-        }
+    /**
+     * Run the transformation steps and type the columns they produce
+     */
+    applyPipeline() {
+        this.chartData = this.pipeline.apply(this.currentData);
+
+        const columns = Object.keys((this.chartData && this.chartData[0]) || {});
+        this.derivedTypes = {};
+        columns.filter(column => !(column in this.inferredTypes)).forEach(column => {
+            this.derivedTypes[column] = this.dataManager.inferColumnType(this.chartData, column);
+        });
+
+        this.columnTypes = { ...this.inferredTypes, ...this.derivedTypes, ...this.typeOverrides };
     }
 
-    renderColumnList(data) {
-        const columnsList = document.getElementById('columns-list');
-        
-        if (!data || data.length === 0) {
-            columnsList.innerHTML = '<p>No data loaded</p>';
-            return;
+    getInferredType(column) {
+        return this.inferredTypes[column] || this.derivedTypes[column];
+    }
+
+    /**
+     * Remember type overrides, missing-value strategies, steps and the
+     * chart so re-loading or switching back to the dataset restores them
+     */
+    saveDatasetSettings() {
+        this.datasetSettings.set(this.sourceName, {
+            chart: {
+                chartType: this.currentChartType,
+                mappings: structuredClone(this.currentMappings),
+                layers: structuredClone(this.chartLayers),
+                composition: structuredClone(this.composition)
+            },
+            typeOverrides: { ...this.typeOverrides },
+            missingValues: { ...this.missingValues },
+            pipeline: this.pipeline.steps.map(step => ({ ...step }))
+        });
+    }
+
+    /**
+     * Chart inputs shared by the Vega-Lite and full specifications. Steps
+     * Vega-Lite can express are emitted as transforms over the values,
+     * which always hold every row, even for large datasets.
+     */
+    getSpecOptions() {
+        const { values, transform } = this.pipeline.compile(this.currentData);
+        const large = this.largeData.isLarge(this.chartData);
+        return {
+            data: values,
+            transform,
+            chartType: this.currentChartType,
+            mappings: this.currentMappings,
+            layers: this.chartLayers,
+            composition: this.composition,
+            interactions: this.interactions,
+            config: large ? { ...this.chartConfig, renderer: 'canvas' } : this.chartConfig
+        };
+    }
+
+    /**
+     * Why the charted rows can't be re-created by loading the data URL,
+     * or null when they can
+     */
+    getURLSourceProblem() {
+        const dataset = this.datasets.get(this.sourceName);
+        if (this.pipeline.isMaterialized()) {
+            return 'The data is joined with another dataset, which a URL can\'t reproduce';
         }
-        
-        const columns = Object.keys(data[0]);
-        columnsList.innerHTML = columns.map(column => {
-            const type = this.dataManager.inferColumnType(data, column);
-            return `
-                <div class="column-item" draggable="true" data-column="${column}" data-type="${type}">
-                    <div class="column-name">${column}</div>
-                    <div class="column-type">${type}</div>
-                </div>
-            `;
-        }).join('');
+        if (Object.values(this.missingApplied).some(applied => applied.strategy === 'ffill')) {
+            return 'Missing values are filled from the previous row, which a URL can\'t reproduce';
+        }
+        if (dataset && dataset.edited) {
+            return 'The data was edited in the grid; loading it from a URL would lose the edits';
+        }
+        if (this.dataSource && this.dataSource.explode) {
+            return 'A nested array was exploded into rows, which a URL can\'t reproduce';
+        }
+        if (!this.dataManager.isDefaultProfile(this.parsingProfile)) {
+            return 'The data was read with custom parsing options (separators, date formats, missing-value markers), which a URL can\'t reproduce';
+        }
+        return null;
+    }
+
+    /**
+     * Dataset details recorded in the full specification. Missing-value
+     * strategies are recorded with the fill values actually used; a joined
+     * dataset records the join and where both sides came from.
+     */
+    getDatasetSpec() {
+        const dataset = this.datasets.get(this.sourceName);
+        const source = this.dataSource && !this.getURLSourceProblem() ? this.dataSource : null;
+        const missingValues = Object.fromEntries(Object.entries(this.missingApplied)
+            .map(([column, { strategy, value }]) => [column, value === undefined ? { strategy } : { strategy, value }]));
+
+        const join = dataset && dataset.source && dataset.source.type === 'derived' ? dataset.source.join : null;
+
+        return {
+            name: this.sourceName,
+            ...(source ? { source } : {}),
+            ...(join ? { join: this.describeJoin(join) } : {}),
+            parsing: {
+                profile: this.parsingProfile,
+                typeOverrides: this.typeOverrides,
+                ...(Object.keys(missingValues).length > 0 ? { missingValues } : {})
+            }
+        };
+    }
+
+    /**
+     * A join definition with the origin of each side, so it can be redone
+     * from the original files or URLs
+     */
+    describeJoin({ left, right, on, how }) {
+        const side = name => {
+            const dataset = this.datasets.get(name);
+            const settings = this.datasetSettings.get(name) || {};
+            return {
+                name,
+                ...(dataset && dataset.source ? { source: dataset.source } : {}),
+                ...(settings.typeOverrides && Object.keys(settings.typeOverrides).length > 0
+                    ? { typeOverrides: settings.typeOverrides } : {})
+            };
+        };
+
+        return { how, on, left: side(left), right: side(right) };
     }
 
+    /**
+     * Map a column to an encoding. Multi channels (tooltip) add the
+     * column to their list instead of replacing it.
+     */
     updateMapping(encoding, column, type) {
-        this.currentMappings[encoding] = { column, type };
+        if (ENCODING_CHANNELS[encoding].multi) {
+            const current = this.currentMappings[encoding] || [];
+            if (current.some(mapping => mapping.column === column)) return;
+            this.currentMappings[encoding] = [...current, { column, type }];
+        } else {
+            this.currentMappings[encoding] = { column, type };
+        }
         
         // Update UI
+        this.renderMappingZone(encoding);
+        this.renderComposition();
+        
+        this.updateChart();
+        this.updateStatus(`Mapped ${column} to ${encoding}`);
+    }
+
+    renderMappingZone(encoding) {
+        const mappings = [this.currentMappings[encoding]].flat();
         const zoneContent = document.querySelector(`[data-encoding="${encoding}"]`);
         zoneContent.classList.add('has-column');
-        zoneContent.innerHTML = `
+        zoneContent.innerHTML = mappings.map(mapping => `
             <div class="mapped-column">
-                <div class="column-name">${column}</div>
-                <div class="column-type">${type}</div>
-                <button class="remove-mapping" onclick="chartBuilder.removeMapping('${encoding}')">&times;</button>
+                <div class="column-name">${escapeHTML(mapping.column)}</div>
+                <div class="column-type">
+                    <span class="column-summary">${escapeHTML(this.describeMapping(mapping))}</span>
+                    <button class="mapping-options" title="Aggregate, bin, time unit and sort">⚙</button>
+                </div>
+                <button class="remove-mapping">&times;</button>
             </div>
-        `;
-        
+        `).join('');
+
+        zoneContent.querySelectorAll('.mapped-column').forEach((chip, index) => {
+            const { column } = mappings[index];
+            chip.querySelector('.remove-mapping').addEventListener('click', () => this.removeMapping(encoding, column));
+            chip.querySelector('.mapping-options').addEventListener('click', (e) => {
+                this.showFieldOptions(encoding, column, e.currentTarget);
+            });
+        });
+    }
+
+    describeMapping({ type, aggregate, bin, timeUnit, sort }) {
+        return [type, aggregate, bin && 'binned', timeUnit, sort && `sort ${sort}`].filter(Boolean).join(' · ');
+    }
+
+    /**
+     * Open the aggregate/bin/time unit/sort popover of a mapped column
+     */
+    showFieldOptions(encoding, column, anchor) {
+        const mapping = [this.currentMappings[encoding]].flat().find(item => item.column === column);
+
+        this.uiComponents.createFieldOptionsPopover(anchor, mapping, {
+            aggregates: AGGREGATES,
+            timeUnits: TIME_UNITS,
+            sortOrders: SORT_ORDERS,
+            onChange: fieldOptions => this.setFieldOptions(encoding, column, fieldOptions)
+        });
+    }
+
+    /**
+     * Store field options on a mapped column; null removes an option
+     */
+    setFieldOptions(encoding, column, fieldOptions) {
+        const mapping = [this.currentMappings[encoding]].flat().find(item => item.column === column);
+        Object.entries(fieldOptions).forEach(([option, value]) => {
+            if (value === null) {
+                delete mapping[option];
+            } else {
+                mapping[option] = value;
+            }
+        });
+
+        // Re-rendering replaces the chip the popover is anchored to
+        const chip = [...document.querySelectorAll(`[data-encoding="${encoding}"] .mapped-column`)]
+            .find(item => item.querySelector('.column-name').textContent === column);
+        chip.querySelector('.column-summary').textContent = this.describeMapping(mapping);
+
         this.updateChart();
-        this.updateStatus(`Mapped ${column} to ${encoding}`);
+        this.updateStatus(`Updated ${encoding} options for ${column}`);
+    }
+
+    /**
+     * Whether the mapped channels are enough to draw the current chart type
+     */
+    hasRequiredMappings() {
+        return this.specBuilder.hasRequiredMappings(this.currentChartType, this.currentMappings);
     }
 
-    removeMapping(encoding) {
+    /**
+     * Clear an encoding, or with a column, remove just that column from a
+     * multi channel
+     */
+    removeMapping(encoding, column = null) {
+        const mapping = this.currentMappings[encoding];
+        if (column !== null && Array.isArray(mapping) && mapping.length > 1) {
+            this.currentMappings[encoding] = mapping.filter(item => item.column !== column);
+            this.renderMappingZone(encoding);
+            this.updateChart();
+            this.updateStatus(`Removed ${column} from ${encoding}`);
+            return;
+        }
+
         this.currentMappings[encoding] = null;
         
         // Update UI
         const zoneContent = document.querySelector(`[data-encoding="${encoding}"]`);
         zoneContent.classList.remove('has-column');
-        zoneContent.innerHTML = `<div class="zone-placeholder">Drop column here</div>`;
+        zoneContent.innerHTML = `<div class="zone-placeholder">${ENCODING_CHANNELS[encoding].multi
+            ? 'Drop columns (several allowed)' : 'Drop column here'}</div>`;
+        this.renderComposition();
         
         this.updateChart();
         this.updateStatus(`Removed ${encoding} mapping`);
     }
 
+    /**
+     * Remove every mapping, layer and extra view
+     */
     clearMappings() {
+        this.chartLayers = [];
+        this.composition = null;
+        this.renderLayers();
+
         Object.keys(this.currentMappings).forEach(encoding => {
             this.removeMapping(encoding);
         });
     }
 
     updateChart() {
-        if (!this.currentData || !this.currentMappings.x || !this.currentMappings.y) {
+        if (!this.currentData || !this.hasRequiredMappings()) {
             this.showChartPlaceholder();
-            this.updateSpecDisplay('preview');
+            this.updateSpecDisplay(this.specTab);
             return;
         }
         
         try {
             // Generate Vega-Lite specification
-            const spec = this.specBuilder.buildSpec({
-                data: this.currentData,
-                chartType: this.currentChartType,
-                mappings: this.currentMappings,
-                config: this.chartConfig
-            });
+            const { spec, info } = this.buildPreviewSpec();
+            this.renderLargeDataBar(info);
             
-            // Render chart
-            this.chartRenderer.render('chart-container', spec);
+            // Render chart; canvas copes with many more marks than SVG
+            this.chartRenderer.render('chart-container', spec, {
+                renderer: info ? 'canvas' : 'svg',
+                onSelect: (name, value) => this.reportSelection(name, value)
+            });
             
             // Update spec display
-            this.updateSpecDisplay('preview');
+            this.updateSpecDisplay(this.specTab);
             
         } catch (error) {
             console.error('Error updating chart:', error);
@@ -342,7 +2028,98 @@ class ChartBuilder {
         }
     }
 
+    /**
+     * Spec for the on-screen chart. Large datasets are pre-aggregated or
+     * sampled in JavaScript first; info describes the reduction, or is
+     * null for regular datasets.
+     */
+    buildPreviewSpec() {
+        if (!this.largeData.isLarge(this.chartData)) {
+            return { spec: this.specBuilder.buildSpec(this.getSpecOptions()), info: null };
+        }
+
+        // Reduced rows only fit the chart's own columns and marks, so
+        // multi-view layouts and layers over pre-binned data use every row
+        const reduction = this.composition ? null : this.largeData.reduce({
+            data: this.chartData,
+            chartType: this.currentChartType,
+            mappings: this.currentMappings,
+            options: this.largeDataOptions
+        });
+
+        if (!reduction || (reduction.patchSpec && this.chartLayers.length > 0)) {
+            const totalRows = this.chartData.length;
+            return {
+                spec: this.specBuilder.buildSpec(this.getSpecOptions()),
+                info: { mode: 'full', totalRows, shownRows: totalRows }
+            };
+        }
+
+        let spec = this.specBuilder.buildSpec({
+            data: reduction.data,
+            chartType: this.currentChartType,
+            mappings: reduction.mappings,
+            config: this.chartConfig,
+            layers: this.chartLayers,
+            interactions: this.interactions
+        });
+        if (reduction.patchSpec) {
+            spec = reduction.patchSpec(spec);
+        }
+
+        return { spec, info: reduction.info };
+    }
+
+    /**
+     * Show the "showing N of M" badge and sampling controls
+     */
+    renderLargeDataBar(info) {
+        const bar = document.getElementById('large-data-bar');
+
+        if (!info) {
+            bar.innerHTML = '';
+            return;
+        }
+
+        const canStratify = this.currentMappings.color && this.currentMappings.color.type !== 'quantitative';
+        const sizes = [1000, 5000, 10000, 20000];
+
+        bar.innerHTML = `
+            <span class="large-data-badge">⚡ ${this.largeData.describe(info)}</span>
+            ${info.mode === 'sample' ? `
+                <select data-option="sampling" title="Sampling method">
+                    <option value="random" ${this.largeDataOptions.sampling === 'random' ? 'selected' : ''}>Random</option>
+                    <option value="stratified" ${this.largeDataOptions.sampling === 'stratified' ? 'selected' : ''} ${canStratify ? '' : 'disabled'}>Stratified by color</option>
+                </select>
+                <select data-option="sampleSize" title="Sample size">
+                    ${sizes.map(size => `<option value="${size}" ${size === this.largeDataOptions.sampleSize ? 'selected' : ''}>${size.toLocaleString()} points</option>`).join('')}
+                </select>
+            ` : ''}
+        `;
+
+        bar.querySelectorAll('select').forEach(select => {
+            select.addEventListener('change', () => {
+                const key = select.dataset.option;
+                this.largeDataOptions[key] = key === 'sampleSize' ? Number(select.value) : select.value;
+                this.updateChart();
+            });
+        });
+    }
+
+    /**
+     * Shorten long data arrays for on-screen display; exports keep all rows
+     */
+    elideValues(spec) {
+        return JSON.stringify(spec, (key, value) => {
+            if (key === 'values' && Array.isArray(value) && value.length > 100) {
+                return [...value.slice(0, 5), `… ${(value.length - 5).toLocaleString()} more rows (included when exported)`];
+            }
+            return value;
+        }, 2);
+    }
+
     showChartPlaceholder() {
+        this.renderLargeDataBar(null);
         const container = document.getElementById('chart-container');
         container.innerHTML = `
             <div class="chart-placeholder">
@@ -355,33 +2132,35 @@ class ChartBuilder {
     updateSpecDisplay(tabType) {
         const display = document.getElementById('spec-display');
         
-        if (!this.currentData || !this.currentMappings.x || !this.currentMappings.y) {
+        if (!this.currentData || !this.hasRequiredMappings()) {
             display.textContent = 'Configure chart to see specification';
             return;
         }
         
         try {
             let content = '';
+            const format = this.largeData.isLarge(this.chartData)
+                ? spec => this.elideValues(spec)
+                : spec => JSON.stringify(spec, null, 2);
             
             switch (tabType) {
                 case 'vega':
-                    const vegaSpec = this.specBuilder.buildSpec({
-                        data: this.currentData,
-                        chartType: this.currentChartType,
-                        mappings: this.currentMappings,
-                        config: this.chartConfig
-                    });
-                    content = JSON.stringify(vegaSpec, null, 2);
+                    const vegaSpec = this.specBuilder.buildSpec(this.getSpecOptions());
+                    content = format(vegaSpec);
                     break;
                     
                 case 'full':
                     const fullSpec = this.specBuilder.buildFullSpec({
-                        data: this.currentData,
-                        chartType: this.currentChartType,
-                        mappings: this.currentMappings,
-                        config: this.chartConfig
+                        ...this.getSpecOptions(),
+                        dataset: this.getDatasetSpec(),
+                        pipeline: this.pipeline.toJSON()
                     });
-                    content = JSON.stringify(fullSpec, null, 2);
+                    content = format(fullSpec);
+                    break;
+
+                case 'code':
+                    // Long data is cut short on screen; copying keeps every row
+                    content = this.generateCode({ maxRows: 50 });
                     break;
                     
                 case 'preview':
@@ -396,33 +2175,85 @@ class ChartBuilder {
         }
     }
 
+    /**
+     * Code drawing the current chart type and mappings with the selected
+     * library, over the transformed rows. Layers, composition and
+     * interactions aren't carried over.
+     */
+    generateCode(options = {}) {
+        return this.codeGenerator.generate(this.codeLanguage, {
+            data: this.chartData,
+            chartType: this.currentChartType,
+            mappings: this.currentMappings,
+            config: this.chartConfig
+        }, options);
+    }
+
+    async copyCode() {
+        if (!this.currentData || !this.hasRequiredMappings()) {
+            this.updateStatus('Configure the chart to generate code', 'warning');
+            return;
+        }
+
+        try {
+            await navigator.clipboard.writeText(this.generateCode());
+            this.updateStatus(`${CODE_LANGUAGES[this.codeLanguage].label} code copied to the clipboard`);
+        } catch (error) {
+            this.updateStatus(`Could not copy the code: ${error.message}`, 'error');
+        }
+    }
+
+    /**
+     * Open the generated code, data included, in the sandbox that runs it
+     */
+    openCodeInSandbox() {
+        if (!this.currentData || !this.hasRequiredMappings()) {
+            this.updateStatus('Configure the chart to generate code', 'warning');
+            return;
+        }
+
+        const { label, language, sandbox } = CODE_LANGUAGES[this.codeLanguage];
+        try {
+            openInSandbox(sandbox, {
+                code: this.generateCode(),
+                language,
+                title: `Chart Builder: ${this.chartConfig.title || `${this.currentChartType} chart`}`
+            });
+            this.updateStatus(`Opened the ${label} code in the sandbox`);
+        } catch (error) {
+            this.updateStatus(error.message, 'error');
+        }
+    }
+
     generateSpecPreview() {
-        const mappings = Object.entries(this.currentMappings)
-            .filter(([_, value]) => value !== null)
-            .map(([key, value]) => `${key}: ${value.column} (${value.type})`)
+        const mappings = getMappedFields(this.currentMappings)
+            .map(({ channel, column, ...mapping }) => `${channel}: ${column} (${this.describeMapping(mapping)})`)
             .join('\n');
             
         return `Chart Type: ${this.currentChartType}
 Title: ${this.chartConfig.title || 'Untitled'}
 Dimensions: ${this.chartConfig.width}×${this.chartConfig.height}
-Data: ${this.currentData?.length || 0} rows
+Data: ${this.chartData?.length || 0} rows
+Transform steps: ${this.pipeline.steps.length}
+Layers: ${this.chartLayers.map(layer => LAYER_TYPES[layer.type].label).join(', ') || 'none'}
+Layout: ${this.describeComposition()}
+Interactions: ${this.describeInteractions()}
 
 Mappings:
 ${mappings}`;
     }
 
     exportSpecification() {
-        if (!this.currentData || !this.currentMappings.x || !this.currentMappings.y) {
+        if (!this.currentData || !this.hasRequiredMappings()) {
             this.updateStatus('Cannot export: incomplete chart configuration', 'error');
             return;
         }
         
         try {
             const fullSpec = this.specBuilder.buildFullSpec({
-                data: this.currentData,
-                chartType: this.currentChartType,
-                mappings: this.currentMappings,
-                config: this.chartConfig
+                ...this.getSpecOptions(),
+                dataset: this.getDatasetSpec(),
+                pipeline: this.pipeline.toJSON()
             });
             
             // Create and download file
@@ -445,10 +2276,144 @@ ${mappings}`;
         }
     }
 
+    /**
+     * Load a chart from an exported full specification. The chart is
+     * applied to the dataset being shown; with none shown, the spec's
+     * inline rows are loaded as a new dataset first.
+     */
+    async importSpecification(file) {
+        try {
+            const parsed = this.specBuilder.parseFullSpec(JSON.parse(await file.text()));
+            const { data } = parsed;
+
+            if (!this.currentData) {
+                // Inline rows of a spec with steps are already transformed; re-applying would differ
+                if (!data || !Array.isArray(data.values) || data.pipeline) {
+                    throw new Error('Load the data this chart was made from, then import its specification');
+                }
+                this.loadData(data.values, this.datasets.uniqueName(data.name || file.name), null, {
+                    source: { type: 'file', fileName: file.name }
+                });
+            }
+
+            const skipped = [...new Set(this.specBuilder.getAllMappedFields(parsed.mappings, parsed.composition)
+                .map(field => field.column)
+                .filter(column => !(column in this.columnTypes)))];
+
+            this.clearMappings();
+            this.restoreChart(parsed);
+
+            this.chartConfig = { ...this.chartConfig, ...parsed.config };
+            ['title', 'width', 'height'].forEach(key => {
+                document.getElementById(`chart-${key}`).value = this.chartConfig[key];
+            });
+            this.interactions = parsed.interactions;
+            this.renderInteractions();
+
+            this.updateChart();
+            if (skipped.length > 0) {
+                this.updateStatus(`Imported ${file.name}; columns not in this dataset were left out: ${skipped.join(', ')}`, 'warning');
+            } else {
+                this.updateStatus(`Imported chart from ${file.name}`);
+            }
+        } catch (error) {
+            console.error('Error importing specification:', error);
+            this.updateStatus(`Error importing: ${error.message}`, 'error');
+        }
+    }
+
+    /**
+     * Ask for a format and size, then download the rendered chart
+     */
     downloadChart() {
-        // This would implement chart download as PNG/SVG
-        // For now, show a placeholder message
-        this.updateStatus('Chart download feature coming soon');
+        if (!this.currentData || !this.hasRequiredMappings()) {
+            this.updateStatus('Cannot download: incomplete chart configuration', 'error');
+            return;
+        }
+
+        const slug = (this.chartConfig.title || '').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+        this.uiComponents.createDownloadDialog('download-dialog', {
+            formats: EXPORT_FORMATS,
+            filename: slug || 'chart',
+            onDownload: async (settings) => {
+                await this.chartRenderer.exportChart(settings.format, settings);
+                this.updateStatus(`Chart downloaded as ${settings.filename}`);
+            }
+        });
+        this.uiComponents.showModal('download-dialog');
+    }
+
+    /**
+     * Export the chart as a standalone HTML page or an embed snippet
+     */
+    exportHTML() {
+        if (!this.currentData || !this.hasRequiredMappings()) {
+            this.updateStatus('Cannot export: incomplete chart configuration', 'error');
+            return;
+        }
+
+        const { source } = this.getDatasetSpec();
+        const slug = (this.chartConfig.title || '').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+
+        this.uiComponents.createHTMLExportDialog('html-export-dialog', {
+            libraryModes: LIBRARY_MODES,
+            dataURL: source ? new URL(source.url, location.href).href : '',
+            dataURLProblem: this.getURLSourceProblem(),
+            filename: slug || 'chart',
+            onDownload: async (settings) => {
+                const html = await this.htmlExporter.buildStandaloneHTML(this.buildExportSpec(settings), settings);
+                this.chartRenderer.downloadBlob(new Blob([html], { type: 'text/html' }), settings.filename);
+                this.updateStatus(`Chart exported as ${settings.filename}`);
+            },
+            onSnippet: async (settings) => {
+                const snippet = this.htmlExporter.buildEmbedSnippet(this.buildExportSpec(settings));
+                try {
+                    if (!navigator.clipboard) {
+                        throw new Error('the clipboard is not available');
+                    }
+                    await navigator.clipboard.writeText(snippet);
+                    this.updateStatus('Embed code copied to the clipboard');
+                } catch (error) {
+                    this.updateStatus(`Could not copy the embed code (${error.message}); copy it from the dialog by hand`, 'warning');
+                }
+                return snippet;
+            }
+        });
+        this.uiComponents.showModal('html-export-dialog');
+    }
+
+    /**
+     * Full specification for an HTML export, with the rows inline or
+     * loaded from settings.dataURL
+     */
+    buildExportSpec({ data, dataURL }) {
+        const { source, ...inline } = this.getDatasetSpec();
+
+        if (data !== 'url') {
+            return this.specBuilder.buildFullSpec({ ...this.getSpecOptions(), dataset: inline, pipeline: this.pipeline.toJSON() });
+        }
+
+        // No URL, typed in or not, gives back joined, filled, edited or custom-parsed rows
+        const problem = this.getURLSourceProblem();
+        if (problem) {
+            throw new Error(`${problem}; put the data inline`);
+        }
+
+        // Keep the loaded source's settings (record path) when its URL is used
+        const url = new URL(dataURL, location.href).href;
+        const urlSource = source && new URL(source.url, location.href).href === url
+            ? { ...source, url }
+            : { type: 'url', url, format: this.dataManager.detectURLFormat(url) };
+        const fullSpec = this.specBuilder.buildFullSpec({
+            ...this.getSpecOptions(),
+            dataset: { ...inline, source: urlSource },
+            pipeline: this.pipeline.toJSON()
+        });
+
+        if (fullSpec.data.source !== 'url') {
+            throw new Error(`Vega-Lite can't load ${urlSource.format} data from a URL; use CSV, TSV or JSON, or put the data inline`);
+        }
+        return fullSpec;
     }
 
     saveProject() {
@@ -458,15 +2423,37 @@ ${mappings}`;
 
     clearAll() {
         if (confirm('Are you sure you want to clear all data and mappings?')) {
-            this.currentData = null;
-            this.clearMappings();
-            document.getElementById('data-preview-section').style.display = 'none';
-            this.showChartPlaceholder();
-            this.updateSpecDisplay('preview');
+            this.datasets.clear();
+            this.datasetSettings.clear();
+            this.resetData();
             this.updateStatus('All data cleared');
         }
     }
 
+    /**
+     * Return to the empty state once no dataset is shown
+     */
+    resetData() {
+        this.currentData = null;
+        this.sourceData = null;
+        this.typedData = null;
+        this.sourceName = null;
+        this.chartData = null;
+        this.parseIssues = [];
+        this.lastUpload = null;
+        this.setDataSource(null);
+        document.getElementById('upload-options').innerHTML = '';
+        this.renderSuggestedCharts(null);
+        this.renderDatasetSwitcher();
+        this.pipeline = this.createPipeline();
+        this.hideColumnProfile();
+        this.clearMappings();
+        document.getElementById('data-preview-section').style.display = 'none';
+        document.getElementById('transform-section').style.display = 'none';
+        this.showChartPlaceholder();
+        this.updateSpecDisplay(this.specTab);
+    }
+
     updateStatus(message, type = 'info') {
         const statusMessage = document.getElementById('status-message');
         statusMessage.textContent = message;
@@ -4,6 +4,16 @@
  */
 
 import embed from 'vega-embed';
+import { CHART_TYPES } from './spec-builder.js';
+
+/**
+ * Formats a chart can be downloaded in
+ */
+export const EXPORT_FORMATS = {
+    png: { label: 'PNG image', type: 'image/png' },
+    svg: { label: 'SVG vector image', type: 'image/svg+xml' },
+    pdf: { label: 'PDF document', type: 'application/pdf' }
+};
 
 export class ChartRenderer {
     constructor() {
@@ -13,9 +23,12 @@ export class ChartRenderer {
     }
 
     /**
-     * Render chart with Vega-Lite specification
+     * Render chart with Vega-Lite specification.
+     * options.renderer switches to 'canvas' for charts with many marks;
+     * options.onSelect(name, value) is called when a brush, click or
+     * legend selection of the spec changes.
      */
-    async render(containerId, spec) {
+    async render(containerId, spec, options = {}) {
         
         if (!this.vegaEmbed) {
             throw new Error('Vega-Embed not loaded');
@@ -31,9 +44,9 @@ export class ChartRenderer {
             container.innerHTML = '';
 
             // Set up Vega-Embed options
-            const options = {
+            const embedOptions = {
                 theme: 'quartz', // Modern theme
-                renderer: 'svg',  // SVG for better quality
+                renderer: options.renderer || 'svg',  // SVG for better quality
                 actions: {
                     export: true,
                     source: false,
@@ -45,11 +58,11 @@ export class ChartRenderer {
             };
 
             // Render the chart
-            const result = await this.vegaEmbed(container, spec, options);
+            const result = await this.vegaEmbed(container, spec, embedOptions);
             this.currentView = result.view;
 
             // Add interaction handlers
-            this.addInteractionHandlers(result.view);
+            this.addInteractionHandlers(result.view, spec, options.onSelect);
 
             return result;
 
@@ -63,18 +76,18 @@ export class ChartRenderer {
     /**
      * Add interaction handlers to the chart
      */
-    addInteractionHandlers(view) {
+    addInteractionHandlers(view, spec, onSelect) {
         if (!view) return;
 
         // Add tooltip interactions
         view.tooltip(true);
 
-        // Add click handlers for data points
-        view.addEventListener('click', (event, item) => {
-            if (item && item.datum) {
-                this.handleDataPointClick(item.datum);
-            }
-        });
+        // Selections are signals named after their params; zooming isn't reported
+        if (onSelect) {
+            this.getSelectionNames(spec)
+                .filter(name => name !== 'zoom')
+                .forEach(name => view.addSignalListener(name, (_, value) => onSelect(name, value)));
+        }
 
         // Add hover handlers
         view.addEventListener('mouseover', (event, item) => {
@@ -91,15 +104,38 @@ export class ChartRenderer {
     }
 
     /**
-     * Handle data point click
+     * Names of the selection params anywhere in a spec's views
      */
-    handleDataPointClick(datum) {
-        console.log('Data point clicked:', datum);
-        
-        // Could implement selection, filtering, or drill-down here
-        if (window.chartBuilder) {
-            window.chartBuilder.updateStatus(`Clicked: ${JSON.stringify(datum)}`);
-        }
+    getSelectionNames(spec) {
+        const names = new Set();
+        const visit = node => {
+            if (Array.isArray(node)) {
+                node.forEach(visit);
+            } else if (node && typeof node === 'object') {
+                (node.params || []).filter(param => param.select).forEach(param => names.add(param.name));
+                ['layer', 'concat', 'hconcat', 'vconcat', 'spec'].forEach(key => visit(node[key]));
+            }
+        };
+
+        visit(spec);
+        return [...names];
+    }
+
+    /**
+     * Short text for a selection value: the range of each field of an
+     * interval, or the values picked per field; empty when nothing is selected
+     */
+    describeSelection(value, interval = false) {
+        const format = item => typeof item === 'number'
+            ? item.toLocaleString(undefined, { maximumFractionDigits: 2 })
+            : item instanceof Date ? item.toLocaleDateString() : String(item);
+
+        return Object.entries(value || {})
+            .filter(([field]) => field !== 'vlPoint')
+            .map(([field, values]) => interval
+                ? `${field} ${format(values[0])}–${format(values[values.length - 1])}`
+                : `${field} ${[values].flat().map(format).join(', ')}`)
+            .join('; ');
     }
 
     /**
@@ -200,30 +236,36 @@ export class ChartRenderer {
     }
 
     /**
-     * Export chart as PNG
+     * Download the chart as 'png', 'svg' or 'pdf' (see EXPORT_FORMATS).
+     * options: { filename, scale, transparent, width, height, view }.
+     * The chart is drawn at its own size, or fitted into width x height
+     * pixels when given; PNG and PDF are rendered at scale times that size.
+     * view defaults to the last rendered chart.
      */
-    async exportToPNG(filename = 'chart.png') {
-        if (!this.currentView) {
-            throw new Error('No chart to export');
+    async exportChart(format, options = {}) {
+        if (!(format in EXPORT_FORMATS)) {
+            throw new Error(`Unknown export format: ${format}`);
+        }
+
+        const filename = options.filename || `chart.${format}`;
+        switch (format) {
+            case 'png':
+                return this.exportToPNG(filename, options);
+            case 'svg':
+                return this.exportToSVG(filename, options);
+            case 'pdf':
+                return this.exportToPDF(filename, options);
         }
+    }
 
+    /**
+     * Export chart as PNG
+     */
+    async exportToPNG(filename = 'chart.png', options = {}) {
         try {
-            const canvas = await this.currentView.toCanvas(2); // 2x scale for quality
-            
-            // Convert canvas to blob
-            return new Promise((resolve) => {
-                canvas.toBlob((blob) => {
-                    const url = URL.createObjectURL(blob);
-                    const a = document.createElement('a');
-                    a.href = url;
-                    a.download = filename;
-                    document.body.appendChild(a);
-                    a.click();
-                    document.body.removeChild(a);
-                    URL.revokeObjectURL(url);
-                    resolve();
-                });
-            });
+            const canvas = await this.renderExportCanvas(options);
+            const blob = await new Promise(resolve => canvas.toBlob(resolve, 'image/png'));
+            this.downloadBlob(blob, filename);
         } catch (error) {
             console.error('Error exporting to PNG:', error);
             throw error;
@@ -231,31 +273,124 @@ export class ChartRenderer {
     }
 
     /**
-     * Export chart as SVG
+     * Export chart as SVG. A fixed width and height scale the drawing to
+     * fit, keeping its proportions.
      */
-    async exportToSVG(filename = 'chart.svg') {
-        if (!this.currentView) {
-            throw new Error('No chart to export');
+    async exportToSVG(filename = 'chart.svg', options = {}) {
+        try {
+            const view = this.getExportView(options);
+            const fit = options.width || options.height ? await this.getFitScale(view, options) : 1;
+            const svg = await this.withBackground(view, options.transparent, () => view.toSVG(fit));
+            this.downloadBlob(new Blob([svg], { type: 'image/svg+xml' }), filename);
+        } catch (error) {
+            console.error('Error exporting to SVG:', error);
+            throw error;
         }
+    }
 
+    /**
+     * Export chart as a one-page PDF the size of the chart, holding the
+     * chart as an image rendered at the export scale
+     */
+    async exportToPDF(filename = 'chart.pdf', options = {}) {
         try {
-            const svg = await this.currentView.toSVG();
-            const blob = new Blob([svg], { type: 'image/svg+xml' });
-            const url = URL.createObjectURL(blob);
-            
-            const a = document.createElement('a');
-            a.href = url;
-            a.download = filename;
-            document.body.appendChild(a);
-            a.click();
-            document.body.removeChild(a);
-            URL.revokeObjectURL(url);
+            const scale = options.scale || 2;
+            const canvas = await this.renderExportCanvas({ ...options, scale });
+            const width = canvas.width / scale;
+            const height = canvas.height / scale;
+
+            const { jsPDF } = await import('jspdf');
+            const pdf = new jsPDF({
+                orientation: width > height ? 'landscape' : 'portrait',
+                unit: 'px',
+                format: [width, height],
+                hotfixes: ['px_scaling']
+            });
+            pdf.addImage(canvas, 'PNG', 0, 0, width, height);
+            this.downloadBlob(pdf.output('blob'), filename);
         } catch (error) {
-            console.error('Error exporting to SVG:', error);
+            console.error('Error exporting to PDF:', error);
             throw error;
         }
     }
 
+    getExportView(options) {
+        const view = options.view || this.currentView;
+        if (!view) {
+            throw new Error('No chart to export');
+        }
+        return view;
+    }
+
+    /**
+     * Draw the chart on a canvas for raster export: scale times its own
+     * size, or scale times width x height with the chart fitted and
+     * centered, padded with the background unless it is transparent
+     */
+    async renderExportCanvas(options) {
+        const view = this.getExportView(options);
+        const scale = options.scale || 1;
+
+        if (!options.width && !options.height) {
+            return this.withBackground(view, options.transparent, () => view.toCanvas(scale));
+        }
+
+        const fit = await this.getFitScale(view, options);
+        const chart = await this.withBackground(view, options.transparent, () => view.toCanvas(fit * scale));
+
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.round((options.width || chart.width / scale) * scale);
+        canvas.height = Math.round((options.height || chart.height / scale) * scale);
+
+        const context = canvas.getContext('2d');
+        if (!options.transparent) {
+            context.fillStyle = view.background() || '#ffffff';
+            context.fillRect(0, 0, canvas.width, canvas.height);
+        }
+        context.drawImage(chart, (canvas.width - chart.width) / 2, (canvas.height - chart.height) / 2);
+        return canvas;
+    }
+
+    /**
+     * Scale that fits the chart, padding and legends included, into the
+     * requested width and/or height
+     */
+    async getFitScale(view, { width, height }) {
+        // Vega keeps the laid-out size private; measure a 1x render instead
+        const natural = await view.toCanvas(1);
+        return Math.min(
+            width ? width / natural.width : Infinity,
+            height ? height / natural.height : Infinity
+        );
+    }
+
+    /**
+     * Run an export with the view's background removed for transparent
+     * output, putting it back afterwards
+     */
+    async withBackground(view, transparent, render) {
+        if (!transparent) return render();
+
+        const background = view.background();
+        view.background(null);
+        try {
+            return await render();
+        } finally {
+            view.background(background);
+        }
+    }
+
+    downloadBlob(blob, filename) {
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = filename;
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+        URL.revokeObjectURL(url);
+    }
+
     /**
      * Update chart data without full re-render
      */
@@ -326,16 +461,7 @@ export class ChartRenderer {
      * Get supported chart types
      */
     getSupportedChartTypes() {
-        return [
-            'bar',
-            'line',
-            'scatter',
-            'area',
-            'histogram',
-            'boxplot',
-            'heatmap',
-            'pie'
-        ];
+        return Object.keys(CHART_TYPES);
     }
 
     /**
@@ -349,16 +475,22 @@ export class ChartRenderer {
             errors.push('Chart specification must include data');
         }
 
+        // Multi-view specs hold their marks and encodings in their views
+        const views = ['concat', 'hconcat', 'vconcat', 'repeat', 'facet'].filter(key => spec[key]);
+        if (views.length > 0) {
+            return errors;
+        }
+
         if (!spec.mark && !spec.layer) {
             errors.push('Chart specification must include mark or layer');
         }
 
-        if (!spec.encoding) {
+        if (!spec.encoding && !spec.layer) {
             errors.push('Chart specification must include encoding');
         }
 
         // Encoding validation
-        if (spec.encoding) {
+        if (spec.encoding && !spec.encoding.theta) {
             if (!spec.encoding.x && !spec.encoding.y) {
                 errors.push('Chart must have at least x or y encoding');
             }
@@ -0,0 +1,1444 @@
+/**
+ * Code Generator Module
+ * Writes code that draws the current chart type and mappings with D3,
+ * Altair or Plotly, with the data included, for the sandboxes or a
+ * notebook
+ */
+
+import { SpecBuilder, getMappedFields } from './spec-builder.js';
+
+/**
+ * Languages code can be generated in, and the sandbox page that runs it
+ */
+export const CODE_LANGUAGES = {
+    d3: { label: 'D3 v7 (JavaScript)', language: 'javascript', sandbox: 'monaco-sandbox.html' },
+    altair: { label: 'Altair (Python)', language: 'python', sandbox: 'python-sandbox.html' },
+    plotly: { label: 'Plotly Express (Python)', language: 'python', sandbox: 'python-sandbox.html' }
+};
+
+const BAR_CHARTS = ['bar', 'stacked-bar', 'normalized-bar', 'grouped-bar'];
+const AGGREGATING_CHARTS = [...BAR_CHARTS, 'stacked-area', 'histogram', 'heatmap', 'pie', 'donut'];
+const TIME_SCALE_CHARTS = ['scatter', 'bubble', 'line', 'area', 'stacked-area'];
+const HISTOGRAM_BINS = 30;
+const HEATMAP_BINS = 40;
+const DEFAULT_COLOR = '#4c78a8';
+
+// Charts whose D3 or Plotly code draws one series, ignoring color
+const COLORLESS_CHARTS = {
+    d3: ['boxplot', 'violin', 'errorbar'],
+    plotly: ['errorbar']
+};
+
+const D3_REDUCERS = {
+    sum: value => `rows => d3.sum(rows, ${value})`,
+    mean: value => `rows => d3.mean(rows, ${value})`,
+    median: value => `rows => d3.median(rows, ${value})`,
+    min: value => `rows => d3.min(rows, ${value})`,
+    max: value => `rows => d3.max(rows, ${value})`,
+    count: () => 'rows => rows.length',
+    distinct: value => `rows => new Set(rows.map(${value})).size`
+};
+
+const PANDAS_AGGREGATES = {
+    sum: 'sum', mean: 'mean', median: 'median', count: 'count', min: 'min', max: 'max', distinct: 'nunique'
+};
+
+// Plotly's histfunc covers fewer aggregates than Vega-Lite
+const PLOTLY_HISTFUNCS = { sum: 'sum', mean: 'avg', count: 'count', min: 'min', max: 'max' };
+
+const PLOTLY_CATEGORY_ORDERS = {
+    ascending: 'category ascending',
+    x: 'category ascending',
+    descending: 'category descending',
+    '-x': 'category descending',
+    y: 'total ascending',
+    '-y': 'total descending'
+};
+
+const ALTAIR_TYPE_CODES = { quantitative: 'Q', nominal: 'N', ordinal: 'O', temporal: 'T' };
+const ALTAIR_CLASSES = { axis: 'Axis', scale: 'Scale', legend: 'Legend', header: 'Header', bin: 'Bin' };
+
+// Composite marks take no tooltip in the schema Altair validates against
+const COMPOSITE_MARKS = ['boxplot', 'errorbar'];
+
+export class CodeGenerator {
+    constructor(options = {}) {
+        this.specBuilder = options.specBuilder || new SpecBuilder();
+    }
+
+    /**
+     * Code drawing the chart in one of the CODE_LANGUAGES. chart holds
+     * { data, chartType, mappings, config }; options.maxRows shortens the
+     * inline data, for display only.
+     */
+    generate(language, chart, options = {}) {
+        switch (language) {
+            case 'd3':
+                return this.generateD3(chart, options);
+            case 'altair':
+                return this.generateAltair(chart, options);
+            case 'plotly':
+                return this.generatePlotly(chart, options);
+            default:
+                throw new Error(`Unknown code language: ${language}`);
+        }
+    }
+
+    /**
+     * Mappings and field options the generated code leaves out, as
+     * "channel (column)" or "option on channel". Altair code is built from
+     * the Vega-Lite spec, so it keeps everything.
+     */
+    listUnsupported(language, chartType, mappings) {
+        if (language === 'altair') return [];
+
+        const channelSupported = channel => {
+            switch (channel) {
+                case 'x':
+                case 'y':
+                    return true;
+                case 'color':
+                    return !COLORLESS_CHARTS[language].includes(chartType);
+                case 'size':
+                    return ['scatter', 'bubble'].includes(chartType);
+                case 'theta':
+                    return ['pie', 'donut'].includes(chartType);
+                default:
+                    return false;
+            }
+        };
+
+        const optionSupported = (channel, option, value) => {
+            switch (option) {
+                case 'aggregate':
+                    return ['y', 'theta', 'color'].includes(channel) && AGGREGATING_CHARTS.includes(chartType) &&
+                        !(language === 'plotly' && ['histogram', 'heatmap'].includes(chartType) && !PLOTLY_HISTFUNCS[value]);
+                case 'sort':
+                    return channel === 'x' && BAR_CHARTS.includes(chartType);
+                case 'bin':
+                    return channel === 'x' && chartType === 'histogram';
+                default:
+                    return false;
+            }
+        };
+
+        return getMappedFields(mappings).flatMap(({ channel, column, ...options }) => {
+            if (!channelSupported(channel)) return [`${channel} (${column})`];
+            return ['aggregate', 'bin', 'timeUnit', 'sort']
+                .filter(option => options[option] && !optionSupported(channel, option, options[option]))
+                .map(option => `${option} on ${channel}`);
+        });
+    }
+
+    /**
+     * Comment lines naming the chart and what the code leaves out
+     */
+    buildHeader(language, { chartType, mappings, config = {} }) {
+        const comment = CODE_LANGUAGES[language].language === 'python' ? '#' : '//';
+        // A line break in a title or column name would end the comment
+        const oneLine = text => String(text).replace(/\s+/g, ' ');
+        const title = config.title ? `${oneLine(config.title)} (${chartType} chart)` : `${chartType} chart`;
+        const unsupported = this.listUnsupported(language, chartType, mappings).map(oneLine);
+
+        return [
+            `${comment} ${title}, generated by Chart Builder`,
+            ...(language === 'd3' ? [`${comment} Draws into #preview, as in the D3 sandbox`] : []),
+            ...(unsupported.length > 0 ? [`${comment} Not reproduced: ${unsupported.join(', ')}`] : [])
+        ];
+    }
+
+    /**
+     * Data rows, one per line, elided after maxRows
+     */
+    buildRows(data, maxRows, formatRow, comment) {
+        const shown = maxRows && data.length > maxRows ? data.slice(0, maxRows) : data;
+        const lines = shown.map(row => `    ${formatRow(row)},`);
+        if (shown.length < data.length) {
+            lines.push(`    ${comment} ... ${(data.length - shown.length).toLocaleString()} more rows, included when copied or opened in a sandbox`);
+        }
+        return lines;
+    }
+
+    getTitle(encoding, channel) {
+        return (encoding[channel] && encoding[channel].title) || '';
+    }
+
+    // D3
+
+    generateD3({ data, chartType, mappings, config = {} }, options = {}) {
+        const { x, color } = mappings;
+        const encoding = this.specBuilder.buildChartEncoding(chartType, mappings);
+        const usesColor = color && !COLORLESS_CHARTS.d3.includes(chartType);
+        const width = config.width || 600;
+        const height = config.height || 400;
+
+        const accessors = ['x', 'y', 'color', 'size']
+            .filter(channel => mappings[channel] && (channel !== 'color' || usesColor) &&
+                (channel !== 'size' || ['scatter', 'bubble'].includes(chartType)))
+            .map(channel => `const ${channel}Value = d => d[${js(mappings[channel].column)}];`);
+        if (['pie', 'donut'].includes(chartType)) {
+            const slice = mappings.color || x;
+            const angle = mappings.theta || mappings.y;
+            accessors.splice(0, accessors.length,
+                `const sliceValue = d => d[${js(slice.column)}];`,
+                `const angleValue = d => d[${js(angle.column)}];`);
+        }
+
+        const parseDates = x && x.type === 'temporal' &&
+            (TIME_SCALE_CHARTS.includes(chartType) || (chartType === 'strip' && !mappings.y));
+
+        const { body, axes, legend } = this.buildD3Body(chartType, mappings, encoding);
+
+        const lines = [
+            ...this.buildHeader('d3', { chartType, mappings, config }),
+            '',
+            'const data = [',
+            ...this.buildRows(data, options.maxRows, row => JSON.stringify(row), '//'),
+            '];',
+            '',
+            ...(parseDates ? [
+                '// Dates arrive as ISO strings',
+                `data.forEach(d => { d[${js(x.column)}] = new Date(d[${js(x.column)}]); });`,
+                ''
+            ] : []),
+            ...accessors,
+            '',
+            `const margin = { top: ${config.title ? 50 : 20}, right: ${legend ? 160 : 30}, bottom: 70, left: 70 };`,
+            `const width = ${width};`,
+            `const height = ${height};`,
+            '',
+            'const svg = d3.select(\'#preview\')',
+            '    .append(\'svg\')',
+            '    .attr(\'width\', width + margin.left + margin.right)',
+            '    .attr(\'height\', height + margin.top + margin.bottom)',
+            '    .style(\'font-family\', \'sans-serif\');',
+            '',
+            'const chart = svg.append(\'g\')',
+            '    .attr(\'transform\', `translate(${margin.left},${margin.top})`);',
+            '',
+            body,
+            ...(axes ? ['', this.buildD3Axes(axes)] : []),
+            ...(legend ? ['', this.buildD3Legend(legend)] : []),
+            ...(config.title ? ['', this.buildD3Title(config.title)] : [])
+        ];
+
+        return `${lines.join('\n')}\n`;
+    }
+
+    /**
+     * Scales and marks of a chart type, with the axes and legend it needs
+     */
+    buildD3Body(chartType, mappings, encoding) {
+        const { x, y, color } = mappings;
+        const axisTitles = { xTitle: this.getTitle(encoding, 'x'), yTitle: this.getTitle(encoding, 'y') };
+        const categorical = mapping => mapping && mapping.type !== 'quantitative' && mapping.type !== 'temporal';
+        const colorLegend = color && { type: color.type, title: this.getTitle(encoding, 'color') };
+
+        switch (chartType) {
+            case 'bar':
+            case 'stacked-bar':
+            case 'normalized-bar':
+            case 'grouped-bar':
+                return {
+                    body: this.buildD3Bars(chartType, mappings),
+                    axes: { ...axisTitles, xBand: true, yFormat: chartType === 'normalized-bar' && color ? '.0%' : null },
+                    legend: color && { type: 'nominal', title: this.getTitle(encoding, 'color') }
+                };
+            case 'scatter':
+            case 'bubble':
+                return {
+                    body: this.buildD3Points(chartType, mappings),
+                    axes: { ...axisTitles, xBand: categorical(x) },
+                    legend: colorLegend
+                };
+            case 'strip':
+                return {
+                    body: this.buildD3Strip(mappings),
+                    axes: y
+                        ? { ...axisTitles, xBand: true, hideX: !x }
+                        : { ...axisTitles, hideY: true },
+                    legend: colorLegend && { ...colorLegend, type: 'nominal' }
+                };
+            case 'line':
+            case 'area':
+            case 'stacked-area':
+                return {
+                    body: this.buildD3Lines(chartType, mappings),
+                    axes: { ...axisTitles, xBand: categorical(x) },
+                    legend: colorLegend && { ...colorLegend, type: 'nominal' }
+                };
+            case 'histogram':
+                if (categorical(x)) {
+                    return {
+                        body: this.buildD3Bars('bar', { ...mappings, y: y && { ...y, aggregate: y.aggregate || 'sum' } }),
+                        axes: { ...axisTitles, xBand: true },
+                        legend: color && { type: 'nominal', title: this.getTitle(encoding, 'color') }
+                    };
+                }
+                return {
+                    body: this.buildD3Histogram(mappings),
+                    axes: axisTitles,
+                    legend: colorLegend && { ...colorLegend, type: 'nominal' }
+                };
+            case 'density':
+                return {
+                    body: this.buildD3Density(mappings),
+                    axes: axisTitles,
+                    legend: colorLegend && { ...colorLegend, type: 'nominal' }
+                };
+            case 'boxplot':
+                return { body: this.buildD3Boxplot(), axes: { ...axisTitles, xBand: true } };
+            case 'violin':
+                return {
+                    body: this.buildD3Violin(),
+                    axes: { xTitle: this.specBuilder.formatTitle(x.column), yTitle: axisTitles.yTitle, xBand: true }
+                };
+            case 'errorbar':
+                return { body: this.buildD3Errorbar(), axes: { ...axisTitles, xBand: true } };
+            case 'heatmap':
+                return {
+                    body: this.buildD3Heatmap(mappings),
+                    axes: { ...axisTitles, xBand: categorical(x) },
+                    legend: {
+                        type: color && color.type !== 'quantitative' ? 'nominal' : 'quantitative',
+                        title: this.getTitle(encoding, 'color')
+                    }
+                };
+            case 'pie':
+            case 'donut':
+                return {
+                    body: this.buildD3Pie(chartType, mappings),
+                    legend: { type: 'nominal', title: this.getTitle(encoding, 'color') }
+                };
+            default:
+                throw new Error(`D3 code can't be generated for ${chartType} charts`);
+        }
+    }
+
+    buildD3Reducer(mapping, value) {
+        return mapping ? D3_REDUCERS[mapping.aggregate || 'sum'](value) : D3_REDUCERS.count();
+    }
+
+    /**
+     * Continuous or point x scale over the rows
+     */
+    buildD3XScale(x) {
+        switch (x.type) {
+            case 'quantitative':
+            case 'temporal':
+                return [
+                    `const x = d3.${x.type === 'temporal' ? 'scaleTime' : 'scaleLinear'}()`,
+                    '    .domain(d3.extent(data, xValue))',
+                    '    .nice()',
+                    '    .range([0, width]);'
+                ].join('\n');
+            default:
+                return [
+                    'const x = d3.scalePoint()',
+                    '    .domain(d3.sort(new Set(data.map(xValue))))',
+                    '    .range([0, width])',
+                    '    .padding(0.5);'
+                ].join('\n');
+        }
+    }
+
+    buildD3YScale(domain) {
+        return [
+            'const y = d3.scaleLinear()',
+            `    .domain(${domain})`,
+            '    .nice()',
+            '    .range([height, 0]);'
+        ].join('\n');
+    }
+
+    buildD3ColorScale(type, domain) {
+        return type === 'quantitative'
+            ? `const color = d3.scaleSequential(d3.interpolateViridis)\n    .domain(${domain});`
+            : `const color = d3.scaleOrdinal()\n    .domain(${domain})\n    .range(d3.schemeCategory10);`;
+    }
+
+    /**
+     * Bars summed (or otherwise aggregated) per x, stacked, normalized or
+     * grouped by color
+     */
+    buildD3Bars(chartType, { x, y, color }) {
+        const reduce = this.buildD3Reducer(y, 'yValue');
+        const sort = x.sort || 'ascending';
+
+        if (!color) {
+            const compare = {
+                ascending: '([a], [b]) => d3.ascending(a, b)',
+                x: '([a], [b]) => d3.ascending(a, b)',
+                descending: '([a], [b]) => d3.descending(a, b)',
+                '-x': '([a], [b]) => d3.descending(a, b)',
+                y: '([, a], [, b]) => d3.ascending(a, b)',
+                '-y': '([, a], [, b]) => d3.descending(a, b)'
+            }[sort];
+
+            return `const totals = d3.rollups(data, ${reduce}, xValue)
+    .sort(${compare});
+
+const x = d3.scaleBand()
+    .domain(totals.map(([key]) => key))
+    .range([0, width])
+    .padding(0.1);
+
+${this.buildD3YScale('[Math.min(0, d3.min(totals, ([, value]) => value)), d3.max(totals, ([, value]) => value)]')}
+
+chart.append('g')
+    .attr('fill', '${DEFAULT_COLOR}')
+    .selectAll('rect')
+    .data(totals)
+    .join('rect')
+    .attr('x', ([key]) => x(key))
+    .attr('y', ([, value]) => y(Math.max(0, value)))
+    .attr('width', x.bandwidth())
+    .attr('height', ([, value]) => Math.abs(y(value) - y(0)));`;
+        }
+
+        const total = key => `d3.sum(totals.get(${key}).values())`;
+        const xKeys = {
+            ascending: 'd3.sort(totals.keys())',
+            x: 'd3.sort(totals.keys())',
+            descending: 'd3.sort(totals.keys(), d3.descending)',
+            '-x': 'd3.sort(totals.keys(), d3.descending)',
+            y: `d3.sort(totals.keys(), key => ${total('key')})`,
+            '-y': `d3.sort(totals.keys(), (a, b) => d3.descending(${total('a')}, ${total('b')}))`
+        }[sort];
+
+        const groups = `const keys = d3.sort(new Set(data.map(colorValue)));
+const totals = d3.rollup(data, ${reduce}, xValue, colorValue);
+const xKeys = ${xKeys};
+
+const x = d3.scaleBand()
+    .domain(xKeys)
+    .range([0, width])
+    .padding(0.1);
+
+${this.buildD3ColorScale('nominal', 'keys')}`;
+
+        if (chartType === 'grouped-bar') {
+            return `${groups}
+
+const xOffset = d3.scaleBand()
+    .domain(keys)
+    .range([0, x.bandwidth()])
+    .padding(0.05);
+
+const values = Array.from(totals.values(), group => Array.from(group.values())).flat();
+${this.buildD3YScale('[Math.min(0, d3.min(values)), d3.max(values)]')}
+
+chart.append('g')
+    .selectAll('g')
+    .data(totals)
+    .join('g')
+    .attr('transform', ([key]) => \`translate(\${x(key)},0)\`)
+    .selectAll('rect')
+    .data(([, group]) => group)
+    .join('rect')
+    .attr('x', ([key]) => xOffset(key))
+    .attr('y', ([, value]) => y(Math.max(0, value)))
+    .attr('width', xOffset.bandwidth())
+    .attr('height', ([, value]) => Math.abs(y(value) - y(0)))
+    .attr('fill', ([key]) => color(key));`;
+        }
+
+        const normalized = chartType === 'normalized-bar';
+        return `${groups}
+
+// One series per color, stacked ${normalized ? 'and scaled to 100% in each bar' : 'from zero'}
+const series = d3.stack()
+    .keys(keys)
+    .value(([, group], key) => group.get(key) ?? 0)
+    .offset(${normalized ? 'd3.stackOffsetExpand' : 'd3.stackOffsetDiverging'})
+    (xKeys.map(key => [key, totals.get(key)]));
+
+${this.buildD3YScale(normalized ? '[0, 1]' : 'd3.extent(series.flat(2))')}
+
+chart.append('g')
+    .selectAll('g')
+    .data(series)
+    .join('g')
+    .attr('fill', d => color(d.key))
+    .selectAll('rect')
+    .data(d => d)
+    .join('rect')
+    .attr('x', d => x(d.data[0]))
+    .attr('y', d => y(d[1]))
+    .attr('width', x.bandwidth())
+    .attr('height', d => y(d[0]) - y(d[1]));`;
+    }
+
+    buildD3Points(chartType, { x, color, size }) {
+        const scales = [
+            this.buildD3XScale(x),
+            this.buildD3YScale('d3.extent(data, yValue)'),
+            ...(color ? [this.buildD3ColorScale(color.type, color.type === 'quantitative'
+                ? 'd3.extent(data, colorValue)'
+                : 'd3.sort(new Set(data.map(colorValue)))')] : []),
+            ...(size ? ['const size = d3.scaleSqrt()\n    .domain(d3.extent(data, sizeValue))\n    .range([3, 20]);'] : [])
+        ];
+
+        return `${scales.join('\n\n')}
+
+chart.append('g')
+    .attr('fill-opacity', ${chartType === 'bubble' ? 0.6 : 0.8})
+    .selectAll('circle')
+    .data(data)
+    .join('circle')
+    .attr('cx', d => x(xValue(d)))
+    .attr('cy', d => y(yValue(d)))
+    .attr('r', ${size ? 'd => size(sizeValue(d))' : 4})
+    .attr('fill', ${color ? 'd => color(colorValue(d))' : `'${DEFAULT_COLOR}'`});`;
+    }
+
+    /**
+     * Ticks along the value axis: y when mapped, in one column per x value,
+     * otherwise x
+     */
+    buildD3Strip({ x, y, color }) {
+        const colorScale = color ? `\n\n${this.buildD3ColorScale('nominal', 'd3.sort(new Set(data.map(colorValue)))')}` : '';
+        const stroke = color ? 'd => color(colorValue(d))' : `'${DEFAULT_COLOR}'`;
+
+        if (!y) {
+            return `${this.buildD3XScale(x)}${colorScale}
+
+chart.append('g')
+    .selectAll('line')
+    .data(data)
+    .join('line')
+    .attr('x1', d => x(xValue(d)))
+    .attr('x2', d => x(xValue(d)))
+    .attr('y1', height / 2 - 15)
+    .attr('y2', height / 2 + 15)
+    .attr('stroke', ${stroke});`;
+        }
+
+        const band = x ? 'xValue(d)' : '\'\'';
+        return `const x = d3.scaleBand()
+    .domain(${x ? 'd3.sort(new Set(data.map(xValue)))' : '[\'\']'})
+    .range([0, width])
+    .padding(0.2);
+
+${this.buildD3YScale('d3.extent(data, yValue)')}${colorScale}
+
+chart.append('g')
+    .selectAll('line')
+    .data(data)
+    .join('line')
+    .attr('x1', d => x(${band}))
+    .attr('x2', d => x(${band}) + x.bandwidth())
+    .attr('y1', d => y(yValue(d)))
+    .attr('y2', d => y(yValue(d)))
+    .attr('stroke', ${stroke});`;
+    }
+
+    /**
+     * Lines with points, areas, or areas stacked by color
+     */
+    buildD3Lines(chartType, { x, y, color }) {
+        if (chartType !== 'line' && color) {
+            const xKey = x.type === 'temporal' ? 'd => xValue(d).getTime()' : 'xValue';
+            const xScale = x.type === 'quantitative' || x.type === 'temporal'
+                ? `d3.${x.type === 'temporal' ? 'scaleTime' : 'scaleLinear'}()\n    .domain(d3.extent(totals.keys()))`
+                : 'd3.scalePoint()\n    .domain(d3.sort(totals.keys()))';
+
+            return `const keys = d3.sort(new Set(data.map(colorValue)));
+const totals = d3.rollup(data, ${this.buildD3Reducer(y, 'yValue')}, ${xKey}, colorValue);
+
+// One area per color, stacked from zero
+const series = d3.stack()
+    .keys(keys)
+    .value(([, group], key) => group.get(key) ?? 0)
+    (d3.sort(totals, ([key]) => key));
+
+const x = ${xScale}
+    .range([0, width]);
+
+${this.buildD3YScale('[0, d3.max(series, layer => d3.max(layer, d => d[1]))]')}
+
+${this.buildD3ColorScale('nominal', 'keys')}
+
+const area = d3.area()
+    .x(d => x(d.data[0]))
+    .y0(d => y(d[0]))
+    .y1(d => y(d[1]));
+
+chart.append('g')
+    .attr('fill-opacity', 0.7)
+    .selectAll('path')
+    .data(series)
+    .join('path')
+    .attr('fill', d => color(d.key))
+    .attr('d', area);`;
+        }
+
+        const scales = `const points = d3.sort(data.filter(d => yValue(d) != null), xValue);
+
+${this.buildD3XScale(x)}
+
+${this.buildD3YScale(chartType === 'line'
+        ? 'd3.extent(points, yValue)'
+        : '[Math.min(0, d3.min(points, yValue)), d3.max(points, yValue)]')}`;
+
+        if (chartType !== 'line') {
+            return `${scales}
+
+const area = d3.area()
+    .x(d => x(xValue(d)))
+    .y0(y(0))
+    .y1(d => y(yValue(d)));
+
+chart.append('path')
+    .datum(points)
+    .attr('fill', '${DEFAULT_COLOR}')
+    .attr('fill-opacity', 0.7)
+    .attr('d', area);`;
+        }
+
+        const line = `const line = d3.line()
+    .x(d => x(xValue(d)))
+    .y(d => y(yValue(d)));`;
+
+        const dots = fill => `chart.append('g')
+    .selectAll('circle')
+    .data(points)
+    .join('circle')
+    .attr('cx', d => x(xValue(d)))
+    .attr('cy', d => y(yValue(d)))
+    .attr('r', 3)
+    .attr('fill', ${fill});`;
+
+        if (!color) {
+            return `${scales}
+
+${line}
+
+chart.append('path')
+    .datum(points)
+    .attr('fill', 'none')
+    .attr('stroke', '${DEFAULT_COLOR}')
+    .attr('stroke-width', 2)
+    .attr('d', line);
+
+${dots(`'${DEFAULT_COLOR}'`)}`;
+        }
+
+        return `${scales}
+
+// One line per color
+const series = d3.sort(d3.groups(points, colorValue), ([key]) => key);
+
+${this.buildD3ColorScale('nominal', 'series.map(([key]) => key)')}
+
+${line}
+
+chart.append('g')
+    .attr('fill', 'none')
+    .attr('stroke-width', 2)
+    .selectAll('path')
+    .data(series)
+    .join('path')
+    .attr('stroke', ([key]) => color(key))
+    .attr('d', ([, rows]) => line(rows));
+
+${dots('d => color(colorValue(d))')}`;
+    }
+
+    /**
+     * Row counts (or summed y) in equal-width bins of x, stacked by color
+     */
+    buildD3Histogram({ y, color }) {
+        const bins = `const x = d3.scaleLinear()
+    .domain(d3.extent(data, xValue))
+    .nice()
+    .range([0, width]);
+
+const bins = d3.bin()
+    .value(xValue)
+    .domain(x.domain())
+    .thresholds(x.ticks(${HISTOGRAM_BINS}))
+    (data);
+
+const binValue = ${this.buildD3Reducer(y && { ...y, aggregate: y.aggregate || 'sum' }, 'yValue')};`;
+
+        if (!color) {
+            return `${bins}
+
+${this.buildD3YScale('[0, d3.max(bins, binValue)]')}
+
+chart.append('g')
+    .attr('fill', '${DEFAULT_COLOR}')
+    .selectAll('rect')
+    .data(bins)
+    .join('rect')
+    .attr('x', bin => x(bin.x0) + 1)
+    .attr('y', bin => y(binValue(bin)))
+    .attr('width', bin => Math.max(0, x(bin.x1) - x(bin.x0) - 1))
+    .attr('height', bin => y(0) - y(binValue(bin)));`;
+        }
+
+        return `${bins}
+
+const keys = d3.sort(new Set(data.map(colorValue)));
+
+// Each bin split by color, stacked from zero
+const series = d3.stack()
+    .keys(keys)
+    .value((bin, key) => binValue(bin.filter(d => colorValue(d) === key)) ?? 0)
+    (bins);
+
+${this.buildD3YScale('[0, d3.max(series, layer => d3.max(layer, d => d[1]))]')}
+
+${this.buildD3ColorScale('nominal', 'keys')}
+
+chart.append('g')
+    .selectAll('g')
+    .data(series)
+    .join('g')
+    .attr('fill', d => color(d.key))
+    .selectAll('rect')
+    .data(d => d)
+    .join('rect')
+    .attr('x', d => x(d.data.x0) + 1)
+    .attr('y', d => y(d[1]))
+    .attr('width', d => Math.max(0, x(d.data.x1) - x(d.data.x0) - 1))
+    .attr('height', d => y(d[0]) - y(d[1]));`;
+    }
+
+    /**
+     * Kernel density estimate shared by density and violin charts
+     */
+    buildD3KDE() {
+        return `// Gaussian kernel density estimate; the bandwidth follows Scott's rule,
+// as in Vega-Lite's density transform
+function kde(values, thresholds) {
+    const iqr = d3.quantile(values, 0.75) - d3.quantile(values, 0.25);
+    const spread = Math.min(d3.deviation(values), iqr / 1.34) || d3.deviation(values) || 1;
+    const bandwidth = 1.06 * spread * values.length ** -0.2;
+    return thresholds.map(t => [
+        t,
+        d3.mean(values, v => Math.exp(-0.5 * ((t - v) / bandwidth) ** 2)) / (bandwidth * Math.sqrt(2 * Math.PI))
+    ]);
+}`;
+    }
+
+    buildD3Density({ color }) {
+        const curves = color
+            ? `const curves = d3.sort(d3.groups(data, colorValue), ([key]) => key)
+    .map(([key, rows]) => [key, kde(rows.map(xValue).filter(Number.isFinite), thresholds)]);`
+            : 'const curves = [[\'\', kde(data.map(xValue).filter(Number.isFinite), thresholds)]];';
+
+        return `${this.buildD3KDE()}
+
+const x = d3.scaleLinear()
+    .domain(d3.extent(data, xValue))
+    .nice()
+    .range([0, width]);
+
+const thresholds = x.ticks(100);
+${curves}
+
+${this.buildD3YScale('[0, d3.max(curves, ([, density]) => d3.max(density, ([, value]) => value))]')}
+${color ? `\n${this.buildD3ColorScale('nominal', 'curves.map(([key]) => key)')}\n` : ''}
+const area = d3.area()
+    .curve(d3.curveBasis)
+    .x(([t]) => x(t))
+    .y0(y(0))
+    .y1(([, value]) => y(value));
+
+chart.append('g')
+    .attr('fill-opacity', 0.6)
+    .selectAll('path')
+    .data(curves)
+    .join('path')
+    .attr('fill', ${color ? '([key]) => color(key)' : `'${DEFAULT_COLOR}'`})
+    .attr('d', ([, density]) => area(density));`;
+    }
+
+    /**
+     * Quartile boxes per x value, with whiskers to the furthest values
+     * within 1.5 IQR and the rest drawn as outliers, like Vega-Lite
+     */
+    buildD3Boxplot() {
+        return `const boxes = d3.rollups(data, rows => {
+    const values = d3.sort(rows.map(yValue).filter(Number.isFinite));
+    const q1 = d3.quantileSorted(values, 0.25);
+    const q3 = d3.quantileSorted(values, 0.75);
+    const low = q1 - 1.5 * (q3 - q1);
+    const high = q3 + 1.5 * (q3 - q1);
+    const inside = values.filter(v => v >= low && v <= high);
+    return {
+        q1,
+        median: d3.quantileSorted(values, 0.5),
+        q3,
+        min: d3.min(inside),
+        max: d3.max(inside),
+        outliers: values.filter(v => v < low || v > high)
+    };
+}, xValue).sort(([a], [b]) => d3.ascending(a, b));
+
+const x = d3.scaleBand()
+    .domain(boxes.map(([key]) => key))
+    .range([0, width])
+    .padding(0.3);
+
+${this.buildD3YScale('d3.extent(data, yValue)')}
+
+const box = chart.append('g')
+    .selectAll('g')
+    .data(boxes)
+    .join('g')
+    .attr('transform', ([key]) => \`translate(\${x(key)},0)\`);
+
+box.append('line')
+    .attr('x1', x.bandwidth() / 2)
+    .attr('x2', x.bandwidth() / 2)
+    .attr('y1', ([, stats]) => y(stats.min))
+    .attr('y2', ([, stats]) => y(stats.max))
+    .attr('stroke', '#333');
+
+box.append('rect')
+    .attr('width', x.bandwidth())
+    .attr('y', ([, stats]) => y(stats.q3))
+    .attr('height', ([, stats]) => y(stats.q1) - y(stats.q3))
+    .attr('fill', '${DEFAULT_COLOR}');
+
+box.append('line')
+    .attr('x2', x.bandwidth())
+    .attr('y1', ([, stats]) => y(stats.median))
+    .attr('y2', ([, stats]) => y(stats.median))
+    .attr('stroke', 'white')
+    .attr('stroke-width', 2);
+
+box.selectAll('circle')
+    .data(([, stats]) => stats.outliers)
+    .join('circle')
+    .attr('cx', x.bandwidth() / 2)
+    .attr('cy', value => y(value))
+    .attr('r', 3)
+    .attr('fill', 'none')
+    .attr('stroke', '${DEFAULT_COLOR}');`;
+    }
+
+    /**
+     * Mirrored density of y, one violin per x value
+     */
+    buildD3Violin() {
+        return `${this.buildD3KDE()}
+
+${this.buildD3YScale('d3.extent(data, yValue)')}
+
+const thresholds = y.ticks(50);
+const violins = d3.rollups(data, rows => kde(rows.map(yValue).filter(Number.isFinite), thresholds), xValue)
+    .sort(([a], [b]) => d3.ascending(a, b));
+
+const x = d3.scaleBand()
+    .domain(violins.map(([key]) => key))
+    .range([0, width])
+    .padding(0.1);
+
+const half = d3.scaleLinear()
+    .domain([0, d3.max(violins, ([, density]) => d3.max(density, ([, value]) => value))])
+    .range([0, x.bandwidth() / 2]);
+
+${this.buildD3ColorScale('nominal', 'x.domain()')}
+
+const area = d3.area()
+    .curve(d3.curveCatmullRom)
+    .y(([t]) => y(t))
+    .x0(([, value]) => -half(value))
+    .x1(([, value]) => half(value));
+
+chart.append('g')
+    .selectAll('path')
+    .data(violins)
+    .join('path')
+    .attr('transform', ([key]) => \`translate(\${x(key) + x.bandwidth() / 2},0)\`)
+    .attr('fill', ([key]) => color(key))
+    .attr('d', ([, density]) => area(density));`;
+    }
+
+    buildD3Errorbar() {
+        return `// Mean per x value with its 95% confidence interval (normal approximation)
+const stats = d3.rollups(data, rows => {
+    const values = rows.map(yValue).filter(Number.isFinite);
+    const mean = d3.mean(values);
+    const error = 1.96 * (d3.deviation(values) || 0) / Math.sqrt(values.length);
+    return { mean, low: mean - error, high: mean + error };
+}, xValue).sort(([a], [b]) => d3.ascending(a, b));
+
+const x = d3.scalePoint()
+    .domain(stats.map(([key]) => key))
+    .range([0, width])
+    .padding(0.5);
+
+${this.buildD3YScale('[d3.min(stats, ([, s]) => s.low), d3.max(stats, ([, s]) => s.high)]')}
+
+const bar = chart.append('g')
+    .attr('stroke', '${DEFAULT_COLOR}')
+    .attr('fill', '${DEFAULT_COLOR}')
+    .selectAll('g')
+    .data(stats)
+    .join('g')
+    .attr('transform', ([key]) => \`translate(\${x(key)},0)\`);
+
+bar.append('line')
+    .attr('y1', ([, s]) => y(s.low))
+    .attr('y2', ([, s]) => y(s.high));
+
+bar.selectAll('.cap')
+    .data(([, s]) => [s.low, s.high])
+    .join('line')
+    .attr('class', 'cap')
+    .attr('x1', -5)
+    .attr('x2', 5)
+    .attr('y1', value => y(value))
+    .attr('y2', value => y(value));
+
+bar.append('circle')
+    .attr('cy', ([, s]) => y(s.mean))
+    .attr('r', 4);`;
+    }
+
+    /**
+     * Cells per x and y value, with quantitative axes cut into bins, colored
+     * by row count or by the aggregated color column
+     */
+    buildD3Heatmap({ x, y, color }) {
+        const axis = (name, mapping, range, bandRange) => {
+            if (mapping.type === 'quantitative' && !mapping.aggregate) {
+                return `const ${name} = d3.scaleLinear()
+    .domain(d3.extent(data, ${name}Value))
+    .nice()
+    .range(${range});
+const ${name}Thresholds = ${name}.ticks(${HEATMAP_BINS});
+const ${name}Step = ${name}Thresholds[1] - ${name}Thresholds[0];
+const ${name}Bin = d => ${name}Thresholds[Math.min(${name}Thresholds.length - 2, d3.bisectRight(${name}Thresholds, ${name}Value(d)) - 1)];`;
+            }
+            return `const ${name} = d3.scaleBand()
+    .domain(d3.sort(new Set(data.map(${name}Value))))
+    .range(${bandRange});
+const ${name}Bin = ${name}Value;`;
+        };
+
+        const binnedX = x.type === 'quantitative' && !x.aggregate;
+        const binnedY = y.type === 'quantitative' && !y.aggregate;
+        const categoricalColor = color && color.type !== 'quantitative';
+        const reduce = categoricalColor
+            ? 'rows => colorValue(rows[0])'
+            : this.buildD3Reducer(color && { ...color, aggregate: color.aggregate || 'mean' }, 'colorValue');
+
+        return `${axis('x', x, '[0, width]', '[0, width]')}
+
+${axis('y', y, '[height, 0]', '[0, height]')}
+
+const cells = d3.rollups(data, ${reduce}, xBin, yBin)
+    .flatMap(([xKey, column]) => column.map(([yKey, value]) => ({ x: xKey, y: yKey, value })));
+
+${this.buildD3ColorScale(categoricalColor ? 'nominal' : 'quantitative', categoricalColor
+        ? 'd3.sort(new Set(cells.map(cell => cell.value)))'
+        : 'd3.extent(cells, cell => cell.value)')}
+
+chart.append('g')
+    .selectAll('rect')
+    .data(cells)
+    .join('rect')
+    .attr('x', cell => x(cell.x))
+    .attr('y', cell => y(${binnedY ? 'cell.y + yStep' : 'cell.y'}))
+    .attr('width', ${binnedX ? 'cell => x(cell.x + xStep) - x(cell.x)' : 'x.bandwidth()'})
+    .attr('height', ${binnedY ? 'cell => y(cell.y) - y(cell.y + yStep)' : 'y.bandwidth()'})
+    .attr('fill', cell => color(cell.value));`;
+    }
+
+    /**
+     * Slices per color (or x) value, sized by the summed angle column
+     */
+    buildD3Pie(chartType, mappings) {
+        const angle = mappings.theta || mappings.y;
+
+        return `const slices = d3.rollups(data, ${this.buildD3Reducer(angle, 'angleValue')}, sliceValue)
+    .sort(([a], [b]) => d3.ascending(a, b));
+
+const radius = Math.min(width, height) / 2;
+
+${this.buildD3ColorScale('nominal', 'slices.map(([key]) => key)')}
+
+const pie = d3.pie()
+    .sort(null)
+    .value(([, value]) => value);
+
+const arc = d3.arc()
+    .innerRadius(${chartType === 'donut' ? 'radius / 2' : 0})
+    .outerRadius(radius);
+
+chart.append('g')
+    .attr('transform', \`translate(\${width / 2},\${height / 2})\`)
+    .attr('stroke', 'white')
+    .selectAll('path')
+    .data(pie(slices))
+    .join('path')
+    .attr('fill', d => color(d.data[0]))
+    .attr('d', arc);`;
+    }
+
+    buildD3Axes({ xTitle, yTitle, xBand = false, hideX = false, hideY = false, yFormat = null }) {
+        const parts = [];
+
+        if (!hideX) {
+            parts.push(`chart.append('g')
+    .attr('transform', \`translate(0,\${height})\`)
+    .call(d3.axisBottom(x))${xBand ? `
+    .selectAll('text')
+    .attr('text-anchor', 'end')
+    .attr('dx', '-0.6em')
+    .attr('dy', '0.15em')
+    .attr('transform', 'rotate(-45)')` : ''};
+
+chart.append('text')
+    .attr('x', width / 2)
+    .attr('y', height + margin.bottom - 10)
+    .attr('text-anchor', 'middle')
+    .attr('font-size', 12)
+    .text(${js(xTitle)});`);
+        }
+
+        if (!hideY) {
+            parts.push(`chart.append('g')
+    .call(d3.axisLeft(y)${yFormat ? `.tickFormat(d3.format('${yFormat}'))` : ''});
+
+chart.append('text')
+    .attr('transform', 'rotate(-90)')
+    .attr('x', -height / 2)
+    .attr('y', -margin.left + 20)
+    .attr('text-anchor', 'middle')
+    .attr('font-size', 12)
+    .text(${js(yTitle)});`);
+        }
+
+        return parts.join('\n\n');
+    }
+
+    /**
+     * Swatches for categorical colors, a gradient for sequential ones
+     */
+    buildD3Legend({ type, title }) {
+        const legend = `const legend = svg.append('g')
+    .attr('transform', \`translate(\${margin.left + width + 20},\${margin.top})\`)
+    .attr('font-size', 11);
+
+legend.append('text')
+    .attr('font-weight', 'bold')
+    .text(${js(title)});`;
+
+        if (type !== 'quantitative') {
+            return `${legend}
+
+legend.selectAll('g')
+    .data(color.domain())
+    .join('g')
+    .attr('transform', (key, i) => \`translate(0,\${12 + i * 18})\`)
+    .call(item => item.append('rect').attr('width', 12).attr('height', 12).attr('fill', color))
+    .call(item => item.append('text').attr('x', 18).attr('y', 10).text(key => key));`;
+        }
+
+        return `${legend}
+
+const gradient = svg.append('defs')
+    .append('linearGradient')
+    .attr('id', 'color-legend')
+    .attr('x1', 0)
+    .attr('y1', 1)
+    .attr('x2', 0)
+    .attr('y2', 0);
+
+gradient.selectAll('stop')
+    .data(d3.ticks(0, 1, 10))
+    .join('stop')
+    .attr('offset', t => t)
+    .attr('stop-color', t => color.interpolator()(t));
+
+legend.append('rect')
+    .attr('y', 12)
+    .attr('width', 12)
+    .attr('height', 120)
+    .attr('fill', 'url(#color-legend)');
+
+legend.append('g')
+    .attr('transform', 'translate(12,12)')
+    .call(d3.axisRight(d3.scaleLinear().domain(color.domain()).range([120, 0])).ticks(5));`;
+    }
+
+    buildD3Title(title) {
+        return `svg.append('text')
+    .attr('x', margin.left)
+    .attr('y', 28)
+    .attr('font-size', 16)
+    .attr('font-weight', 'bold')
+    .text(${js(title)});`;
+    }
+
+    // Python
+
+    /**
+     * pandas DataFrame with the rows, parsing temporal columns as dates
+     */
+    buildDataFrame(data, mappings, maxRows) {
+        const temporal = [...new Set(getMappedFields(mappings)
+            .filter(({ type }) => type === 'temporal')
+            .map(({ column }) => column))];
+
+        return [
+            'df = pd.DataFrame([',
+            ...this.buildRows(data, maxRows, row => py(row), '#'),
+            '])',
+            ...temporal.map(column => `df[${py(column)}] = pd.to_datetime(df[${py(column)}])`)
+        ];
+    }
+
+    // Altair
+
+    /**
+     * Altair code built from the chart's Vega-Lite view, so every mapping
+     * and field option carries over
+     */
+    generateAltair({ data, chartType, mappings, config = {} }, options = {}) {
+        const view = this.specBuilder.buildView({ chartType, mappings, config });
+        const { transform = [], mark, encoding = {}, layer, width, height } = view;
+
+        const chain = ['alt.Chart(df)', ...transform.map(step => `.${this.buildAltairTransform(step)}`)];
+        const encode = channels => ['.encode(', ...this.buildAltairEncoding(channels), ')'];
+        const properties = `.properties(${[
+            `width=${width}`,
+            `height=${height}`,
+            ...(config.title ? [`title=${py(config.title)}`] : [])
+        ].join(', ')})`;
+        const wrap = (name, parts) => [`${name} = (`, ...parts.map(line => `    ${line}`), ')'];
+
+        const chart = layer
+            ? [
+                ...wrap('base', [...chain, ...encode(encoding)]),
+                '',
+                'chart = alt.layer(',
+                ...layer.map(child => `    base.${this.buildAltairMark(child.mark)}${child.encoding
+                    ? `.encode(${this.buildAltairEncoding(child.encoding).map(line => line.trim()).join(' ').replace(/,$/, '')})`
+                    : ''},`),
+                `)${properties}`
+            ]
+            : wrap('chart', [...chain, `.${this.buildAltairMark(mark)}`, ...encode(encoding), properties]);
+
+        const lines = [
+            ...this.buildHeader('altair', { chartType, mappings, config }),
+            'import altair as alt',
+            'import pandas as pd',
+            '',
+            ...this.buildDataFrame(data, mappings, options.maxRows),
+            // Altair refuses to inline more than 5,000 rows by default
+            ...(data.length > 5000 ? ['', 'alt.data_transformers.disable_max_rows()'] : []),
+            '',
+            ...chart,
+            '',
+            'chart.show()'
+        ];
+
+        return `${lines.join('\n')}\n`;
+    }
+
+    buildAltairMark({ type, ...props }) {
+        if (COMPOSITE_MARKS.includes(type)) delete props.tooltip;
+        return `mark_${type}(${this.buildKeywords(props)})`;
+    }
+
+    /**
+     * transform_<name>(<value>, **rest), e.g. transform_density("x", as_=[...])
+     */
+    buildAltairTransform(step) {
+        const [name, ...keys] = Object.keys(step);
+        const rest = Object.fromEntries(keys.map(key => [key === 'as' ? 'as_' : key, step[key]]));
+        const args = [py(step[name]), this.buildKeywords(rest)].filter(Boolean);
+        return `transform_${name.toLowerCase()}(${args.join(', ')})`;
+    }
+
+    /**
+     * One "channel=alt.Channel(...)," line per encoding channel
+     */
+    buildAltairEncoding(encoding) {
+        return Object.entries(encoding).map(([channel, def]) => {
+            const name = `alt.${channel[0].toUpperCase()}${channel.slice(1)}`;
+            const value = Array.isArray(def)
+                ? `[${def.map(item => this.buildAltairChannel(name, item)).join(', ')}]`
+                : this.buildAltairChannel(name, def);
+            return `    ${channel}=${value},`;
+        });
+    }
+
+    /**
+     * alt.X("column:Q", title=..., ...). Axis defaults the builder spells
+     * out and legends that only repeat the title are left out.
+     */
+    buildAltairChannel(name, { field, type, ...props }) {
+        if (props.axis) {
+            const { grid, tickCount, labelAngle, ...axis } = props.axis;
+            props.axis = {
+                ...(grid === false ? { grid } : {}),
+                ...(labelAngle ? { labelAngle } : {}),
+                ...axis
+            };
+            if (Object.keys(props.axis).length === 0) delete props.axis;
+        }
+        if (props.legend && Object.keys(props.legend).length === 1 && props.legend.title === props.title) {
+            delete props.legend;
+        }
+
+        const shorthand = field !== undefined && /^[^:()"\\]+$/.test(field);
+        const args = [
+            ...(shorthand ? [py(`${field}:${ALTAIR_TYPE_CODES[type]}`)] : []),
+            this.buildKeywords({ ...(shorthand ? {} : { field, type }), ...props }, ALTAIR_CLASSES)
+        ].filter(Boolean);
+
+        return `${name}(${args.join(', ')})`;
+    }
+
+    /**
+     * key=value pairs, with objects under the given keys wrapped in
+     * alt.<Class>(...)
+     */
+    buildKeywords(props, classes = {}) {
+        return Object.entries(props)
+            .filter(([_, value]) => value !== undefined)
+            .map(([key, value]) => {
+                const wrap = classes[key] && value && typeof value === 'object' && !Array.isArray(value);
+                return `${key}=${wrap ? `alt.${classes[key]}(${this.buildKeywords(value)})` : py(value)}`;
+            })
+            .join(', ');
+    }
+
+    // Plotly
+
+    /**
+     * Plotly Express code, aggregating with pandas where Vega-Lite would
+     */
+    generatePlotly({ data, chartType, mappings, config = {} }, options = {}) {
+        const encoding = this.specBuilder.buildChartEncoding(chartType, mappings);
+        const { imports, body } = this.buildPlotlyBody(chartType, mappings, encoding, config);
+
+        const lines = [
+            ...this.buildHeader('plotly', { chartType, mappings, config }),
+            ...imports,
+            'import pandas as pd',
+            'import plotly.express as px',
+            '',
+            ...this.buildDataFrame(data, mappings, options.maxRows),
+            '',
+            ...body,
+            '',
+            'fig.show()'
+        ];
+
+        return `${lines.join('\n')}\n`;
+    }
+
+    buildPlotlyBody(chartType, mappings, encoding, config) {
+        const { x, y, color, size } = mappings;
+        const labels = Object.fromEntries(['x', 'y', 'color', 'size', 'theta']
+            .filter(channel => mappings[channel] && encoding[channel] && encoding[channel].field === mappings[channel].column)
+            .map(channel => [mappings[channel].column, encoding[channel].title]));
+
+        // Keyword arguments shared by the px calls
+        const common = (args, extraLabels = {}) => [
+            ...Object.entries(args).map(([key, value]) => `${key}=${value}`),
+            ...(config.title ? [`title=${py(config.title)}`] : []),
+            `labels=${py({ ...labels, ...extraLabels })}`
+        ];
+        const call = (fn, frame, args) => [`fig = px.${fn}(`, `    ${frame},`, ...args.map((arg, i) =>
+            `    ${arg}${i < args.length - 1 ? ',' : ''}`), ')'];
+
+        const col = mapping => py(mapping.column);
+        const channels = (list) => Object.fromEntries(list
+            .filter(([_, mapping]) => mapping)
+            .map(([key, mapping]) => [key, col(mapping)]));
+        const aggregate = mapping => PANDAS_AGGREGATES[(mapping && mapping.aggregate) || 'sum'];
+        const groupTotals = (keys, measure) => `totals = df.groupby([${keys.map(col).join(', ')}], as_index=False)[${col(measure)}].${aggregate(measure)}()`;
+        const categoryOrder = x && x.sort && BAR_CHARTS.includes(chartType)
+            ? [`fig.update_xaxes(categoryorder=${py(PLOTLY_CATEGORY_ORDERS[x.sort])})`]
+            : [];
+
+        switch (chartType) {
+            case 'bar':
+            case 'stacked-bar':
+            case 'normalized-bar':
+            case 'grouped-bar': {
+                const normalized = chartType === 'normalized-bar' && color;
+                return {
+                    imports: [],
+                    body: [
+                        groupTotals([x, color].filter(Boolean), y),
+                        ...call('bar', 'totals', common({
+                            ...channels([['x', x], ['y', y], ['color', color]]),
+                            ...(chartType === 'grouped-bar' ? { barmode: py('group') } : {})
+                        })),
+                        ...(normalized ? ['fig.update_layout(barnorm="percent")'] : []),
+                        ...categoryOrder
+                    ]
+                };
+            }
+            case 'scatter':
+            case 'bubble':
+                return {
+                    imports: [],
+                    body: call('scatter', 'df', common({
+                        ...channels([['x', x], ['y', y], ['color', color], ['size', size]]),
+                        ...(chartType === 'bubble' ? { opacity: 0.6 } : {})
+                    }))
+                };
+            case 'strip':
+                return { imports: [], body: call('strip', 'df', common(channels([['x', x], ['y', y], ['color', color]]))) };
+            case 'line':
+                return {
+                    imports: [],
+                    body: call('line', `df.sort_values(${col(x)})`, common({
+                        ...channels([['x', x], ['y', y], ['color', color]]),
+                        markers: 'True'
+                    }))
+                };
+            case 'area':
+            case 'stacked-area':
+                // Areas stack per color; rows sharing an x value are summed first
+                return {
+                    imports: [],
+                    body: color
+                        ? [groupTotals([x, color], y), ...call('area', 'totals', common(channels([['x', x], ['y', y], ['color', color]])))]
+                        : call('area', `df.sort_values(${col(x)})`, common(channels([['x', x], ['y', y]])))
+                };
+            case 'histogram':
+                return {
+                    imports: [],
+                    body: call('histogram', 'df', common({
+                        ...channels([['x', x], ['y', y], ['color', color]]),
+                        ...(y ? { histfunc: py(PLOTLY_HISTFUNCS[y.aggregate || 'sum'] || 'sum') } : {}),
+                        ...(x.type === 'quantitative' ? { nbins: HISTOGRAM_BINS } : {})
+                    }))
+                };
+            case 'density': {
+                const grid = `grid = np.linspace(df[${col(x)}].min(), df[${col(x)}].max(), 200)`;
+                const curves = color
+                    ? [
+                        'curves = pd.concat(',
+                        `    pd.DataFrame({${col(x)}: grid, "density": kde(group[${col(x)}], grid), ${col(color)}: key})`,
+                        `    for key, group in df.groupby(${col(color)})`,
+                        ')'
+                    ]
+                    : [`curves = pd.DataFrame({${col(x)}: grid, "density": kde(df[${col(x)}], grid)})`];
+                return {
+                    imports: ['import numpy as np'],
+                    body: [
+                        'def kde(values, grid):',
+                        '    """Gaussian kernel density with a Scott\'s rule bandwidth, like Vega-Lite\'s density transform"""',
+                        '    values = values.dropna().to_numpy()',
+                        '    q1, q3 = np.percentile(values, [25, 75])',
+                        '    spread = min(values.std(ddof=1), (q3 - q1) / 1.34) or values.std(ddof=1) or 1',
+                        '    bandwidth = 1.06 * spread * len(values) ** -0.2',
+                        '    weights = np.exp(-0.5 * ((grid[:, None] - values) / bandwidth) ** 2)',
+                        '    return weights.sum(axis=1) / (len(values) * bandwidth * np.sqrt(2 * np.pi))',
+                        '',
+                        '',
+                        grid,
+                        ...curves,
+                        ...call('line', 'curves', common({
+                            ...channels([['x', x]]),
+                            y: py('density'),
+                            ...channels([['color', color]])
+                        }, { density: 'Density' })),
+                        'fig.update_traces(fill="tozeroy")'
+                    ]
+                };
+            }
+            case 'boxplot':
+                return { imports: [], body: call('box', 'df', common(channels([['x', x], ['y', y], ['color', color]]))) };
+            case 'violin':
+                return { imports: [], body: call('violin', 'df', common(channels([['x', x], ['y', y], ['color', color]]))) };
+            case 'errorbar':
+                return {
+                    imports: [],
+                    body: [
+                        `stats = df.groupby(${col(x)})[${col(y)}].agg(["mean", "sem"]).reset_index()`,
+                        '# 95% confidence interval of the mean (normal approximation)',
+                        'stats["error"] = 1.96 * stats["sem"]',
+                        ...call('scatter', 'stats', common(
+                            { x: col(x), y: py('mean'), error_y: py('error') },
+                            { mean: `Mean of ${this.specBuilder.formatTitle(y.column)}` }
+                        ))
+                    ]
+                };
+            case 'heatmap': {
+                const binned = mapping => mapping.type === 'quantitative' && !mapping.aggregate;
+                return {
+                    imports: [],
+                    body: call('density_heatmap', 'df', common({
+                        ...channels([['x', x], ['y', y], ['z', color]]),
+                        ...(color ? { histfunc: py(PLOTLY_HISTFUNCS[color.aggregate || 'mean'] || 'avg') } : {}),
+                        ...(binned(x) ? { nbinsx: HEATMAP_BINS } : {}),
+                        ...(binned(y) ? { nbinsy: HEATMAP_BINS } : {}),
+                        color_continuous_scale: py('Viridis')
+                    }))
+                };
+            }
+            case 'pie':
+            case 'donut': {
+                const slice = color || x;
+                const angle = mappings.theta || y;
+                const hole = chartType === 'donut' ? { hole: 0.5 } : {};
+                const op = angle.aggregate || 'sum';
+                // Pie charts sum the values of repeated names themselves
+                if (op === 'sum' || op === 'count') {
+                    return {
+                        imports: [],
+                        body: call('pie', 'df', common({
+                            names: col(slice),
+                            ...(op === 'sum' ? { values: col(angle) } : {}),
+                            ...hole
+                        }))
+                    };
+                }
+                return {
+                    imports: [],
+                    body: [
+                        groupTotals([slice], angle),
+                        ...call('pie', 'totals', common({ names: col(slice), values: col(angle), ...hole }))
+                    ]
+                };
+            }
+            default:
+                throw new Error(`Plotly code can't be generated for ${chartType} charts`);
+        }
+    }
+}
+
+/**
+ * JavaScript literal, with strings in single quotes like the sandbox
+ * templates
+ */
+function js(value) {
+    const json = JSON.stringify(value);
+    return typeof value === 'string'
+        ? `'${json.slice(1, -1).replace(/\\"/g, '"').replace(/'/g, "\\'")}'`
+        : json;
+}
+
+/**
+ * Python literal for a JSON-like value
+ */
+function py(value) {
+    if (value === null || value === undefined) return 'None';
+    if (value === true) return 'True';
+    if (value === false) return 'False';
+    if (value instanceof Date) return JSON.stringify(value.toISOString());
+    if (typeof value === 'number') {
+        if (Number.isNaN(value)) return 'float("nan")';
+        if (!isFinite(value)) return value > 0 ? 'float("inf")' : '-float("inf")';
+        return String(value);
+    }
+    if (typeof value === 'string') return JSON.stringify(value);
+    if (Array.isArray(value)) return `[${value.map(py).join(', ')}]`;
+    return `{${Object.entries(value).map(([key, item]) => `${JSON.stringify(key)}: ${py(item)}`).join(', ')}}`;
+}
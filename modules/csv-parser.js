@@ -0,0 +1,188 @@
+/**
+ * CSV Parser Module
+ * Streaming, RFC 4180-compliant state-machine parser for delimited text
+ */
+
+// Parser states
+const FIELD_START = 0;
+const UNQUOTED = 1;
+const QUOTED = 2;
+const QUOTE_IN_QUOTED = 3;
+
+export class CSVParser {
+    /**
+     * @param {Object} options
+     * @param {string} [options.delimiter=','] - Field separator
+     * @param {string} [options.quote='"'] - Quote character (escaped by doubling)
+     * @param {Function} [options.onRecord] - Called with (fields, lineNumber) for each record
+     */
+    constructor(options = {}) {
+        this.delimiter = options.delimiter || ',';
+        this.quote = options.quote || '"';
+        this.onRecord = options.onRecord || (() => {});
+
+        this.reset();
+    }
+
+    /**
+     * Reset parser state so the instance can be reused
+     */
+    reset() {
+        this.state = FIELD_START;
+        this.field = '';
+        this.record = [];
+        this.issues = [];
+        this.line = 1;
+        this.recordLine = 1;
+        this.started = false;
+        this.lastWasCR = false;
+    }
+
+    /**
+     * Feed a chunk of text into the parser. Records are emitted as soon as
+     * they are complete; partial records are carried over to the next chunk.
+     */
+    write(chunk) {
+        if (!chunk) return;
+
+        let i = 0;
+
+        // Strip a UTF-8 byte order mark at the very start of the input
+        if (!this.started) {
+            this.started = true;
+            if (chunk.charCodeAt(0) === 0xFEFF) {
+                i = 1;
+            }
+        }
+
+        const { delimiter, quote } = this;
+
+        for (; i < chunk.length; i++) {
+            const char = chunk[i];
+
+            // Swallow the LF of a CRLF pair; the CR already ended the line
+            if (this.lastWasCR) {
+                this.lastWasCR = false;
+                if (char === '\n') {
+                    if (this.state === QUOTED) {
+                        this.field += char;
+                    }
+                    continue;
+                }
+            }
+
+            switch (this.state) {
+                case FIELD_START:
+                    if (char === quote) {
+                        this.state = QUOTED;
+                    } else if (char === delimiter) {
+                        this.endField();
+                    } else if (char === '\n' || char === '\r') {
+                        this.endRecord(char);
+                    } else {
+                        this.field += char;
+                        this.state = UNQUOTED;
+                    }
+                    break;
+
+                case UNQUOTED:
+                    if (char === delimiter) {
+                        this.endField();
+                    } else if (char === '\n' || char === '\r') {
+                        this.endRecord(char);
+                    } else {
+                        // A stray quote inside an unquoted field is kept literally
+                        this.field += char;
+                    }
+                    break;
+
+                case QUOTED:
+                    if (char === quote) {
+                        this.state = QUOTE_IN_QUOTED;
+                    } else {
+                        if (char === '\n' || char === '\r') {
+                            this.newLine(char);
+                        }
+                        this.field += char;
+                    }
+                    break;
+
+                case QUOTE_IN_QUOTED:
+                    if (char === quote) {
+                        // Escaped quote ("")
+                        this.field += quote;
+                        this.state = QUOTED;
+                    } else if (char === delimiter) {
+                        this.endField();
+                    } else if (char === '\n' || char === '\r') {
+                        this.endRecord(char);
+                    } else {
+                        // Text after a closing quote: keep it, but report it
+                        this.addIssue('invalid-quote',
+                            `Unexpected character "${char}" after closing quote`);
+                        this.field += char;
+                        this.state = UNQUOTED;
+                    }
+                    break;
+            }
+        }
+    }
+
+    /**
+     * Flush the final record once all input has been written
+     */
+    end() {
+        if (this.state === QUOTED) {
+            this.addIssue('unterminated-quote', 'Quoted field is not closed before end of file');
+        }
+
+        if (this.state !== FIELD_START || this.record.length > 0) {
+            this.endField();
+            this.emitRecord();
+        }
+
+        return this.issues;
+    }
+
+    /**
+     * Parse a complete string in one go
+     */
+    parse(content) {
+        this.write(content);
+        return this.end();
+    }
+
+    endField() {
+        this.record.push(this.field);
+        this.field = '';
+        this.state = FIELD_START;
+    }
+
+    endRecord(char) {
+        this.endField();
+        this.emitRecord();
+        this.newLine(char);
+        this.recordLine = this.line;
+    }
+
+    emitRecord() {
+        const record = this.record;
+        this.record = [];
+
+        // Blank lines produce a single empty field and are skipped
+        if (record.length === 1 && record[0] === '') {
+            return;
+        }
+
+        this.onRecord(record, this.recordLine);
+    }
+
+    newLine(char) {
+        this.line++;
+        this.lastWasCR = char === '\r';
+    }
+
+    addIssue(type, message) {
+        this.issues.push({ type, line: this.recordLine, message });
+    }
+}
@@ -0,0 +1,497 @@
+/**
+ * Data Grid Module
+ * Virtualized table for browsing every row of a dataset: only the rows in
+ * view are in the DOM. Columns sort and filter; cells and column names can
+ * be edited in place when the grid is editable.
+ */
+
+import { escapeHTML } from './ui-components.js';
+
+const FILTER_OPERATORS = ['>=', '<=', '!=', '>', '<', '='];
+
+export class DataGrid {
+    /**
+     * @param {string|HTMLElement} container - Element the grid fills
+     * @param {Object} options
+     * @param {number} [options.rowHeight=28] - Row height in pixels
+     * @param {number} [options.height=320] - Viewport height in pixels
+     * @param {number} [options.columnWidth=120] - Column width in pixels
+     * @param {Function} [options.onCellEdit] - Called with (rowIndex, column, text)
+     * @param {Function} [options.onColumnRename] - Called with (column, newName)
+     * @param {Function} [options.parseDate] - Reads a date typed in a filter the
+     *   way the data was parsed; returns a Date or null
+     */
+    constructor(container, options = {}) {
+        this.container = typeof container === 'string' ? document.getElementById(container) : container;
+        this.rowHeight = options.rowHeight || 28;
+        this.height = options.height || 320;
+        this.columnWidth = options.columnWidth || 120;
+        this.overscan = 8;
+        this.onCellEdit = options.onCellEdit || null;
+        this.onColumnRename = options.onColumnRename || null;
+        this.parseDate = options.parseDate || parseDate;
+
+        this.data = [];
+        this.columns = [];
+        this.columnTypes = {};
+        this.editable = false;
+        this.view = [];
+        this.sort = null;
+        this.filters = {};
+        this.renderedRange = null;
+        this.scrollFrame = null;
+
+        this.addStyles();
+        this.build();
+    }
+
+    build() {
+        this.container.innerHTML = `
+            <div class="data-grid">
+                <div class="data-grid-viewport" style="height: ${this.height}px">
+                    <div class="data-grid-header"></div>
+                    <div class="data-grid-body"></div>
+                </div>
+                <div class="data-grid-footer"></div>
+            </div>
+        `;
+
+        this.viewport = this.container.querySelector('.data-grid-viewport');
+        this.header = this.container.querySelector('.data-grid-header');
+        this.body = this.container.querySelector('.data-grid-body');
+        this.footer = this.container.querySelector('.data-grid-footer');
+
+        this.viewport.addEventListener('scroll', () => {
+            if (this.scrollFrame) return;
+            this.scrollFrame = requestAnimationFrame(() => {
+                this.scrollFrame = null;
+                this.renderRows();
+            });
+        });
+
+        this.header.addEventListener('click', (e) => {
+            const sortButton = e.target.closest('.data-grid-sort');
+            if (sortButton) this.toggleSort(sortButton.dataset.column);
+        });
+
+        this.header.addEventListener('input', (e) => {
+            if (!e.target.matches('.data-grid-filter')) return;
+            this.filters[e.target.dataset.column] = e.target.value;
+            this.updateView();
+        });
+
+        this.header.addEventListener('dblclick', (e) => {
+            const name = e.target.closest('.data-grid-column-name');
+            if (name && this.editable && this.onColumnRename) this.startRename(name);
+        });
+
+        this.body.addEventListener('dblclick', (e) => {
+            const cell = e.target.closest('.data-grid-cell[data-column]');
+            if (cell && this.editable && this.onCellEdit) this.startCellEdit(cell);
+        });
+    }
+
+    /**
+     * Show new rows. Sorting and filters are kept for columns that still
+     * exist. editable turns cell and header editing on or off.
+     */
+    setData(data, { columnTypes = {}, editable = true } = {}) {
+        this.data = data || [];
+        this.columns = Object.keys(this.data[0] || {});
+        this.columnTypes = columnTypes;
+        this.editable = editable;
+
+        if (this.sort && !this.columns.includes(this.sort.column)) {
+            this.sort = null;
+        }
+        this.filters = Object.fromEntries(Object.entries(this.filters)
+            .filter(([column]) => this.columns.includes(column)));
+
+        this.renderHeader();
+        this.updateView();
+    }
+
+    /**
+     * Recompute which rows are shown, and in what order
+     */
+    updateView() {
+        const filters = Object.entries(this.filters)
+            .filter(([_, text]) => text && text.trim())
+            .map(([column, text]) => this.createFilter(column, text.trim()));
+
+        let view = [];
+        for (let i = 0; i < this.data.length; i++) {
+            if (filters.every(test => test(this.data[i]))) view.push(i);
+        }
+
+        if (this.sort) {
+            const { column, direction } = this.sort;
+            view.sort((a, b) => compareValues(this.data[a][column], this.data[b][column], direction));
+        }
+
+        this.view = view;
+        this.body.style.height = `${view.length * this.rowHeight}px`;
+        this.footer.textContent = view.length === this.data.length
+            ? `${this.data.length.toLocaleString()} rows`
+            : `${view.length.toLocaleString()} of ${this.data.length.toLocaleString()} rows`;
+
+        this.renderedRange = null;
+        this.renderRows();
+    }
+
+    /**
+     * Filter text: numbers and dates can be compared with >, >=, <, <=, =
+     * or != (e.g. ">= 100"); anything else matches values containing it
+     */
+    createFilter(column, text) {
+        const operator = FILTER_OPERATORS.find(op => text.startsWith(op));
+        const type = this.columnTypes[column];
+
+        if (operator && (type === 'quantitative' || type === 'temporal')) {
+            const operand = text.slice(operator.length).trim();
+            const date = type === 'temporal' ? this.parseDate(operand) : null;
+            const target = type === 'temporal' ? (date ? date.getTime() : NaN) : Number(operand);
+
+            if (operand !== '' && !isNaN(target)) {
+                const compare = {
+                    '>': (a, b) => a > b,
+                    '>=': (a, b) => a >= b,
+                    '<': (a, b) => a < b,
+                    '<=': (a, b) => a <= b,
+                    '=': (a, b) => a === b,
+                    '!=': (a, b) => a !== b
+                }[operator];
+
+                return row => {
+                    const value = row[column];
+                    const number = value instanceof Date ? value.getTime() : value;
+                    return typeof number === 'number' && !isNaN(number) && compare(number, target);
+                };
+            }
+        }
+
+        const needle = text.toLowerCase();
+        return row => formatValue(row[column]).toLowerCase().includes(needle);
+    }
+
+    toggleSort(column) {
+        if (!this.sort || this.sort.column !== column) {
+            this.sort = { column, direction: 1 };
+        } else if (this.sort.direction === 1) {
+            this.sort = { column, direction: -1 };
+        } else {
+            this.sort = null;
+        }
+
+        this.renderHeader();
+        this.updateView();
+    }
+
+    getTemplateColumns() {
+        return `3.5rem repeat(${this.columns.length}, ${this.columnWidth}px)`;
+    }
+
+    renderHeader() {
+        const template = this.getTemplateColumns();
+        const arrow = column => !this.sort || this.sort.column !== column ? '↕' : this.sort.direction === 1 ? '↑' : '↓';
+
+        this.header.innerHTML = `
+            <div class="data-grid-row" style="grid-template-columns: ${template}">
+                <div class="data-grid-cell data-grid-index">#</div>
+                ${this.columns.map(column => `
+                    <div class="data-grid-cell data-grid-heading">
+                        <span class="data-grid-column-name" data-column="${escapeHTML(column)}"
+                            title="${escapeHTML(column)}${this.editable && this.onColumnRename ? ' (double-click to rename)' : ''}">${escapeHTML(column)}</span>
+                        <button class="data-grid-sort ${this.sort && this.sort.column === column ? 'active' : ''}"
+                            data-column="${escapeHTML(column)}" title="Sort">${arrow(column)}</button>
+                    </div>
+                `).join('')}
+            </div>
+            <div class="data-grid-row data-grid-filters" style="grid-template-columns: ${template}">
+                <div class="data-grid-cell data-grid-index"></div>
+                ${this.columns.map(column => `
+                    <div class="data-grid-cell">
+                        <input class="data-grid-filter" data-column="${escapeHTML(column)}"
+                            value="${escapeHTML(this.filters[column] || '')}"
+                            placeholder="${this.columnTypes[column] === 'quantitative' ? 'e.g. > 100' : 'Filter'}">
+                    </div>
+                `).join('')}
+            </div>
+        `;
+    }
+
+    /**
+     * Render the rows in view plus a few above and below
+     */
+    renderRows() {
+        const headerHeight = this.header.offsetHeight;
+        const scrollTop = Math.max(0, this.viewport.scrollTop - headerHeight);
+        const visible = Math.ceil(this.height / this.rowHeight);
+
+        const start = Math.max(0, Math.floor(scrollTop / this.rowHeight) - this.overscan);
+        const end = Math.min(this.view.length, start + visible + this.overscan * 2);
+
+        if (this.renderedRange && this.renderedRange.start === start && this.renderedRange.end === end) {
+            return;
+        }
+        this.renderedRange = { start, end };
+
+        const template = this.getTemplateColumns();
+        let html = '';
+        for (let position = start; position < end; position++) {
+            const index = this.view[position];
+            const row = this.data[index];
+            html += `
+                <div class="data-grid-row" data-index="${index}"
+                    style="grid-template-columns: ${template}; top: ${position * this.rowHeight}px; height: ${this.rowHeight}px">
+                    <div class="data-grid-cell data-grid-index">${index + 1}</div>
+                    ${this.columns.map(column => {
+                        const value = row[column];
+                        const isNull = value === null || value === undefined;
+                        return `<div class="data-grid-cell ${isNull ? 'null' : ''} ${typeof value === 'number' ? 'number' : ''}"
+                            data-column="${escapeHTML(column)}">${isNull ? 'null' : escapeHTML(formatValue(value))}</div>`;
+                    }).join('')}
+                </div>
+            `;
+        }
+
+        this.body.innerHTML = html;
+    }
+
+    /**
+     * Replace a cell with an input; Enter or leaving the cell saves, Escape cancels
+     */
+    startCellEdit(cell) {
+        const index = Number(cell.closest('.data-grid-row').dataset.index);
+        const column = cell.dataset.column;
+        const value = this.data[index][column];
+
+        this.startInlineEdit(cell, value === null || value === undefined ? '' : formatValue(value), text => {
+            this.onCellEdit(index, column, text);
+        });
+    }
+
+    startRename(name) {
+        const column = name.dataset.column;
+        this.startInlineEdit(name, column, text => {
+            const newName = text.trim();
+            if (newName && newName !== column) {
+                this.onColumnRename(column, newName);
+            }
+        });
+    }
+
+    startInlineEdit(element, text, commit) {
+        const input = document.createElement('input');
+        input.className = 'data-grid-editor';
+        input.value = text;
+
+        let done = false;
+        const finish = save => {
+            if (done) return;
+            done = true;
+            if (save && input.value !== text) {
+                commit(input.value);
+            } else {
+                // Put the original content back
+                this.renderHeader();
+                this.renderedRange = null;
+                this.renderRows();
+            }
+        };
+
+        input.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') finish(true);
+            if (e.key === 'Escape') finish(false);
+        });
+        input.addEventListener('blur', () => finish(true));
+
+        element.innerHTML = '';
+        element.appendChild(input);
+        input.focus();
+        input.select();
+    }
+
+    destroy() {
+        if (this.scrollFrame) cancelAnimationFrame(this.scrollFrame);
+        this.container.innerHTML = '';
+    }
+
+    /**
+     * Add data grid styles
+     */
+    addStyles() {
+        if (document.getElementById('data-grid-styles')) {
+            return;
+        }
+
+        const styles = document.createElement('style');
+        styles.id = 'data-grid-styles';
+        styles.textContent = `
+            .data-grid {
+                border: 1px solid #e0e0e0;
+                border-radius: 5px;
+                font-size: 0.8rem;
+                background: white;
+            }
+
+            .data-grid-viewport {
+                overflow: auto;
+                position: relative;
+            }
+
+            .data-grid-header {
+                position: sticky;
+                top: 0;
+                z-index: 1;
+                width: max-content;
+                min-width: 100%;
+                background: #f8f9fa;
+                border-bottom: 1px solid #e0e0e0;
+            }
+
+            .data-grid-body {
+                position: relative;
+                width: max-content;
+                min-width: 100%;
+            }
+
+            .data-grid-body .data-grid-row {
+                position: absolute;
+                left: 0;
+                right: 0;
+            }
+
+            .data-grid-row {
+                display: grid;
+            }
+
+            .data-grid-cell {
+                padding: 0 0.5rem;
+                line-height: 28px;
+                border-bottom: 1px solid #f0f0f0;
+                overflow: hidden;
+                text-overflow: ellipsis;
+                white-space: nowrap;
+            }
+
+            .data-grid-cell.number {
+                text-align: right;
+                font-variant-numeric: tabular-nums;
+            }
+
+            .data-grid-cell.null {
+                color: #bbb;
+                font-style: italic;
+            }
+
+            .data-grid-index {
+                color: #999;
+                text-align: right;
+                background: #fafafa;
+            }
+
+            .data-grid-heading {
+                display: flex;
+                align-items: center;
+                gap: 0.2rem;
+                font-weight: 600;
+            }
+
+            .data-grid-column-name {
+                flex: 1;
+                overflow: hidden;
+                text-overflow: ellipsis;
+            }
+
+            .data-grid-sort {
+                background: none;
+                border: none;
+                color: #bbb;
+                cursor: pointer;
+                padding: 0 0.2rem;
+            }
+
+            .data-grid-sort.active {
+                color: #1976D2;
+            }
+
+            .data-grid-filters .data-grid-cell {
+                padding: 0.2rem;
+                line-height: normal;
+            }
+
+            .data-grid-filter,
+            .data-grid-editor {
+                width: 100%;
+                box-sizing: border-box;
+                border: 1px solid #e0e0e0;
+                border-radius: 3px;
+                padding: 0.1rem 0.3rem;
+                font-size: 0.75rem;
+            }
+
+            .data-grid-editor {
+                border-color: #2196F3;
+            }
+
+            .data-grid-footer {
+                padding: 0.3rem 0.5rem;
+                color: #666;
+                font-size: 0.75rem;
+                border-top: 1px solid #f0f0f0;
+            }
+        `;
+
+        document.head.appendChild(styles);
+    }
+}
+
+/**
+ * Text shown for a cell value; zeros and false are shown, not hidden
+ */
+function formatValue(value) {
+    if (value === null || value === undefined) return '';
+    if (value instanceof Date) {
+        return isNaN(value.getTime()) ? 'Invalid date' : formatDate(value);
+    }
+    if (typeof value === 'object') return JSON.stringify(value);
+    return String(value);
+}
+
+/**
+ * Dates read in local time, as they were parsed: YYYY-MM-DD, with the
+ * time of day (THH:mm or THH:mm:ss) unless it is midnight
+ */
+function formatDate(date) {
+    const pad = number => String(number).padStart(2, '0');
+    const day = `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+    const [hours, minutes, seconds] = [date.getHours(), date.getMinutes(), date.getSeconds()];
+
+    if (hours === 0 && minutes === 0 && seconds === 0) return day;
+    return `${day}T${pad(hours)}:${pad(minutes)}${seconds ? `:${pad(seconds)}` : ''}`;
+}
+
+/**
+ * Fallback filter date parser for grids created without one
+ */
+function parseDate(text) {
+    const date = new Date(text);
+    return isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Sort order: numbers and dates by value, text naturally; missing values
+ * last in either direction
+ */
+function compareValues(a, b, direction) {
+    const aMissing = a === null || a === undefined || (typeof a === 'number' && isNaN(a));
+    const bMissing = b === null || b === undefined || (typeof b === 'number' && isNaN(b));
+    if (aMissing || bMissing) return aMissing === bMissing ? 0 : aMissing ? 1 : -1;
+
+    if (a instanceof Date) a = a.getTime();
+    if (b instanceof Date) b = b.getTime();
+    if (typeof a === 'number' && typeof b === 'number') return (a - b) * direction;
+
+    return String(a).localeCompare(String(b), undefined, { numeric: true }) * direction;
+}
@@ -3,211 +3,1305 @@
  * Handles data parsing, sample data loading, and type inference
  */
 
+import { CSVParser } from './csv-parser.js';
+import { TransformPipeline, JOIN_TYPES, hasJoinKey } from './transform-pipeline.js';
+
+// Generated samples use this seed unless another one is given, so the same
+// sample always produces the same chart
+export const DEFAULT_SAMPLE_SEED = 42;
+
+/**
+ * Sample dataset catalog. Bundled files are loaded from sample-data/,
+ * the others are generated with a seeded random number generator.
+ */
+const SAMPLE_DATASETS = [
+    {
+        id: 'sales',
+        name: 'Sales Data',
+        icon: '📈',
+        description: 'Quarterly sales, profit and units by region and product category',
+        rows: 64,
+        url: new URL('../sample-data/sales.csv', import.meta.url).href,
+        suggestedCharts: [
+            {
+                title: 'Sales by region',
+                chartType: 'bar',
+                mappings: {
+                    x: { column: 'region', type: 'nominal' },
+                    y: { column: 'sales', type: 'quantitative' },
+                    color: { column: 'category', type: 'nominal' }
+                }
+            },
+            {
+                title: 'Profit vs. sales',
+                chartType: 'scatter',
+                mappings: {
+                    x: { column: 'sales', type: 'quantitative' },
+                    y: { column: 'profit', type: 'quantitative' },
+                    color: { column: 'region', type: 'nominal' },
+                    size: { column: 'units', type: 'quantitative' }
+                }
+            }
+        ]
+    },
+    {
+        id: 'iris',
+        name: 'Iris Dataset',
+        icon: '🌸',
+        description: "Fisher's 1936 measurements of 150 iris flowers from three species",
+        rows: 150,
+        url: new URL('../sample-data/iris.csv', import.meta.url).href,
+        suggestedCharts: [
+            {
+                title: 'Petal length vs. width',
+                chartType: 'scatter',
+                mappings: {
+                    x: { column: 'petalLength', type: 'quantitative' },
+                    y: { column: 'petalWidth', type: 'quantitative' },
+                    color: { column: 'species', type: 'nominal' }
+                }
+            },
+            {
+                title: 'Sepal length by species',
+                chartType: 'boxplot',
+                mappings: {
+                    x: { column: 'species', type: 'nominal' },
+                    y: { column: 'sepalLength', type: 'quantitative' }
+                }
+            }
+        ]
+    },
+    {
+        id: 'stocks',
+        name: 'Stock Prices',
+        icon: '💰',
+        description: 'A simulated year of daily prices and volumes for five tickers (seeded random walk)',
+        rows: 1825,
+        generator: 'generateStockData',
+        suggestedCharts: [
+            {
+                title: 'Price over time',
+                chartType: 'line',
+                mappings: {
+                    x: { column: 'date', type: 'temporal' },
+                    y: { column: 'price', type: 'quantitative' },
+                    color: { column: 'company', type: 'nominal' }
+                }
+            },
+            {
+                title: 'Daily change distribution',
+                chartType: 'boxplot',
+                mappings: {
+                    x: { column: 'company', type: 'nominal' },
+                    y: { column: 'change', type: 'quantitative' }
+                }
+            }
+        ]
+    }
+];
+
+/**
+ * Small, fast seeded PRNG (mulberry32). Returns a function that behaves
+ * like Math.random() but yields the same sequence for the same seed.
+ */
+export function createSeededRandom(seed = DEFAULT_SAMPLE_SEED) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * Missing means null/undefined, or NaN for numbers
+ */
+function isMissing(value) {
+    return value == null || (typeof value === 'number' && isNaN(value));
+}
+
+/**
+ * Hashable key of a row's join columns; dates compare by timestamp
+ */
+function joinKey(row, columns) {
+    return JSON.stringify(columns.map(column => {
+        const value = row[column] ?? null;
+        return value instanceof Date ? value.getTime() : value;
+    }));
+}
+
+const MONTH_NAMES = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+const DATE_TOKENS = {
+    YYYY: ['year', '(\\d{4})'],
+    YY: ['shortYear', '(\\d{2})'],
+    MMM: ['monthName', '([A-Za-z]{3,9})'],
+    MM: ['month', '(\\d{2})'],
+    M: ['month', '(\\d{1,2})'],
+    DD: ['day', '(\\d{2})'],
+    D: ['day', '(\\d{1,2})'],
+    HH: ['hour', '(\\d{2})'],
+    H: ['hour', '(\\d{1,2})'],
+    mm: ['minute', '(\\d{2})'],
+    ss: ['second', '(\\d{2})']
+};
+
+// Number and date patterns are compiled once per separator pair or date
+// format, since they are tested against every cell of a parse
+const numberPatterns = new Map();
+const datePatterns = new Map();
+
+const escapeRegExp = str => str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+function numberPattern(decimalSeparator = '.', thousandsSeparator = '') {
+    const key = `${decimalSeparator}\u0000${thousandsSeparator || ''}`;
+    let pattern = numberPatterns.get(key);
+    if (!pattern) {
+        const decimal = escapeRegExp(decimalSeparator || '.');
+        const integer = thousandsSeparator
+            ? `(?:\\d+|\\d{1,3}(?:${escapeRegExp(thousandsSeparator)}\\d{3})+)`
+            : '\\d+';
+        pattern = new RegExp(`^[-+]?${integer}?(?:${decimal}\\d+)?(?:[eE][-+]?\\d+)?$`);
+        numberPatterns.set(key, pattern);
+    }
+    return pattern;
+}
+
+/**
+ * Regular expression for a date format, with the field each group captures
+ */
+function datePattern(format) {
+    let compiled = datePatterns.get(format);
+    if (!compiled) {
+        const parts = [];
+        const source = format.replace(/YYYY|YY|MMM|MM|M|DD|D|HH|H|mm|ss|[.*+?^${}()|[\]\\]/g, token => {
+            if (DATE_TOKENS[token]) {
+                parts.push(DATE_TOKENS[token][0]);
+                return DATE_TOKENS[token][1];
+            }
+            return `\\${token}`;
+        });
+        compiled = { pattern: new RegExp(`^${source}$`), parts };
+        datePatterns.set(format, compiled);
+    }
+    return compiled;
+}
+
 export class DataManager {
     constructor() {
-        this.supportedFormats = ['csv', 'json', 'tsv', 'txt'];
+        this.supportedFormats = ['csv', 'json', 'jsonl', 'ndjson', 'tsv', 'txt', 'xlsx', 'arrow', 'feather', 'parquet'];
+        this.parsingProfile = this.getDefaultParsingProfile();
+    }
+
+    /**
+     * Default rules for turning text cells into numbers and dates
+     */
+    getDefaultParsingProfile() {
+        return {
+            decimalSeparator: '.',
+            thousandsSeparator: ',',
+            dateFormats: ['YYYY-MM-DD', 'ISO', 'MM/DD/YYYY', 'MM-DD-YYYY'],
+            stripCurrency: true,
+            stripPercent: true,
+            keepLeadingZeros: true,
+            stringColumns: [],
+            nullTokens: ['NA', 'N/A', '-', 'null', 'NaN', 'None', '#N/A']
+        };
+    }
+
+    /**
+     * Whether a profile parses files like the default one. A viewer that
+     * fetches the raw file only gets close to the default rules.
+     */
+    isDefaultProfile(profile) {
+        const defaults = this.getDefaultParsingProfile();
+        return Object.keys(defaults).every(key => JSON.stringify(profile[key]) === JSON.stringify(defaults[key]));
+    }
+
+    /**
+     * Merge a partial profile over the manager's current profile
+     */
+    resolveProfile(profile) {
+        return { ...this.parsingProfile, ...profile };
+    }
+
+    /**
+     * Parse uploaded file based on its type.
+     * Resolves to { data, issues } where issues lists rows that were skipped
+     * or repaired while parsing.
+     */
+    async parseFile(file, options = {}) {
+        const extension = file.name.split('.').pop().toLowerCase();
+
+        // Delimited files are parsed chunk-by-chunk straight from the file stream
+        if ((extension === 'csv' || extension === 'tsv') && typeof file.stream === 'function') {
+            return this.parseCSVStream(file, {
+                delimiter: extension === 'tsv' ? '\t' : ',',
+                ...options
+            });
+        }
+
+        // Binary formats carry their own column types
+        switch (extension) {
+            case 'xlsx':
+                return this.parseXLSX(await this.readFileBuffer(file), options);
+            case 'arrow':
+            case 'feather':
+                return this.parseArrow(await this.readFileBuffer(file));
+            case 'parquet':
+                return this.parseParquet(await this.readFileBuffer(file));
+        }
+
+        const content = await this.readFileContent(file);
+        
+        switch (extension) {
+            case 'csv':
+                return this.parseCSV(content, options);
+            case 'tsv':
+                return this.parseTSV(content, options);
+            case 'json':
+                return this.parseJSON(content, options);
+            case 'jsonl':
+            case 'ndjson':
+                return this.parseJSONLines(content, options);
+            case 'txt':
+                // Try to detect format from content
+                return this.parseAutoDetect(content, options);
+            default:
+                throw new Error(`Unsupported file format: ${extension}`);
+        }
+    }
+
+    /**
+     * Fetch a dataset from a URL and parse it like an uploaded file.
+     * options.format overrides detection from the URL extension and the
+     * response Content-Type. Resolves to { data, issues, url, format, ... }.
+     */
+    async loadFromURL(url, options = {}) {
+        const { format: requestedFormat, signal, ...parseOptions } = options;
+
+        let response;
+        try {
+            response = await fetch(url, { signal, cache: 'no-store' });
+        } catch (error) {
+            if (error.name === 'AbortError') throw error;
+            throw new Error(`Could not reach ${url}: ${error.message}`);
+        }
+
+        if (!response.ok) {
+            throw new Error(`Request to ${url} failed: ${response.status} ${response.statusText}`);
+        }
+
+        const format = requestedFormat ||
+            this.detectURLFormat(url, response.headers.get('Content-Type'));
+        const blob = await response.blob();
+        const file = new File([blob], `${this.getURLFileName(url)}.${format}`, { type: blob.type });
+
+        const parsed = await this.parseFile(file, parseOptions);
+        return { ...parsed, url, format };
+    }
+
+    /**
+     * Work out a data format from the URL's extension, then its Content-Type,
+     * falling back to content sniffing ('txt')
+     */
+    detectURLFormat(url, contentType = '') {
+        const path = new URL(url, 'http://localhost').pathname;
+        const extension = path.includes('.') ? path.split('.').pop().toLowerCase() : '';
+        if (this.supportedFormats.includes(extension)) {
+            return extension;
+        }
+
+        const mimeFormats = {
+            'text/csv': 'csv',
+            'text/tab-separated-values': 'tsv',
+            'application/json': 'json',
+            'application/x-ndjson': 'jsonl',
+            'application/jsonl': 'jsonl',
+            'application/vnd.apache.arrow.file': 'arrow',
+            'application/vnd.apache.parquet': 'parquet',
+            'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet': 'xlsx'
+        };
+        const mime = (contentType || '').split(';')[0].trim().toLowerCase();
+        return mimeFormats[mime] || 'txt';
+    }
+
+    /**
+     * Last path segment of a URL without its extension, used as a dataset name
+     */
+    getURLFileName(url) {
+        const segment = new URL(url, 'http://localhost').pathname.split('/').filter(Boolean).pop();
+        return segment ? segment.replace(/\.[^.]+$/, '') : 'data';
+    }
+
+    /**
+     * Read file content as text
+     */
+    readFileContent(file) {
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = e => resolve(e.target.result);
+            reader.onerror = () => reject(new Error('Failed to read file'));
+            reader.readAsText(file);
+        });
+    }
+
+    /**
+     * Read file content as an ArrayBuffer
+     */
+    readFileBuffer(file) {
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = e => resolve(e.target.result);
+            reader.onerror = () => reject(new Error('Failed to read file'));
+            reader.readAsArrayBuffer(file);
+        });
+    }
+
+    /**
+     * Parse CSV content
+     */
+    parseCSV(content, options = {}) {
+        const rows = this.createRowCollector(options);
+        const parser = new CSVParser({
+            delimiter: options.delimiter,
+            quote: options.quote,
+            onRecord: rows.add
+        });
+
+        const issues = parser.parse(content);
+        return rows.finish(issues);
+    }
+
+    /**
+     * Parse a File as CSV without reading it into a single string.
+     * Calls options.onProgress with the fraction of bytes consumed.
+     */
+    async parseCSVStream(file, options = {}) {
+        const rows = this.createRowCollector(options);
+        const parser = new CSVParser({
+            delimiter: options.delimiter,
+            quote: options.quote,
+            onRecord: rows.add
+        });
+
+        const reader = file.stream().getReader();
+        const decoder = new TextDecoder(options.encoding || 'utf-8');
+        let bytesRead = 0;
+
+        while (true) {
+            const { done, value } = await reader.read();
+            if (done) break;
+
+            bytesRead += value.byteLength;
+            parser.write(decoder.decode(value, { stream: true }));
+
+            if (options.onProgress && file.size) {
+                options.onProgress(bytesRead / file.size);
+            }
+        }
+
+        parser.write(decoder.decode());
+        const issues = parser.end();
+        return rows.finish(issues);
+    }
+
+    /**
+     * Build row objects from parsed records. The first record is the header;
+     * rows whose field count doesn't match it are skipped and reported.
+     */
+    createRowCollector(options = {}) {
+        const profile = this.resolveProfile(options.profile);
+        let headers = null;
+        let rowNumber = 1;
+        const data = [];
+        const skipped = [];
+
+        const add = (fields, line) => {
+            if (!headers) {
+                const result = this.dedupeHeaders(fields.map(field => field.trim()), line);
+                headers = result.headers;
+                skipped.push(...result.issues);
+                return;
+            }
+
+            rowNumber++;
+
+            if (fields.length !== headers.length) {
+                skipped.push({
+                    type: 'field-count',
+                    row: rowNumber,
+                    line,
+                    expected: headers.length,
+                    actual: fields.length,
+                    message: `Row ${rowNumber} has ${fields.length} values but expected ${headers.length}`
+                });
+                return;
+            }
+
+            const row = {};
+            headers.forEach((header, index) => {
+                row[header] = this.parseValue(fields[index], profile, header);
+            });
+            data.push(row);
+        };
+
+        const finish = (parserIssues = []) => {
+            if (!headers || data.length === 0) {
+                throw new Error('CSV file must have at least a header and one data row');
+            }
+
+            const issues = [...parserIssues, ...skipped].sort((a, b) => a.line - b.line);
+            return { data, issues };
+        };
+
+        return { add, finish };
+    }
+
+    /**
+     * Make header names unique and non-empty: blank headers become
+     * column_N and repeats get a _2, _3, ... suffix, so no column silently
+     * overwrites another. Each rename is reported as an issue.
+     */
+    dedupeHeaders(names, line = 1) {
+        const issues = [];
+        const used = new Set();
+        const original = new Set(names);
+        const headers = names.map((name, index) => {
+            if (name === '') {
+                name = `column_${index + 1}`;
+                issues.push({
+                    type: 'empty-header',
+                    line,
+                    column: index + 1,
+                    renamed: name,
+                    message: `Column ${index + 1} has no header; named it ${name}`
+                });
+            }
+
+            if (!used.has(name)) {
+                used.add(name);
+                return name;
+            }
+
+            let suffix = 2;
+            while (used.has(`${name}_${suffix}`) || original.has(`${name}_${suffix}`)) suffix++;
+            const renamed = `${name}_${suffix}`;
+            used.add(renamed);
+            issues.push({
+                type: 'duplicate-header',
+                line,
+                column: index + 1,
+                header: name,
+                renamed,
+                message: `Header "${name}" appears more than once; column ${index + 1} renamed to ${renamed}`
+            });
+            return renamed;
+        });
+
+        return { headers, issues };
+    }
+
+    /**
+     * Parse TSV content
+     */
+    parseTSV(content, options = {}) {
+        return this.parseCSV(content, { ...options, delimiter: '\t' });
+    }
+
+    /**
+     * Parse JSON content. Accepts a top-level array of records or an object
+     * that contains one; see extractRecords for the options.
+     */
+    parseJSON(content, options = {}) {
+        let parsed;
+        try {
+            parsed = JSON.parse(content);
+        } catch (error) {
+            throw new Error(`Invalid JSON format: ${error.message}`);
+        }
+
+        return this.extractRecords(parsed, options);
+    }
+
+    /**
+     * Parse JSON Lines / NDJSON content, one record per line.
+     * Lines that fail to parse are skipped and reported as issues.
+     */
+    parseJSONLines(content, options = {}) {
+        const records = [];
+        const issues = [];
+
+        content.split(/\r?\n/).forEach((line, index) => {
+            if (!line.trim()) return;
+
+            try {
+                records.push(JSON.parse(line));
+            } catch (error) {
+                issues.push({
+                    type: 'invalid-json',
+                    line: index + 1,
+                    message: `Line ${index + 1} is not valid JSON: ${error.message}`
+                });
+            }
+        });
+
+        if (records.length === 0) {
+            throw new Error('JSON Lines file does not contain any valid records');
+        }
+
+        return { ...this.flattenRecords(records, options), issues };
+    }
+
+    /**
+     * Locate the record array in parsed JSON and flatten it into rows.
+     * options.recordPath picks the array inside an object (defaults to the
+     * largest); the candidates are returned as recordPaths so the caller can
+     * offer a chooser when there is more than one.
+     */
+    extractRecords(parsed, options = {}) {
+        if (Array.isArray(parsed)) {
+            return { ...this.flattenRecords(parsed, options), recordPath: null, recordPaths: [] };
+        }
+
+        if (!parsed || typeof parsed !== 'object') {
+            throw new Error('JSON data must be an array of objects');
+        }
+
+        const recordPaths = this.findRecordArrays(parsed);
+        if (recordPaths.length === 0) {
+            throw new Error('JSON object does not contain an array of records');
+        }
+
+        const recordPath = recordPaths.some(candidate => candidate.path === options.recordPath)
+            ? options.recordPath
+            : recordPaths[0].path;
+
+        return {
+            ...this.flattenRecords(this.getPathValue(parsed, recordPath), options),
+            recordPath,
+            recordPaths
+        };
+    }
+
+    /**
+     * Find arrays of objects nested inside an object, largest first
+     */
+    findRecordArrays(value, prefix = '', depth = 0, found = []) {
+        if (depth > 5) return found;
+
+        Object.entries(value).forEach(([key, child]) => {
+            const path = prefix ? `${prefix}.${key}` : key;
+
+            if (Array.isArray(child)) {
+                if (child.length > 0 && child.every(item => item && typeof item === 'object' && !Array.isArray(item))) {
+                    found.push({ path, length: child.length });
+                }
+            } else if (child && typeof child === 'object') {
+                this.findRecordArrays(child, path, depth + 1, found);
+            }
+        });
+
+        return found.sort((a, b) => b.length - a.length);
+    }
+
+    /**
+     * Read a dot-separated path from an object
+     */
+    getPathValue(value, path) {
+        return path.split('.').reduce((current, key) => current == null ? undefined : current[key], value);
+    }
+
+    /**
+     * Flatten records into rows with dot-path columns (user.address.city).
+     * Nested arrays are kept as JSON strings unless options.explode names one,
+     * in which case each of its elements becomes its own row.
+     */
+    flattenRecords(records, options = {}) {
+        const arrayPaths = new Set();
+        const columns = new Set();
+        const rows = [];
+
+        records.forEach(record => {
+            if (!record || typeof record !== 'object' || Array.isArray(record)) {
+                record = { value: record };
+            }
+
+            const expanded = options.explode ? this.explodeRecord(record, options.explode) : [record];
+            expanded.forEach(item => {
+                const row = this.flattenObject(item, '', {}, arrayPaths);
+                Object.keys(row).forEach(column => columns.add(column));
+                rows.push(row);
+            });
+        });
+
+        // Give every row the same columns, in order of first appearance
+        const profile = this.resolveProfile(options.profile);
+        const data = rows.map(row => {
+            const complete = {};
+            columns.forEach(column => {
+                const value = row[column];
+                complete[column] = value === undefined || this.isNullToken(value, profile) ? null : value;
+            });
+            return complete;
+        });
+
+        return { data, issues: [], arrayPaths: [...arrayPaths] };
+    }
+
+    /**
+     * Flatten one object into a single-level row
+     */
+    flattenObject(value, prefix, row, arrayPaths) {
+        Object.entries(value).forEach(([key, child]) => {
+            const path = prefix ? `${prefix}.${key}` : key;
+
+            if (child === undefined) {
+                return;
+            } else if (Array.isArray(child)) {
+                arrayPaths.add(path);
+                row[path] = JSON.stringify(child);
+            } else if (child && typeof child === 'object' && !(child instanceof Date)) {
+                this.flattenObject(child, path, row, arrayPaths);
+            } else {
+                row[path] = child;
+            }
+        });
+
+        return row;
+    }
+
+    /**
+     * Turn a record into one record per element of the array at path.
+     * Records without elements at that path are kept once, without it.
+     */
+    explodeRecord(record, path) {
+        const items = this.getPathValue(record, path);
+        if (!Array.isArray(items)) {
+            return [record];
+        }
+
+        const keys = path.split('.');
+        const withValue = (item) => {
+            const copy = { ...record };
+            let target = copy;
+            keys.slice(0, -1).forEach(key => {
+                target[key] = { ...target[key] };
+                target = target[key];
+            });
+            target[keys[keys.length - 1]] = item;
+            return copy;
+        };
+
+        return items.length > 0 ? items.map(withValue) : [withValue(undefined)];
+    }
+
+    /**
+     * Parse an Excel workbook. Reads options.sheet, or the first sheet, and
+     * returns the sheet names so the caller can offer a sheet picker.
+     */
+    async parseXLSX(buffer, options = {}) {
+        const XLSX = await import('xlsx');
+        const workbook = XLSX.read(new Uint8Array(buffer), { type: 'array', cellDates: true });
+        const sheets = workbook.SheetNames;
+
+        if (sheets.length === 0) {
+            throw new Error('Workbook does not contain any sheets');
+        }
+
+        const sheetName = options.sheet || sheets[0];
+        const sheet = workbook.Sheets[sheetName];
+        if (!sheet) {
+            throw new Error(`Sheet not found: ${sheetName}`);
+        }
+        if (!sheet['!ref']) {
+            throw new Error(`Sheet "${sheetName}" is empty`);
+        }
+
+        const rows = XLSX.utils.sheet_to_json(sheet, { header: 1, defval: null, raw: true, blankrows: false });
+        if (rows.length < 2) {
+            throw new Error(`Sheet "${sheetName}" must have a header row and at least one data row`);
+        }
+
+        const profile = this.resolveProfile(options.profile);
+        const range = XLSX.utils.decode_range(sheet['!ref']);
+        const { headers, issues } = this.dedupeHeaders(
+            rows[0].map(header => header == null ? '' : String(header).trim()));
+
+        const data = rows.slice(1).map(values => {
+            const row = {};
+            headers.forEach((header, index) => {
+                const value = values[index];
+                row[header] = typeof value === 'string' ? this.parseValue(value, profile, header) : value;
+            });
+            return row;
+        });
+
+        // Map each column's native cell types (n/d/s/b) to a Vega-Lite type
+        const cellTypes = { n: 'quantitative', d: 'temporal', s: 'nominal', b: 'nominal' };
+        const columnTypes = {};
+        headers.forEach((header, index) => {
+            const types = new Set();
+            for (let r = range.s.r + 1; r <= range.e.r; r++) {
+                const cell = sheet[XLSX.utils.encode_cell({ r, c: range.s.c + index })];
+                if (cell && cellTypes[cell.t]) {
+                    types.add(cellTypes[cell.t]);
+                }
+            }
+            columnTypes[header] = types.size === 1 ? [...types][0] : 'nominal';
+        });
+
+        return { data, issues, columnTypes, sheets, sheet: sheetName };
+    }
+
+    /**
+     * Parse an Apache Arrow IPC (file or stream) buffer
+     */
+    async parseArrow(buffer) {
+        const arrow = await import('apache-arrow');
+        const table = arrow.tableFromIPC(new Uint8Array(buffer));
+        return this.arrowTableToRows(arrow, table);
+    }
+
+    /**
+     * Parse a Parquet buffer by decoding it to Arrow IPC with parquet-wasm
+     */
+    async parseParquet(buffer) {
+        const [arrow, parquet] = await Promise.all([
+            import('apache-arrow'),
+            import('parquet-wasm')
+        ]);
+
+        // The browser build must load its WebAssembly module before use
+        if (typeof parquet.default === 'function') {
+            await parquet.default();
+        }
+        const wasmTable = parquet.readParquet(new Uint8Array(buffer));
+        const table = arrow.tableFromIPC(wasmTable.intoIPCStream());
+        return this.arrowTableToRows(arrow, table);
+    }
+
+    /**
+     * Convert an Arrow table into row objects, mapping the schema's native
+     * types to Vega-Lite types
+     */
+    arrowTableToRows(arrow, table) {
+        const { DataType } = arrow;
+        const fields = table.schema.fields;
+        const columnTypes = {};
+
+        fields.forEach(field => {
+            const type = field.type;
+            if (DataType.isInt(type) || DataType.isFloat(type) || DataType.isDecimal(type) || DataType.isTime(type)) {
+                columnTypes[field.name] = 'quantitative';
+            } else if (DataType.isDate(type) || DataType.isTimestamp(type)) {
+                columnTypes[field.name] = 'temporal';
+            } else {
+                columnTypes[field.name] = 'nominal';
+            }
+        });
+
+        const columns = fields.map(field => ({
+            name: field.name,
+            type: columnTypes[field.name],
+            vector: table.getChild(field.name)
+        }));
+
+        const data = [];
+        for (let i = 0; i < table.numRows; i++) {
+            const row = {};
+            columns.forEach(({ name, type, vector }) => {
+                row[name] = this.convertArrowValue(vector.get(i), type);
+            });
+            data.push(row);
+        }
+
+        return { data, issues: [], columnTypes };
+    }
+
+    /**
+     * Convert a single Arrow value into a plain JS value
+     */
+    convertArrowValue(value, type) {
+        if (value == null) return null;
+
+        if (type === 'temporal') {
+            return value instanceof Date ? value : new Date(Number(value));
+        }
+        if (type === 'quantitative') {
+            return Number(value);
+        }
+        if (typeof value === 'object') {
+            return JSON.stringify(value.toJSON ? value.toJSON() : value,
+                (key, v) => typeof v === 'bigint' ? Number(v) : v);
+        }
+        return value;
+    }
+
+    /**
+     * Auto-detect format and parse
+     */
+    parseAutoDetect(content, options = {}) {
+        const trimmed = content.trim();
+
+        // Try JSON first, since JSON documents also contain commas
+        if (trimmed.startsWith('[') || trimmed.startsWith('{')) {
+            try {
+                return this.parseJSON(content, options);
+            } catch (error) {
+                // Continue to next format
+            }
+        }
+
+        // One JSON object per line
+        if (trimmed.startsWith('{')) {
+            try {
+                return this.parseJSONLines(content, options);
+            } catch (error) {
+                // Continue to next format
+            }
+        }
+
+        // Try TSV when the first line is tab separated
+        const firstLine = content.split('\n', 1)[0];
+        if (firstLine.includes('\t')) {
+            try {
+                return this.parseTSV(content, options);
+            } catch (error) {
+                // Continue to next format
+            }
+        }
+
+        // Try CSV
+        if (content.includes(',')) {
+            try {
+                return this.parseCSV(content, options);
+            } catch (error) {
+                // Continue to next format
+            }
+        }
+
+        throw new Error('Could not detect file format. Please ensure it is CSV, TSV, JSON or JSON Lines.');
+    }
+
+    /**
+     * Parse individual value and infer type.
+     * Columns listed in profile.stringColumns are always kept as text.
+     */
+    parseValue(value, profile = this.parsingProfile, column = null) {
+        if (!value || value === '') {
+            return null;
+        }
+
+        value = value.trim();
+        if (value === '') {
+            return null;
+        }
+
+        // Remove quotes if present
+        if ((value.startsWith('"') && value.endsWith('"')) || 
+            (value.startsWith("'") && value.endsWith("'"))) {
+            value = value.slice(1, -1);
+        }
+
+        if (this.isNullToken(value, profile)) {
+            return null;
+        }
+
+        if (column !== null && profile.stringColumns.includes(column)) {
+            return value;
+        }
+
+        // Try to parse as number
+        const number = this.parseNumber(value, profile);
+        if (number !== null) {
+            return number;
+        }
+
+        // Try to parse as date
+        const date = this.parseDate(value, profile.dateFormats);
+        if (date) {
+            return date;
+        }
+
+        // Return as string
+        return value;
     }
 
     /**
-     * Parse uploaded file based on its type
+     * Whether a text cell is one of the profile's missing-value markers
+     * (compared case-insensitively, e.g. NA, N/A, -, null)
      */
-    async parseFile(file) {
-        const extension = file.name.split('.').pop().toLowerCase();
-        const content = await this.readFileContent(file);
-        
-        switch (extension) {
-            case 'csv':
-                return this.parseCSV(content);
-            case 'tsv':
-                return this.parseTSV(content);
-            case 'json':
-                return this.parseJSON(content);
-            case 'txt':
-                // Try to detect format from content
-                return this.parseAutoDetect(content);
-            default:
-                throw new Error(`Unsupported file format: ${extension}`);
-        }
+    isNullToken(value, profile = this.parsingProfile) {
+        if (typeof value !== 'string' || !profile.nullTokens) return false;
+        const token = value.trim().toLowerCase();
+        return profile.nullTokens.some(nullToken => nullToken.toLowerCase() === token);
     }
 
     /**
-     * Read file content as text
+     * Parse a number using the profile's separators. Returns null for text
+     * that isn't a number, including codes with leading zeros such as zip
+     * codes when profile.keepLeadingZeros is set.
      */
-    readFileContent(file) {
-        return new Promise((resolve, reject) => {
-            const reader = new FileReader();
-            reader.onload = e => resolve(e.target.result);
-            reader.onerror = () => reject(new Error('Failed to read file'));
-            reader.readAsText(file);
-        });
+    parseNumber(value, profile = this.parsingProfile) {
+        let text = String(value).trim();
+
+        if (profile.stripPercent && text.endsWith('%')) {
+            text = text.slice(0, -1).trim();
+        }
+        if (profile.stripCurrency) {
+            text = text.replace(/[$€£¥₹]/g, '').trim();
+        }
+
+        if (!/\d/.test(text)) {
+            return null;
+        }
+        if (profile.keepLeadingZeros && /^[-+]?0\d/.test(text)) {
+            return null;
+        }
+
+        if (!numberPattern(profile.decimalSeparator, profile.thousandsSeparator).test(text)) {
+            return null;
+        }
+
+        if (profile.thousandsSeparator) {
+            text = text.split(profile.thousandsSeparator).join('');
+        }
+        return parseFloat(text.replace(profile.decimalSeparator || '.', '.'));
     }
 
     /**
-     * Parse CSV content
+     * Parse a date using the first matching format.
+     * Formats use YYYY, YY, MMM, MM, M, DD, D, HH, H, mm and ss tokens;
+     * 'ISO' accepts ISO 8601 date-times with a time zone or offset.
      */
-    parseCSV(content, delimiter = ',') {
-        const lines = content.trim().split('\n');
-        if (lines.length < 2) {
-            throw new Error('CSV file must have at least a header and one data row');
+    parseDate(value, formats = this.parsingProfile.dateFormats) {
+        for (const format of formats) {
+            const date = format === 'ISO'
+                ? this.parseISODate(value)
+                : this.parseDateWithFormat(value, format);
+            if (date) return date;
         }
+        return null;
+    }
 
-        const headers = this.parseCSVLine(lines[0], delimiter);
-        const data = [];
+    parseISODate(value) {
+        if (!/^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?$/.test(value)) {
+            return null;
+        }
+        const date = new Date(value);
+        return isNaN(date.getTime()) ? null : date;
+    }
 
-        for (let i = 1; i < lines.length; i++) {
-            const values = this.parseCSVLine(lines[i], delimiter);
-            if (values.length !== headers.length) {
-                console.warn(`Row ${i + 1} has ${values.length} values but expected ${headers.length}`);
-                continue;
+    parseDateWithFormat(value, format) {
+        const { pattern, parts } = datePattern(format);
+        const match = pattern.exec(value);
+        if (!match) return null;
+
+        const fields = { year: 1970, month: 1, day: 1, hour: 0, minute: 0, second: 0 };
+        parts.forEach((part, index) => {
+            const text = match[index + 1];
+            if (part === 'monthName') {
+                fields.month = MONTH_NAMES.indexOf(text.slice(0, 3).toLowerCase()) + 1;
+            } else if (part === 'shortYear') {
+                fields.year = 2000 + parseInt(text, 10);
+            } else {
+                fields[part] = parseInt(text, 10);
             }
+        });
 
-            const row = {};
-            headers.forEach((header, index) => {
-                row[header] = this.parseValue(values[index]);
-            });
-            data.push(row);
-        }
+        const date = new Date(fields.year, fields.month - 1, fields.day,
+            fields.hour, fields.minute, fields.second);
 
-        return data;
+        // Reject impossible dates such as 31/02 instead of rolling them over
+        if (date.getFullYear() !== fields.year || date.getMonth() !== fields.month - 1 ||
+            date.getDate() !== fields.day || fields.hour > 23 || fields.minute > 59 || fields.second > 59) {
+            return null;
+        }
+        return date;
     }
 
     /**
-     * Parse TSV content
+     * Check if a value is a date
      */
-    parseTSV(content) {
-        return this.parseCSV(content, '\t');
+    isDate(value, formats = this.parsingProfile.dateFormats) {
+        return this.parseDate(value, formats) !== null;
     }
 
     /**
-     * Parse JSON content
+     * Apply per-column type overrides, converting values where the new type
+     * needs it (text to numbers or dates). Returns a new array; the input is
+     * left untouched so overrides can be changed or removed later.
      */
-    parseJSON(content) {
-        try {
-            const data = JSON.parse(content);
-            if (!Array.isArray(data)) {
-                throw new Error('JSON data must be an array of objects');
-            }
+    applyTypeOverrides(data, overrides = {}, profile = this.parsingProfile) {
+        const converted = Object.entries(overrides)
+            .filter(([_, type]) => type === 'quantitative' || type === 'temporal');
+
+        if (!data || converted.length === 0) {
             return data;
-        } catch (error) {
-            throw new Error(`Invalid JSON format: ${error.message}`);
         }
+
+        const resolved = this.resolveProfile(profile);
+        return data.map(row => {
+            const copy = { ...row };
+            converted.forEach(([column, type]) => {
+                copy[column] = this.coerceValue(row[column], type, resolved);
+            });
+            return copy;
+        });
     }
 
     /**
-     * Auto-detect format and parse
+     * Copy of the rows with a column renamed, keeping the column order
      */
-    parseAutoDetect(content) {
-        // Try CSV first
-        if (content.includes(',')) {
-            try {
-                return this.parseCSV(content);
-            } catch (error) {
-                // Continue to next format
-            }
+    renameColumn(data, column, newName) {
+        if (data.length > 0 && !(column in data[0])) {
+            throw new Error(`Unknown column: ${column}`);
         }
-
-        // Try TSV
-        if (content.includes('\t')) {
-            try {
-                return this.parseTSV(content);
-            } catch (error) {
-                // Continue to next format
-            }
+        if (data.length > 0 && newName in data[0]) {
+            throw new Error(`A column named "${newName}" already exists`);
         }
 
-        // Try JSON
-        if (content.trim().startsWith('[') || content.trim().startsWith('{')) {
-            try {
-                return this.parseJSON(content);
-            } catch (error) {
-                // Continue to next format
-            }
+        return data.map(row => Object.fromEntries(Object.entries(row)
+            .map(([key, value]) => [key === column ? newName : key, value])));
+    }
+
+    /**
+     * Join two datasets on one or more key pairs, using the same rules as
+     * the pipeline's join step: right-hand columns that clash with left ones
+     * get a "_right" suffix, and an outer join keeps unmatched rows of both.
+     * options: { on: [{ left, right }], how: 'inner' | 'left' | 'outer' }
+     */
+    joinDatasets(left, right, { on, how = 'inner' }) {
+        this.validateJoinKeys(left, right, on);
+        if (!JOIN_TYPES.includes(how)) {
+            throw new Error(`Unknown join type: ${how}`);
         }
 
-        throw new Error('Could not detect file format. Please ensure it is CSV, TSV, or JSON.');
+        return new TransformPipeline([{ type: 'join', data: right, on, how }]).apply(left);
     }
 
     /**
-     * Parse a single CSV line, handling quoted values
+     * How well two datasets match on the given keys, before joining them:
+     * per side, the rows and share of rows that find a partner and the
+     * first few keys that don't; plus the row count each join type yields.
      */
-    parseCSVLine(line, delimiter = ',') {
-        const values = [];
-        let current = '';
-        let inQuotes = false;
-        let i = 0;
+    previewJoin(left, right, { on, limit = 10 }) {
+        this.validateJoinKeys(left, right, on);
 
-        while (i < line.length) {
-            const char = line[i];
-
-            if (char === '"') {
-                if (inQuotes && i + 1 < line.length && line[i + 1] === '"') {
-                    // Escaped quote
-                    current += '"';
-                    i += 2;
+        // Rows with a missing key can't match, so they aren't counted as keys
+        const countKeys = (rows, columns) => {
+            const keys = new Map();
+            rows.forEach(row => {
+                if (!hasJoinKey(row, columns)) return;
+                const key = joinKey(row, columns);
+                const entry = keys.get(key);
+                if (entry) {
+                    entry.rows++;
                 } else {
-                    // Toggle quote state
-                    inQuotes = !inQuotes;
-                    i++;
+                    keys.set(key, { values: columns.map(column => row[column] ?? null), rows: 1 });
                 }
-            } else if (char === delimiter && !inQuotes) {
-                // End of value
-                values.push(current.trim());
-                current = '';
-                i++;
-            } else {
-                current += char;
-                i++;
+            });
+            return keys;
+        };
+
+        const leftKeys = countKeys(left, on.map(pair => pair.left));
+        const rightKeys = countKeys(right, on.map(pair => pair.right));
+
+        const summarize = (rows, keys, otherKeys) => {
+            const unmatched = [...keys.entries()].filter(([key]) => !otherKeys.has(key));
+            const keyedRows = [...keys.values()].reduce((sum, entry) => sum + entry.rows, 0);
+            const missingKeyRows = rows.length - keyedRows;
+            const unmatchedRows = unmatched.reduce((sum, [_, entry]) => sum + entry.rows, 0) + missingKeyRows;
+            return {
+                rows: rows.length,
+                missingKeyRows,
+                matchedRows: rows.length - unmatchedRows,
+                matchRate: rows.length > 0 ? (rows.length - unmatchedRows) / rows.length : 0,
+                unmatchedKeyCount: unmatched.length,
+                unmatchedKeys: unmatched.slice(0, limit).map(([_, entry]) => entry)
+            };
+        };
+
+        const leftSummary = summarize(left, leftKeys, rightKeys);
+        const rightSummary = summarize(right, rightKeys, leftKeys);
+
+        let inner = 0;
+        leftKeys.forEach((entry, key) => {
+            const partner = rightKeys.get(key);
+            if (partner) inner += entry.rows * partner.rows;
+        });
+        const leftJoin = inner + (leftSummary.rows - leftSummary.matchedRows);
+
+        return {
+            left: leftSummary,
+            right: rightSummary,
+            duplicateRightKeys: [...rightKeys.values()].filter(entry => entry.rows > 1).length,
+            resultRows: {
+                inner,
+                left: leftJoin,
+                outer: leftJoin + (rightSummary.rows - rightSummary.matchedRows)
             }
+        };
+    }
+
+    validateJoinKeys(left, right, on) {
+        if (!on || on.length === 0) {
+            throw new Error('Choose at least one key column to join on');
         }
 
-        // Add the last value
-        values.push(current.trim());
+        const leftColumns = Object.keys(left[0] || {});
+        const rightColumns = Object.keys(right[0] || {});
+        on.forEach(pair => {
+            if (!leftColumns.includes(pair.left)) {
+                throw new Error(`Key column "${pair.left}" is not in the left dataset`);
+            }
+            if (!rightColumns.includes(pair.right)) {
+                throw new Error(`Key column "${pair.right}" is not in the right dataset`);
+            }
+        });
+    }
+
+    /**
+     * Number of missing values (null or NaN) per column
+     */
+    getMissingCounts(data) {
+        const counts = {};
+        if (!data || data.length === 0) return counts;
 
-        return values;
+        Object.keys(data[0]).forEach(column => { counts[column] = 0; });
+        data.forEach(row => {
+            Object.keys(counts).forEach(column => {
+                if (isMissing(row[column])) counts[column]++;
+            });
+        });
+        return counts;
     }
 
     /**
-     * Parse individual value and infer type
+     * Apply per-column missing-value strategies:
+     *   { column: { strategy: 'drop' | 'constant' | 'mean' | 'median' | 'ffill', value } }
+     * Rows are dropped first, then the remaining gaps are filled. Resolves to
+     * { data, applied } where applied records, per column, the strategy,
+     * the value actually used for constant/mean/median fills, and how many
+     * cells were filled or rows dropped, so the result can be reproduced.
      */
-    parseValue(value) {
-        if (!value || value === '') {
-            return null;
+    applyMissingValues(data, strategies = {}) {
+        const entries = Object.entries(strategies).filter(([_, config]) => config && config.strategy);
+        if (!data || entries.length === 0) {
+            return { data, applied: {} };
         }
 
-        value = value.trim();
+        const applied = {};
+        const dropColumns = entries.filter(([_, config]) => config.strategy === 'drop').map(([column]) => column);
+        let rows = data;
 
-        // Remove quotes if present
-        if ((value.startsWith('"') && value.endsWith('"')) || 
-            (value.startsWith("'") && value.endsWith("'"))) {
-            value = value.slice(1, -1);
+        if (dropColumns.length > 0) {
+            rows = data.filter(row => dropColumns.every(column => !isMissing(row[column])));
+            dropColumns.forEach(column => {
+                applied[column] = { strategy: 'drop', dropped: data.filter(row => isMissing(row[column])).length };
+            });
         }
 
-        // Try to parse as number
-        if (!isNaN(value) && value !== '') {
-            return parseFloat(value);
+        rows = rows.map(row => ({ ...row }));
+
+        entries.forEach(([column, config]) => {
+            const { strategy } = config;
+            if (strategy === 'drop') return;
+
+            let filled = 0;
+
+            if (strategy === 'ffill') {
+                // Carry the last seen value forward, in row order
+                let last = null;
+                rows.forEach(row => {
+                    if (isMissing(row[column])) {
+                        if (last !== null) {
+                            row[column] = last;
+                            filled++;
+                        }
+                    } else {
+                        last = row[column];
+                    }
+                });
+                applied[column] = { strategy, filled };
+                return;
+            }
+
+            const value = this.getFillValue(rows, column, config);
+            if (value === null) {
+                applied[column] = { strategy, value, filled };
+                return;
+            }
+
+            rows.forEach(row => {
+                if (isMissing(row[column])) {
+                    row[column] = value;
+                    filled++;
+                }
+            });
+            applied[column] = { strategy, value, filled };
+        });
+
+        return { data: rows, applied };
+    }
+
+    /**
+     * Value used to fill a column: the constant (typed like the column's
+     * other values), or the mean/median of its numbers
+     */
+    getFillValue(rows, column, { strategy, value }) {
+        const present = rows.map(row => row[column]).filter(v => !isMissing(v));
+
+        if (strategy === 'constant') {
+            if (value == null || value === '') return null;
+            if (typeof value !== 'string') return value;
+            const sample = present[0];
+            if (typeof sample === 'number') return this.coerceValue(value, 'quantitative');
+            if (sample instanceof Date) return this.coerceValue(value, 'temporal');
+            return value;
         }
 
-        // Try to parse as date
-        if (this.isDate(value)) {
-            return new Date(value);
+        const numbers = present.filter(v => typeof v === 'number').sort((a, b) => a - b);
+        if (numbers.length === 0) return null;
+
+        if (strategy === 'mean') {
+            return numbers.reduce((sum, n) => sum + n, 0) / numbers.length;
+        }
+        if (strategy === 'median') {
+            return this.quantile(numbers, 0.5);
         }
 
-        // Return as string
-        return value;
+        throw new Error(`Unknown missing-value strategy: ${strategy}`);
     }
 
     /**
-     * Check if a value is a date
+     * Convert a single value to a number or date; values that can't be
+     * converted become null
      */
-    isDate(value) {
-        // Simple date patterns
-        const datePatterns = [
-            /^\d{4}-\d{2}-\d{2}$/, // YYYY-MM-DD
-            /^\d{2}\/\d{2}\/\d{4}$/, // MM/DD/YYYY
-            /^\d{2}-\d{2}-\d{4}$/, // MM-DD-YYYY
-        ];
+    coerceValue(value, type, profile = this.parsingProfile) {
+        if (value == null) return null;
+
+        if (type === 'quantitative') {
+            if (typeof value === 'number') return value;
+            if (value instanceof Date) return value.getTime();
+            return this.parseNumber(value, { ...profile, keepLeadingZeros: false });
+        }
+
+        if (type === 'temporal') {
+            if (value instanceof Date) return value;
+            // Whole numbers in a plausible range are years, anything else a timestamp
+            if (typeof value === 'number') {
+                return Number.isInteger(value) && value >= 1000 && value <= 9999
+                    ? new Date(value, 0, 1)
+                    : new Date(value);
+            }
+            return this.parseDate(String(value).trim(), profile.dateFormats);
+        }
 
-        return datePatterns.some(pattern => pattern.test(value));
+        return value;
     }
 
     /**
@@ -267,136 +1361,374 @@ export class DataManager {
     }
 
     /**
-     * Load sample datasets
+     * Infer the type of every column in one pass over the column names
      */
-    async loadSampleData(sampleType) {
-        const sampleData = {
-            sales: this.generateSalesData(),
-            iris: this.generateIrisData(),
-            stocks: this.generateStockData()
-        };
-
-        if (!sampleData[sampleType]) {
-            throw new Error(`Unknown sample type: ${sampleType}`);
-        }
+    inferColumnTypes(data) {
+        if (!data || data.length === 0) return {};
 
-        return sampleData[sampleType];
+        const types = {};
+        Object.keys(data[0]).forEach(column => {
+            types[column] = this.inferColumnType(data, column);
+        });
+        return types;
     }
 
     /**
-     * Generate sales sample data
+     * Describe the available sample datasets: id, name, icon, description,
+     * row count and suggested charts
      */
-    generateSalesData() {
-        const regions = ['North', 'South', 'East', 'West'];
-        const quarters = ['Q1', 'Q2', 'Q3', 'Q4'];
-        const categories = ['Electronics', 'Clothing', 'Home', 'Sports'];
-        const data = [];
-
-        regions.forEach(region => {
-            quarters.forEach(quarter => {
-                categories.forEach(category => {
-                    data.push({
-                        region,
-                        quarter,
-                        category,
-                        sales: Math.round(Math.random() * 100000 + 10000),
-                        profit: Math.round(Math.random() * 20000 + 2000),
-                        units: Math.round(Math.random() * 1000 + 100)
-                    });
-                });
-            });
-        });
-
-        return data;
+    listSampleDatasets() {
+        return SAMPLE_DATASETS.map(({ url, generator, ...entry }) => ({
+            ...entry,
+            source: url ? 'file' : 'generated',
+            suggestedCharts: entry.suggestedCharts.map(chart => ({ ...chart, mappings: { ...chart.mappings } }))
+        }));
     }
 
     /**
-     * Generate Iris sample data
+     * Load a sample dataset by id. Generated samples are reproducible:
+     * the same seed always gives the same rows.
      */
-    generateIrisData() {
-        // Simplified Iris dataset
-        const species = ['setosa', 'versicolor', 'virginica'];
-        const data = [];
+    async loadSampleData(sampleType, { seed = DEFAULT_SAMPLE_SEED } = {}) {
+        const entry = SAMPLE_DATASETS.find(dataset => dataset.id === sampleType);
 
-        species.forEach((sp, speciesIndex) => {
-            for (let i = 0; i < 50; i++) {
-                // Generate realistic iris measurements with species-specific means
-                const means = {
-                    setosa: { sepalLength: 5.0, sepalWidth: 3.4, petalLength: 1.5, petalWidth: 0.2 },
-                    versicolor: { sepalLength: 5.9, sepalWidth: 2.8, petalLength: 4.3, petalWidth: 1.3 },
-                    virginica: { sepalLength: 6.5, sepalWidth: 3.0, petalLength: 5.6, petalWidth: 2.0 }
-                };
+        if (!entry) {
+            throw new Error(`Unknown sample type: ${sampleType}`);
+        }
 
-                const mean = means[sp];
-                data.push({
-                    species: sp,
-                    sepalLength: Math.round((mean.sepalLength + (Math.random() - 0.5) * 2) * 10) / 10,
-                    sepalWidth: Math.round((mean.sepalWidth + (Math.random() - 0.5) * 1.5) * 10) / 10,
-                    petalLength: Math.round((mean.petalLength + (Math.random() - 0.5) * 2) * 10) / 10,
-                    petalWidth: Math.round((mean.petalWidth + (Math.random() - 0.5) * 1) * 10) / 10
-                });
+        if (entry.url) {
+            const response = await fetch(entry.url);
+            if (!response.ok) {
+                throw new Error(`Could not load sample ${entry.name}: ${response.status} ${response.statusText}`);
             }
-        });
+            return this.parseCSV(await response.text()).data;
+        }
 
-        return data;
+        return this[entry.generator](createSeededRandom(seed));
     }
 
     /**
-     * Generate stock sample data
+     * Generate stock sample data: a daily random walk per company
      */
-    generateStockData() {
+    generateStockData(random = createSeededRandom()) {
         const companies = ['AAPL', 'GOOGL', 'MSFT', 'AMZN', 'TSLA'];
         const data = [];
         const startDate = new Date('2023-01-01');
         
         companies.forEach(company => {
-            let price = Math.random() * 200 + 50; // Starting price
+            let price = random() * 200 + 50; // Starting price
             
             for (let day = 0; day < 365; day++) {
                 const date = new Date(startDate);
                 date.setDate(startDate.getDate() + day);
                 
                 // Random walk for stock price
-                const change = (Math.random() - 0.5) * 10;
+                const change = (random() - 0.5) * 10;
                 price = Math.max(price + change, 10); // Ensure price doesn't go below 10
                 
                 data.push({
                     company,
                     date: date.toISOString().split('T')[0],
                     price: Math.round(price * 100) / 100,
-                    volume: Math.round(Math.random() * 1000000 + 100000),
+                    volume: Math.round(random() * 1000000 + 100000),
                     change: Math.round(change * 100) / 100
                 });
             }
         });
 
-        return data.slice(0, 500); // Return first 500 records for performance
+        return data;
     }
 
     /**
-     * Get column statistics
+     * Data quality report for a loaded dataset: rows dropped while parsing
+     * (with line numbers), renamed headers, columns mixing value kinds,
+     * duplicate rows, constant columns and suspicious outliers (beyond
+     * 3 × IQR from the quartiles, a stricter fence than the column profile's).
+     * issues are the parse issues returned alongside the data.
      */
-    getColumnStats(data, column) {
-        const values = data.map(row => row[column]).filter(val => val != null);
+    getQualityReport(data, { issues = [], name = null, limit = 10 } = {}) {
+        const columns = Object.keys(data[0] || {});
+        const droppedTypes = ['field-count', 'invalid-json'];
+        const headerTypes = ['duplicate-header', 'empty-header'];
+
+        const report = {
+            dataset: name,
+            generatedAt: new Date().toISOString(),
+            rows: data.length,
+            columns: columns.length,
+            droppedRows: issues.filter(issue => droppedTypes.includes(issue.type)),
+            renamedHeaders: issues.filter(issue => headerTypes.includes(issue.type)),
+            parseIssues: issues.filter(issue => !droppedTypes.includes(issue.type) && !headerTypes.includes(issue.type)),
+            mixedTypes: [],
+            duplicateRows: this.findDuplicateRows(data, limit),
+            constantColumns: [],
+            outliers: []
+        };
+
+        columns.forEach(column => {
+            const values = data.map(row => row[column]).filter(value => !isMissing(value));
+            if (values.length === 0) return;
+
+            const mixed = this.findMixedTypes(data, column, limit);
+            if (mixed) report.mixedTypes.push(mixed);
+
+            const distinct = new Set(values.map(value => value instanceof Date ? value.getTime() : value));
+            if (distinct.size === 1 && data.length > 1) {
+                report.constantColumns.push({
+                    column,
+                    value: values[0],
+                    missing: data.length - values.length
+                });
+            }
+
+            const outliers = this.findOutliers(data, column, limit);
+            if (outliers) report.outliers.push(outliers);
+        });
+
+        report.findings = report.droppedRows.length + report.renamedHeaders.length +
+            report.parseIssues.length + report.mixedTypes.length +
+            (report.duplicateRows.count > 0 ? 1 : 0) +
+            report.constantColumns.length + report.outliers.length;
+
+        return report;
+    }
+
+    /**
+     * Values whose kind (number, date, boolean, text) differs from the
+     * column's most common kind, e.g. stray text in a numeric column
+     */
+    findMixedTypes(data, column, limit) {
+        const kindOf = value => value instanceof Date ? 'date' : typeof value === 'string' ? 'text' : typeof value;
+        const counts = {};
+        data.forEach(row => {
+            const value = row[column];
+            if (!isMissing(value)) {
+                const kind = kindOf(value);
+                counts[kind] = (counts[kind] || 0) + 1;
+            }
+        });
+
+        const kinds = Object.keys(counts);
+        if (kinds.length < 2) return null;
+
+        const majority = kinds.reduce((a, b) => counts[a] >= counts[b] ? a : b);
+        const examples = [];
+        for (let i = 0; i < data.length && examples.length < limit; i++) {
+            const value = data[i][column];
+            if (!isMissing(value) && kindOf(value) !== majority) {
+                examples.push({ row: i + 1, value });
+            }
+        }
+
+        return { column, majority, counts, examples };
+    }
+
+    /**
+     * Rows identical to an earlier row; examples pair each repeat with
+     * the row it repeats (1-based data row numbers)
+     */
+    findDuplicateRows(data, limit) {
+        const seen = new Map();
+        const examples = [];
+        let count = 0;
+
+        data.forEach((row, index) => {
+            const key = JSON.stringify(Object.values(row).map(value =>
+                value instanceof Date ? value.getTime() : value));
+            if (seen.has(key)) {
+                count++;
+                if (examples.length < limit) {
+                    examples.push({ row: index + 1, duplicateOf: seen.get(key) });
+                }
+            } else {
+                seen.set(key, index + 1);
+            }
+        });
+
+        return { count, examples };
+    }
+
+    /**
+     * Numbers far outside the interquartile range of a column
+     */
+    findOutliers(data, column, limit) {
+        const numbers = data.map(row => row[column])
+            .filter(value => typeof value === 'number' && isFinite(value))
+            .sort((a, b) => a - b);
+        if (numbers.length < 4) return null;
+
+        const q1 = this.quantile(numbers, 0.25);
+        const q3 = this.quantile(numbers, 0.75);
+        const iqr = q3 - q1;
+        if (iqr === 0) return null;
+
+        const lowerFence = q1 - 3 * iqr;
+        const upperFence = q3 + 3 * iqr;
+        const examples = [];
+        let count = 0;
+
+        data.forEach((row, index) => {
+            const value = row[column];
+            if (typeof value === 'number' && (value < lowerFence || value > upperFence)) {
+                count++;
+                if (examples.length < limit) examples.push({ row: index + 1, value });
+            }
+        });
+
+        return count > 0 ? { column, count, lowerFence, upperFence, examples } : null;
+    }
+
+    /**
+     * Profile a column: completeness, distribution and type confidence.
+     * type defaults to the inferred type; pass an overridden type to profile
+     * the column the way it will be charted.
+     */
+    getColumnStats(data, column, type = this.inferColumnType(data, column)) {
+        const total = data.length;
+        const values = data.map(row => row[column])
+            .filter(val => val != null && !(typeof val === 'number' && isNaN(val)));
+        const nullCount = total - values.length;
+        const nullRate = total > 0 ? nullCount / total : 0;
         
         if (values.length === 0) {
-            return { count: 0, unique: 0, type: 'unknown' };
+            return { count: 0, total, nullCount, nullRate, unique: 0, type: 'unknown', typeConfidence: 0 };
         }
 
-        const unique = new Set(values).size;
-        const type = this.inferColumnType(data, column);
+        const unique = new Set(values.map(v => v instanceof Date ? v.getTime() : v)).size;
 
-        let stats = { count: values.length, unique, type };
+        let stats = {
+            count: values.length,
+            total,
+            nullCount,
+            nullRate,
+            unique,
+            type,
+            typeConfidence: this.getTypeConfidence(values, type)
+        };
 
         if (type === 'quantitative') {
-            const numbers = values.filter(v => typeof v === 'number');
+            const numbers = values.filter(v => typeof v === 'number').sort((a, b) => a - b);
             if (numbers.length > 0) {
-                stats.min = Math.min(...numbers);
-                stats.max = Math.max(...numbers);
-                stats.mean = numbers.reduce((a, b) => a + b, 0) / numbers.length;
+                Object.assign(stats, this.getNumericStats(numbers));
+                stats.histogram = this.computeHistogram(numbers);
+            }
+        } else if (type === 'temporal') {
+            const times = values.filter(v => v instanceof Date).map(v => v.getTime()).sort((a, b) => a - b);
+            if (times.length > 0) {
+                stats.dateRange = {
+                    min: new Date(times[0]),
+                    max: new Date(times[times.length - 1]),
+                    days: Math.round((times[times.length - 1] - times[0]) / 86400000)
+                };
+                stats.histogram = this.computeHistogram(times);
             }
+        } else {
+            stats.topValues = this.getTopValues(values);
         }
 
         return stats;
     }
+
+    /**
+     * Share of non-null values whose JS type matches the column type
+     */
+    getTypeConfidence(values, type) {
+        const matches = {
+            quantitative: v => typeof v === 'number',
+            temporal: v => v instanceof Date,
+            ordinal: v => typeof v === 'string' || typeof v === 'number',
+            nominal: v => typeof v === 'string' || typeof v === 'boolean'
+        };
+
+        const matcher = matches[type];
+        if (!matcher) return 0;
+        return values.filter(matcher).length / values.length;
+    }
+
+    /**
+     * Summary statistics for sorted numbers, including IQR outliers
+     */
+    getNumericStats(sorted) {
+        const n = sorted.length;
+        const mean = sorted.reduce((a, b) => a + b, 0) / n;
+        const variance = n > 1
+            ? sorted.reduce((sum, v) => sum + (v - mean) ** 2, 0) / (n - 1)
+            : 0;
+
+        const q1 = this.quantile(sorted, 0.25);
+        const median = this.quantile(sorted, 0.5);
+        const q3 = this.quantile(sorted, 0.75);
+        const iqr = q3 - q1;
+        const lowerFence = q1 - 1.5 * iqr;
+        const upperFence = q3 + 1.5 * iqr;
+
+        return {
+            min: sorted[0],
+            max: sorted[n - 1],
+            mean,
+            median,
+            q1,
+            q3,
+            stdDev: Math.sqrt(variance),
+            outliers: {
+                low: sorted.filter(v => v < lowerFence).length,
+                high: sorted.filter(v => v > upperFence).length,
+                lowerFence,
+                upperFence
+            }
+        };
+    }
+
+    /**
+     * Quantile of sorted numbers with linear interpolation
+     */
+    quantile(sorted, p) {
+        const index = (sorted.length - 1) * p;
+        const lower = Math.floor(index);
+        const upper = Math.ceil(index);
+        return sorted[lower] + (sorted[upper] - sorted[lower]) * (index - lower);
+    }
+
+    /**
+     * Equal-width histogram of sorted numbers (Sturges' rule, 5-20 bins)
+     */
+    computeHistogram(sorted) {
+        const min = sorted[0];
+        const max = sorted[sorted.length - 1];
+
+        if (min === max) {
+            return [{ x0: min, x1: max, count: sorted.length }];
+        }
+
+        const binCount = Math.min(20, Math.max(5, Math.ceil(Math.log2(sorted.length) + 1)));
+        const width = (max - min) / binCount;
+        const bins = Array.from({ length: binCount }, (_, i) => ({
+            x0: min + i * width,
+            x1: i === binCount - 1 ? max : min + (i + 1) * width,
+            count: 0
+        }));
+
+        sorted.forEach(v => {
+            bins[Math.min(binCount - 1, Math.floor((v - min) / width))].count++;
+        });
+
+        return bins;
+    }
+
+    /**
+     * Most frequent values, with the remainder counted as other
+     */
+    getTopValues(values, k = 10) {
+        const counts = new Map();
+        values.forEach(v => {
+            const key = String(v);
+            counts.set(key, (counts.get(key) || 0) + 1);
+        });
+
+        const sorted = [...counts.entries()].sort((a, b) => b[1] - a[1]);
+        const top = sorted.slice(0, k).map(([value, count]) => ({ value, count }));
+        const otherCount = sorted.slice(k).reduce((sum, [_, count]) => sum + count, 0);
+
+        return { values: top, otherCount };
+    }
 }
\ No newline at end of file
@@ -0,0 +1,200 @@
+/**
+ * Data Worker Client Module
+ * Promise-based API for the data worker, with progress and cancellation
+ */
+
+import { DataManager } from './data-manager.js';
+
+export class DataWorkerClient {
+    constructor() {
+        // Parses get a worker of their own, so cancelling one by
+        // terminating it leaves stats and quality requests running
+        this.worker = null;
+        this.parseWorker = null;
+        this.pending = new Map();
+        this.nextId = 1;
+        this.activeParseId = null;
+
+        // Main-thread fallback for environments without module workers
+        this.dataManager = new DataManager();
+    }
+
+    /**
+     * Check if Web Workers are available
+     */
+    isSupported() {
+        return typeof Worker !== 'undefined';
+    }
+
+    /**
+     * Lazily create the worker for parses or for other requests
+     */
+    getWorker(forParse = false) {
+        const key = forParse ? 'parseWorker' : 'worker';
+        if (!this[key]) {
+            const worker = new Worker(new URL('./data-worker.js', import.meta.url), { type: 'module' });
+            worker.onmessage = (e) => this.handleMessage(e.data);
+            worker.onerror = (e) => {
+                console.error('Data worker error:', e);
+                this.rejectAll(new Error(e.message || 'Data worker failed'), worker);
+            };
+            this[key] = worker;
+        }
+        return this[key];
+    }
+
+    /**
+     * Parse a file off the main thread. Starting a new parse cancels any
+     * parse still in flight, whose promise rejects with an AbortError.
+     * Resolves to { data, issues, columnTypes }, plus the data quality
+     * report as quality when options.qualityReport is set.
+     */
+    parseFile(file, options = {}) {
+        return this.runParse('parse', { file },
+            parseOptions => this.dataManager.parseFile(file, parseOptions), options);
+    }
+
+    /**
+     * Fetch and parse a dataset from a URL; cancels like parseFile.
+     * Relative URLs resolve against the page, not the worker script.
+     */
+    loadFromURL(url, options = {}) {
+        const resolved = typeof location !== 'undefined' ? new URL(url, location.href).href : url;
+        return this.runParse('load-url', { url: resolved },
+            parseOptions => this.dataManager.loadFromURL(resolved, parseOptions), options);
+    }
+
+    async runParse(type, payload, fallback, options) {
+        if (this.activeParseId !== null) {
+            this.cancel();
+        }
+
+        const { onProgress, ...parseOptions } = options;
+
+        if (!this.isSupported()) {
+            const { qualityReport, ...fallbackOptions } = parseOptions;
+            const parsed = await fallback({
+                ...fallbackOptions,
+                onProgress: progress => onProgress && onProgress({ progress, stage: 'Parsing' })
+            });
+            return {
+                ...parsed,
+                columnTypes: parsed.columnTypes || this.dataManager.inferColumnTypes(parsed.data),
+                ...(qualityReport ? {
+                    quality: this.dataManager.getQualityReport(parsed.data, { issues: parsed.issues })
+                } : {})
+            };
+        }
+
+        const { id, promise } = this.request(type, { ...payload, options: parseOptions }, onProgress, true);
+        this.activeParseId = id;
+
+        try {
+            return await promise;
+        } finally {
+            if (this.activeParseId === id) {
+                this.activeParseId = null;
+            }
+        }
+    }
+
+    /**
+     * Infer types for all columns of an in-memory dataset
+     */
+    inferColumnTypes(data) {
+        if (!this.isSupported()) {
+            return Promise.resolve(this.dataManager.inferColumnTypes(data));
+        }
+        return this.request('infer', { data }).promise;
+    }
+
+    /**
+     * Profile one column, optionally as an overridden type. Only the
+     * column's values are posted, not the whole dataset.
+     */
+    getColumnStats(data, column, type) {
+        if (!this.isSupported()) {
+            return Promise.resolve(this.dataManager.getColumnStats(data, column, type || undefined));
+        }
+        const values = data.map(row => row[column]);
+        return this.request('stats', { values, column, type }).promise;
+    }
+
+    /**
+     * Build the data quality report of a dataset from its rows and parse
+     * issues. Parsed files and URLs get theirs with the parse result
+     * (options.qualityReport); this is for datasets made in the page.
+     */
+    getQualityReport(data, options = {}) {
+        if (!this.isSupported()) {
+            return Promise.resolve(this.dataManager.getQualityReport(data, options));
+        }
+        return this.request('quality', { data, options }).promise;
+    }
+
+    /**
+     * Post a task to a worker and track its promise
+     */
+    request(type, payload, onProgress, forParse = false) {
+        const id = this.nextId++;
+        const worker = this.getWorker(forParse);
+        const promise = new Promise((resolve, reject) => {
+            this.pending.set(id, { resolve, reject, onProgress, worker });
+        });
+
+        worker.postMessage({ id, type, payload });
+        return { id, promise };
+    }
+
+    /**
+     * Route worker messages to their pending requests
+     */
+    handleMessage({ id, type, result, message, progress, stage }) {
+        const request = this.pending.get(id);
+        if (!request) return;
+
+        switch (type) {
+            case 'progress':
+                if (request.onProgress) {
+                    request.onProgress({ progress, stage });
+                }
+                break;
+            case 'result':
+                this.pending.delete(id);
+                request.resolve(result);
+                break;
+            case 'error':
+                this.pending.delete(id);
+                request.reject(new Error(message));
+                break;
+        }
+    }
+
+    /**
+     * Cancel the parse in flight by terminating the parse worker; other
+     * requests keep running. A fresh worker is created on the next parse.
+     */
+    cancel() {
+        const worker = this.parseWorker;
+        if (!worker) return;
+
+        worker.terminate();
+        this.parseWorker = null;
+
+        const error = new Error('Parsing cancelled');
+        error.name = 'AbortError';
+        this.rejectAll(error, worker);
+        this.activeParseId = null;
+    }
+
+    /**
+     * Reject the requests posted to a worker, or every request
+     */
+    rejectAll(error, worker = null) {
+        this.pending.forEach((request, id) => {
+            if (worker && request.worker !== worker) return;
+            request.reject(error);
+            this.pending.delete(id);
+        });
+    }
+}
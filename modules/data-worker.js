@@ -0,0 +1,74 @@
+/**
+ * Data Worker
+ * Runs file and URL parsing, type inference, column statistics and quality
+ * reports off the main thread
+ */
+
+import { DataManager } from './data-manager.js';
+
+const dataManager = new DataManager();
+
+self.onmessage = async (e) => {
+    const { id, type, payload } = e.data;
+
+    const reportProgress = (progress, stage) => {
+        self.postMessage({ id, type: 'progress', progress, stage });
+    };
+
+    try {
+        let result;
+
+        switch (type) {
+            case 'parse':
+            case 'load-url': {
+                const { qualityReport, ...parseOptions } = payload.options;
+                const options = {
+                    ...parseOptions,
+                    onProgress: progress => reportProgress(progress, 'Parsing')
+                };
+
+                reportProgress(0, type === 'parse' ? 'Parsing' : 'Downloading');
+                const parsed = type === 'parse'
+                    ? await dataManager.parseFile(payload.file, options)
+                    : await dataManager.loadFromURL(payload.url, options);
+
+                if (!parsed.columnTypes) {
+                    reportProgress(1, 'Inferring column types');
+                }
+                result = {
+                    ...parsed,
+                    columnTypes: parsed.columnTypes || dataManager.inferColumnTypes(parsed.data)
+                };
+
+                // Checked here while the rows are at hand, instead of
+                // posting them back for a separate quality request
+                if (qualityReport) {
+                    reportProgress(1, 'Checking data quality');
+                    result.quality = dataManager.getQualityReport(parsed.data, { issues: parsed.issues });
+                }
+                break;
+            }
+
+            case 'infer':
+                result = dataManager.inferColumnTypes(payload.data);
+                break;
+
+            case 'stats': {
+                const rows = payload.values.map(value => ({ [payload.column]: value }));
+                result = dataManager.getColumnStats(rows, payload.column, payload.type || undefined);
+                break;
+            }
+
+            case 'quality':
+                result = dataManager.getQualityReport(payload.data, payload.options);
+                break;
+
+            default:
+                throw new Error(`Unknown worker task: ${type}`);
+        }
+
+        self.postMessage({ id, type: 'result', result });
+    } catch (error) {
+        self.postMessage({ id, type: 'error', message: error.message });
+    }
+};
@@ -0,0 +1,99 @@
+/**
+ * Dataset Registry Module
+ * Holds the datasets of a project by name, so several sources can be
+ * loaded at once and charts can refer to a dataset instead of copying it
+ */
+
+export class DatasetRegistry {
+    constructor() {
+        this.datasets = new Map();
+    }
+
+    /**
+     * Add a dataset, replacing any dataset of the same name.
+     * options: { columnTypes, source, ...details } where source describes
+     * where the rows came from ({ type: 'file'|'url'|'sample'|'derived', ... })
+     * and details are kept on the entry for the caller (e.g. how to reload it).
+     */
+    add(name, data, { columnTypes = {}, source = null, ...details } = {}) {
+        if (!name) {
+            throw new Error('A dataset needs a name');
+        }
+        if (!Array.isArray(data)) {
+            throw new Error(`Dataset "${name}" must be an array of rows`);
+        }
+
+        const entry = {
+            ...details,
+            name,
+            data,
+            columnTypes,
+            source,
+            loadedAt: new Date()
+        };
+
+        this.datasets.set(name, entry);
+        return entry;
+    }
+
+    get(name) {
+        return this.datasets.get(name) || null;
+    }
+
+    has(name) {
+        return this.datasets.has(name);
+    }
+
+    remove(name) {
+        return this.datasets.delete(name);
+    }
+
+    /**
+     * A name not used by any dataset yet: base, base (2), base (3), ...
+     */
+    uniqueName(base) {
+        let name = base;
+        for (let i = 2; this.datasets.has(name); i++) {
+            name = `${base} (${i})`;
+        }
+        return name;
+    }
+
+    names() {
+        return [...this.datasets.keys()];
+    }
+
+    /**
+     * Summary of a dataset without its rows: source, row and column
+     * counts, schema and load time
+     */
+    getMetadata(name) {
+        const entry = this.datasets.get(name);
+        if (!entry) return null;
+
+        const columns = Object.keys(entry.data[0] || {});
+        return {
+            name,
+            source: entry.source,
+            rows: entry.data.length,
+            columns: columns.length,
+            schema: columns.map(column => ({ name: column, type: entry.columnTypes[column] || 'nominal' })),
+            loadedAt: entry.loadedAt
+        };
+    }
+
+    /**
+     * Metadata of every dataset, in the order they were added
+     */
+    list() {
+        return this.names().map(name => this.getMetadata(name));
+    }
+
+    get size() {
+        return this.datasets.size;
+    }
+
+    clear() {
+        this.datasets.clear();
+    }
+}
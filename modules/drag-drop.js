@@ -3,6 +3,8 @@
  * Handles column dragging and mapping to chart encodings
  */
 
+import { ENCODING_CHANNELS } from './spec-builder.js';
+
 export class DragDropManager {
     constructor() {
         this.draggedElement = null;
@@ -184,16 +186,9 @@ export class DragDropManager {
     validateMapping(encoding, dragData) {
         const { column, type } = dragData;
 
-        // Basic validation rules
-        const validMappings = {
-            x: ['nominal', 'ordinal', 'quantitative', 'temporal'],
-            y: ['quantitative'], // Y-axis typically needs quantitative data
-            color: ['nominal', 'ordinal', 'quantitative'],
-            size: ['quantitative']
-        };
-
         // Check if this encoding accepts this data type
-        if (!validMappings[encoding] || !validMappings[encoding].includes(type)) {
+        const channel = ENCODING_CHANNELS[encoding];
+        if (!channel || !channel.types.includes(type)) {
             return false;
         }
 
@@ -0,0 +1,140 @@
+/**
+ * HTML Export Module
+ * Turns full chart specifications into a standalone HTML page or an
+ * embed snippet that draw the chart with Vega-Embed, outside the builder
+ */
+
+import { version as embedVersion, vega, vegaLite } from 'vega-embed';
+// The installed builds, served with the app, for pages that bundle them
+import vegaBuildURL from 'vega/build/vega.min.js?url';
+import vegaLiteBuildURL from 'vega-lite/build/vega-lite.min.js?url';
+// vega-embed's package exports hide its build folder, so it is imported by path
+import vegaEmbedBuildURL from '../node_modules/vega-embed/build/vega-embed.min.js?url';
+import { escapeHTML } from './ui-components.js';
+
+export const CDN_URL = 'https://cdn.jsdelivr.net/npm';
+
+/**
+ * Where the page gets Vega from: copied into the file so it works
+ * offline, or loaded from the CDN
+ */
+export const LIBRARY_MODES = {
+    inline: { label: 'Bundled in the file (works offline)' },
+    cdn: { label: 'Loaded from the CDN' }
+};
+
+export class HTMLExporter {
+    constructor(options = {}) {
+        this.cdnURL = options.cdnURL || CDN_URL;
+        this.libraryCache = new Map();
+    }
+
+    /**
+     * The scripts a page needs, in load order, pinned to the versions the
+     * builder renders with: url is the CDN copy, buildURL the installed one
+     */
+    getLibraries() {
+        return [
+            { name: 'vega', version: vega.version, file: 'build/vega.min.js', buildURL: vegaBuildURL },
+            { name: 'vega-lite', version: vegaLite.version, file: 'build/vega-lite.min.js', buildURL: vegaLiteBuildURL },
+            { name: 'vega-embed', version: embedVersion, file: 'build/vega-embed.min.js', buildURL: vegaEmbedBuildURL }
+        ].map(library => ({ ...library, url: `${this.cdnURL}/${library.name}@${library.version}/${library.file}` }));
+    }
+
+    /**
+     * A complete HTML document showing the chart of a full specification
+     * (see SpecBuilder.buildFullSpec). options.libraries is a LIBRARY_MODES
+     * key; bundling reads the installed builds once per session.
+     */
+    async buildStandaloneHTML(fullSpec, options = {}) {
+        const { libraries = 'inline' } = options;
+        if (!(libraries in LIBRARY_MODES)) {
+            throw new Error(`Unknown library mode: ${libraries}`);
+        }
+
+        const title = escapeHTML((fullSpec.metadata && fullSpec.metadata.title) || 'Chart');
+        const scripts = libraries === 'inline'
+            ? (await this.loadLibraries()).map(({ name, version, code }) =>
+                `<!-- ${name}@${version} -->\n<script>${this.escapeScript(code)}</script>`)
+            : this.getLibraries().map(({ url }) => `<script src="${url}"></script>`);
+
+        return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<meta name="viewport" content="width=device-width, initial-scale=1.0">
+<title>${title}</title>
+<style>
+    body { margin: 0; padding: 1.5rem; font-family: system-ui, sans-serif; background: #ffffff; }
+    #chart { max-width: 100%; overflow-x: auto; }
+    .chart-error { color: #c62828; white-space: pre-wrap; }
+</style>
+${scripts.join('\n')}
+</head>
+<body>
+<div id="chart"></div>
+<script type="application/json" id="chart-spec">${this.serializeSpec(fullSpec.vegaLiteSpec)}</script>
+<script>
+    const spec = JSON.parse(document.getElementById('chart-spec').textContent);
+    vegaEmbed('#chart', spec, { actions: { export: true, source: false, compiled: false, editor: false } })
+        .catch(error => {
+            const message = document.createElement('p');
+            message.className = 'chart-error';
+            message.textContent = 'Could not draw the chart: ' + error.message;
+            document.getElementById('chart').appendChild(message);
+        });
+</script>
+</body>
+</html>
+`;
+    }
+
+    /**
+     * A <div> and the scripts that draw the chart into it, for pasting into
+     * wikis and reports. The libraries always come from the CDN; pages
+     * that already load them can drop those script tags.
+     */
+    buildEmbedSnippet(fullSpec, options = {}) {
+        const id = options.elementId || `vega-chart-${fullSpec.id || Date.now()}`;
+
+        return `<div id="${id}"></div>
+<!-- Vega, Vega-Lite and Vega-Embed; leave out if the page already loads them -->
+${this.getLibraries().map(({ url }) => `<script src="${url}"></script>`).join('\n')}
+<script>
+    vegaEmbed('#${id}', ${this.serializeSpec(fullSpec.vegaLiteSpec)}, { actions: false });
+</script>
+`;
+    }
+
+    /**
+     * Source code of the libraries, read from the builds served with the
+     * app rather than the CDN, so bundling works offline
+     */
+    async loadLibraries() {
+        return Promise.all(this.getLibraries().map(async library => {
+            if (!this.libraryCache.has(library.buildURL)) {
+                const response = await fetch(library.buildURL).catch(() => null);
+                if (!response || !response.ok) {
+                    throw new Error(`Could not read ${library.name} to bundle it; load the libraries from the CDN instead`);
+                }
+                this.libraryCache.set(library.buildURL, await response.text());
+            }
+            return { ...library, code: this.libraryCache.get(library.buildURL) };
+        }));
+    }
+
+    /**
+     * JSON that is safe inside a <script> element: "<" is escaped so the
+     * data can't close the element or open a comment
+     */
+    serializeSpec(spec) {
+        return JSON.stringify(spec, null, 2)
+            .replace(/</g, '\\u003c')
+            .replace(/\u2028/g, '\\u2028')
+            .replace(/\u2029/g, '\\u2029');
+    }
+
+    escapeScript(code) {
+        return code.replace(/<\/script/gi, '<\\/script');
+    }
+}
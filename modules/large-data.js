@@ -0,0 +1,333 @@
+/**
+ * Large Data Module
+ * Keeps previews responsive for big datasets: bar, histogram and heatmap
+ * charts are pre-aggregated, point charts are sampled, and the canvas
+ * renderer is used. Exports keep using the full data.
+ */
+
+import { bin as niceBins } from 'vega-statistics';
+import { createSeededRandom } from './data-manager.js';
+import { getMappedFields } from './spec-builder.js';
+
+export const LARGE_DATA_THRESHOLD = 20000;
+export const DEFAULT_SAMPLE_SIZE = 5000;
+
+const BAR_CHARTS = ['bar', 'stacked-bar', 'normalized-bar', 'grouped-bar'];
+const AGGREGATED_CHARTS = [...BAR_CHARTS, 'histogram', 'heatmap'];
+const SAMPLED_CHARTS = ['scatter', 'bubble', 'strip'];
+const BIN_COUNT = { histogram: 30, heatmap: 40 };
+// Vega-Lite's maxbins when a column is binned without one
+const DEFAULT_MAXBINS = 10;
+const BIN_EPSILON = 1e-14;
+
+export class LargeDataReducer {
+    constructor(options = {}) {
+        this.threshold = options.threshold || LARGE_DATA_THRESHOLD;
+    }
+
+    isLarge(data) {
+        return Array.isArray(data) && data.length > this.threshold;
+    }
+
+    /**
+     * Reduce the rows to chart. Resolves to { data, mappings, info, patchSpec? }
+     * where info describes what was done for the "showing N of M" badge and
+     * patchSpec adjusts the Vega-Lite spec for pre-binned data.
+     * options: { sampling: 'random'|'stratified', sampleSize, seed }
+     */
+    reduce({ data, chartType, mappings, options = {} }) {
+        const totalRows = data.length;
+
+        if (!this.isLarge(data)) {
+            return { data, mappings, info: { mode: 'full', totalRows, shownRows: totalRows } };
+        }
+
+        if (AGGREGATED_CHARTS.includes(chartType) && this.canPreAggregate(mappings, chartType)) {
+            const result = BAR_CHARTS.includes(chartType)
+                ? this.aggregateBars(data, mappings)
+                : this.binCounts(data, mappings, chartType);
+            return {
+                ...result,
+                info: { mode: 'aggregate', totalRows, shownRows: result.data.length, method: result.method }
+            };
+        }
+
+        if (SAMPLED_CHARTS.includes(chartType)) {
+            const sampleSize = options.sampleSize || DEFAULT_SAMPLE_SIZE;
+            const random = createSeededRandom(options.seed);
+            const strata = mappings.color && mappings.color.type !== 'quantitative' ? mappings.color.column : null;
+            const stratified = options.sampling === 'stratified' && strata;
+
+            const sample = stratified
+                ? this.sampleStratified(data, sampleSize, strata, random)
+                : this.sampleRandom(data, sampleSize, random);
+
+            return {
+                data: sample,
+                mappings,
+                info: {
+                    mode: 'sample',
+                    totalRows,
+                    shownRows: sample.length,
+                    method: stratified ? `stratified by ${strata}` : 'random sample'
+                }
+            };
+        }
+
+        // Other marks draw every row, just on canvas
+        return { data, mappings, info: { mode: 'full', totalRows, shownRows: totalRows } };
+    }
+
+    /**
+     * Pre-aggregation sums rows, which only matches what the chart shows
+     * when no column asks for another aggregate. A heatmap's color column
+     * is only summed per cell when it asks for a sum.
+     */
+    canPreAggregate(mappings, chartType) {
+        if (chartType === 'heatmap' && mappings.color) {
+            return mappings.color.type === 'quantitative' && mappings.color.aggregate === 'sum';
+        }
+        if (chartType === 'histogram' && mappings.y && mappings.y.type !== 'quantitative') {
+            return false;
+        }
+        return getMappedFields(mappings).every(({ aggregate }) => !aggregate || aggregate === 'sum');
+    }
+
+    /**
+     * Uniform random sample without replacement, in original row order
+     */
+    sampleRandom(data, size, random = Math.random) {
+        if (data.length <= size) return data;
+
+        // Partial Fisher-Yates shuffle over row indices
+        const indices = Array.from({ length: data.length }, (_, i) => i);
+        for (let i = 0; i < size; i++) {
+            const j = i + Math.floor(random() * (indices.length - i));
+            [indices[i], indices[j]] = [indices[j], indices[i]];
+        }
+
+        return indices.slice(0, size).sort((a, b) => a - b).map(i => data[i]);
+    }
+
+    /**
+     * Sample each group in proportion to its size, keeping at least one
+     * row per group so rare categories stay visible
+     */
+    sampleStratified(data, size, column, random = Math.random) {
+        if (data.length <= size) return data;
+
+        const groups = new Map();
+        data.forEach(row => {
+            const key = String(row[column]);
+            if (!groups.has(key)) groups.set(key, []);
+            groups.get(key).push(row);
+        });
+
+        const sample = [];
+        groups.forEach(rows => {
+            const share = Math.max(1, Math.round(size * rows.length / data.length));
+            sample.push(...this.sampleRandom(rows, share, random));
+        });
+
+        return sample;
+    }
+
+    /**
+     * Sum the measure per bar (and per color), matching how Vega-Lite
+     * stacks bars that share an x value
+     */
+    aggregateBars(data, mappings) {
+        const fields = getMappedFields(mappings);
+        const measureAxis = ['y', 'x'].find(axis => mappings[axis] && mappings[axis].type === 'quantitative');
+        const measure = measureAxis ? mappings[measureAxis] : null;
+
+        // The other axis and categorical channels define the bars;
+        // the measure and other numeric channels are summed
+        const isKey = ({ channel, type }) => channel !== measureAxis &&
+            (channel === 'x' || channel === 'y' || type !== 'quantitative');
+        const keys = [...new Set(fields.filter(isKey).map(field => field.column))];
+        const sums = [...new Set(fields.filter(field => !isKey(field)).map(field => field.column))];
+        const countColumn = measure ? null : this.getCountColumn(data);
+
+        const groups = new Map();
+        data.forEach(row => {
+            const id = JSON.stringify(keys.map(column => comparable(row[column])));
+            let group = groups.get(id);
+            if (!group) {
+                group = Object.fromEntries(keys.map(column => [column, row[column] ?? null]));
+                sums.forEach(column => { group[column] = 0; });
+                if (countColumn) group[countColumn] = 0;
+                groups.set(id, group);
+            }
+
+            sums.forEach(column => {
+                if (typeof row[column] === 'number' && isFinite(row[column])) {
+                    group[column] += row[column];
+                }
+            });
+            if (countColumn) group[countColumn]++;
+        });
+
+        // Without a measure, bars show row counts on the y axis
+        const nextMappings = measure ? mappings : {
+            ...mappings,
+            y: { column: countColumn, type: 'quantitative' }
+        };
+
+        return {
+            data: [...groups.values()],
+            mappings: nextMappings,
+            method: measure ? `sum of ${measure.column}` : 'row count'
+        };
+    }
+
+    /**
+     * Count rows per bin, or sum the measure (a histogram's y, a heatmap's
+     * color) when one is mapped. Histograms bin x; heatmaps bin x and y.
+     * Numeric axes get equal-width bins, other axes group by value.
+     */
+    binCounts(data, mappings, chartType) {
+        const axes = chartType === 'heatmap' ? ['x', 'y'] : ['x'];
+        const groupColumn = chartType === 'histogram' && mappings.color ? mappings.color.column : null;
+        const measure = chartType === 'heatmap' ? mappings.color : mappings.y;
+        const valueColumn = measure ? measure.column : this.getCountColumn(data);
+
+        const binners = axes
+            .filter(axis => mappings[axis])
+            .map(axis => this.createBinner(data, mappings[axis], BIN_COUNT[chartType]));
+
+        const groups = new Map();
+        data.forEach(row => {
+            const parts = binners.map(binner => binner.key(row));
+            if (parts.some(part => part === null)) return;
+
+            const group = groupColumn ? row[groupColumn] ?? null : null;
+            const id = JSON.stringify([...parts, comparable(group)]);
+            let bucket = groups.get(id);
+            if (!bucket) {
+                bucket = { [valueColumn]: 0 };
+                binners.forEach((binner, i) => Object.assign(bucket, binner.fields(parts[i])));
+                if (groupColumn) bucket[groupColumn] = group;
+                groups.set(id, bucket);
+            }
+            if (!measure) {
+                bucket[valueColumn]++;
+            } else if (typeof row[valueColumn] === 'number' && isFinite(row[valueColumn])) {
+                bucket[valueColumn] += row[valueColumn];
+            }
+        });
+
+        const countMapping = { column: valueColumn, type: 'quantitative' };
+        const nextMappings = measure ? mappings : chartType === 'heatmap'
+            ? { ...mappings, color: countMapping }
+            : { ...mappings, y: countMapping };
+
+        const binnedAxes = axes.filter((axis, i) => binners[i] && binners[i].binned);
+        const method = measure ? `sum of ${measure.column}` : 'counts';
+
+        return {
+            data: [...groups.values()],
+            mappings: nextMappings,
+            method: binnedAxes.length > 0 ? `binned ${method}` : method,
+            patchSpec: spec => {
+                binnedAxes.forEach(axis => {
+                    const column = mappings[axis].column;
+                    spec.encoding[axis].bin = { binned: true };
+                    spec.encoding[`${axis}2`] = { field: `${column}_end` };
+                });
+                if (chartType === 'heatmap') {
+                    spec.mark = { type: 'rect', tooltip: true };
+                }
+                if (chartType === 'histogram' && !measure) {
+                    // Rows are counted per bin already
+                    const { aggregate, ...y } = spec.encoding.y;
+                    spec.encoding.y = { ...y, title: 'Count' };
+                }
+                return spec;
+            }
+        };
+    }
+
+    /**
+     * Bin a quantitative column the way Vega-Lite does, with the column's
+     * own maxbins and step when it is binned and binCount bins otherwise,
+     * or group any other column by value
+     */
+    createBinner(data, mapping, binCount) {
+        const { column, type, bin } = mapping;
+
+        if (type !== 'quantitative') {
+            // Dates group by timestamp; remember one original value per key
+            const originals = new Map();
+            return {
+                binned: false,
+                key: row => {
+                    const value = row[column];
+                    if (value == null) return null;
+                    const key = comparable(value);
+                    if (!originals.has(key)) originals.set(key, value);
+                    return key;
+                },
+                fields: key => ({ [column]: originals.get(key) })
+            };
+        }
+
+        let min = Infinity;
+        let max = -Infinity;
+        data.forEach(row => {
+            const value = row[column];
+            if (typeof value === 'number' && isFinite(value)) {
+                if (value < min) min = value;
+                if (value > max) max = value;
+            }
+        });
+
+        if (min > max) {
+            min = max = 0;
+        }
+
+        // Same nice bin boundaries as Vega's bin transform
+        const { start, stop, step } = niceBins({
+            extent: [min, max],
+            maxbins: bin ? bin.maxbins || DEFAULT_MAXBINS : binCount,
+            step: bin ? bin.step : undefined
+        });
+        return {
+            binned: true,
+            key: row => {
+                const value = row[column];
+                if (typeof value !== 'number' || !isFinite(value)) return null;
+                return Math.floor(BIN_EPSILON + (Math.min(value, stop - step) - start) / step);
+            },
+            fields: index => ({
+                [column]: start + index * step,
+                [`${column}_end`]: start + (index + 1) * step
+            })
+        };
+    }
+
+    getCountColumn(data) {
+        return data.length > 0 && 'count' in data[0] ? 'row_count' : 'count';
+    }
+
+    /**
+     * Short text for the badge shown over the chart
+     */
+    describe(info) {
+        const shown = info.shownRows.toLocaleString();
+        const total = info.totalRows.toLocaleString();
+
+        switch (info.mode) {
+            case 'sample':
+                return `Showing ${shown} of ${total} points (${info.method})`;
+            case 'aggregate':
+                return `${total} rows pre-aggregated into ${shown} marks (${info.method})`;
+            default:
+                return `${total} rows, drawn on canvas`;
+        }
+    }
+}
+
+function comparable(value) {
+    return value instanceof Date ? value.getTime() : value;
+}
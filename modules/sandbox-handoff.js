@@ -0,0 +1,41 @@
+/**
+ * Sandbox Handoff Module
+ * Passes generated code from the chart builder to a sandbox page opened
+ * in a new tab. The code travels through localStorage and is removed as
+ * soon as the sandbox reads it.
+ */
+
+const HANDOFF_KEY = 'chart-builder-handoff';
+const HANDOFF_SOURCE = 'chart-builder';
+
+/**
+ * Store the code and open the sandbox page; language tells the sandbox
+ * whether the code is meant for it ('javascript' or 'python')
+ */
+export function openInSandbox(page, { code, language, title }) {
+    try {
+        localStorage.setItem(HANDOFF_KEY, JSON.stringify({ code, language, title, createdAt: new Date().toISOString() }));
+    } catch (error) {
+        throw new Error('The code is too large to hand over to the sandbox; copy it instead');
+    }
+
+    return window.open(`${page}?from=${HANDOFF_SOURCE}`, '_blank');
+}
+
+/**
+ * The code handed to this page for the given language, or null when the
+ * page wasn't opened from the chart builder
+ */
+export function takeHandoff(language) {
+    if (new URLSearchParams(location.search).get('from') !== HANDOFF_SOURCE) return null;
+
+    const stored = localStorage.getItem(HANDOFF_KEY);
+    localStorage.removeItem(HANDOFF_KEY);
+
+    try {
+        const handoff = stored && JSON.parse(stored);
+        return handoff && handoff.language === language ? handoff : null;
+    } catch (error) {
+        return null;
+    }
+}
@@ -3,6 +3,151 @@
  * Generates Vega-Lite and full chart specifications
  */
 
+/**
+ * Supported chart types and the channels each needs. An entry listing
+ * several channels is met by any of them: pie charts take their angle
+ * from theta or y and their slices from color or x.
+ */
+export const CHART_TYPES = {
+    bar: { requires: ['x', 'y'] },
+    'stacked-bar': { requires: ['x', 'y'] },
+    'normalized-bar': { requires: ['x', 'y'] },
+    'grouped-bar': { requires: ['x', 'y', 'color'] },
+    scatter: { requires: ['x', 'y'] },
+    bubble: { requires: ['x', 'y', 'size'] },
+    strip: { requires: [['x', 'y']] },
+    line: { requires: ['x', 'y'] },
+    area: { requires: ['x', 'y'] },
+    'stacked-area': { requires: ['x', 'y'] },
+    histogram: { requires: ['x'] },
+    density: { requires: ['x'] },
+    boxplot: { requires: ['x', 'y'] },
+    violin: { requires: ['x', 'y'] },
+    errorbar: { requires: ['x', 'y'] },
+    heatmap: { requires: ['x', 'y'] },
+    pie: { requires: [['theta', 'y'], ['color', 'x']] },
+    donut: { requires: [['theta', 'y'], ['color', 'x']] }
+};
+
+const ALL_TYPES = ['nominal', 'ordinal', 'quantitative', 'temporal'];
+
+/**
+ * Field options a mapped column can carry besides column and type:
+ * aggregate, bin ({ maxbins, step }), timeUnit and sort
+ */
+export const AGGREGATES = ['sum', 'mean', 'median', 'count', 'min', 'max', 'distinct'];
+export const TIME_UNITS = ['year', 'quarter', 'month', 'week', 'date', 'day', 'hours',
+    'yearquarter', 'yearmonth', 'yearmonthdate', 'monthdate', 'hoursminutes'];
+export const SORT_ORDERS = ['ascending', 'descending', 'x', '-x', 'y', '-y'];
+
+const HISTOGRAM_MAXBINS = 30;
+const HEATMAP_MAXBINS = 40;
+
+/**
+ * Encoding channels columns can be mapped to, with the field types each
+ * accepts. A multi channel (tooltip) maps a list of columns.
+ */
+export const ENCODING_CHANNELS = {
+    x: { label: 'X-Axis', types: ALL_TYPES },
+    y: { label: 'Y-Axis', types: ['quantitative'] },
+    color: { label: 'Color', types: ['nominal', 'ordinal', 'quantitative'] },
+    size: { label: 'Size', types: ['quantitative'] },
+    shape: { label: 'Shape', types: ['nominal', 'ordinal'] },
+    opacity: { label: 'Opacity', types: ['quantitative', 'ordinal'] },
+    strokeDash: { label: 'Stroke Dash', types: ['nominal', 'ordinal'] },
+    x2: { label: 'X2 (end)', types: ['quantitative', 'temporal'] },
+    y2: { label: 'Y2 (end)', types: ['quantitative', 'temporal'] },
+    theta: { label: 'Angle (theta)', types: ['quantitative'] },
+    text: { label: 'Text', types: ALL_TYPES },
+    tooltip: { label: 'Tooltip', types: ALL_TYPES, multi: true },
+    detail: { label: 'Detail', types: ALL_TYPES },
+    order: { label: 'Order', types: ['quantitative', 'ordinal', 'temporal'] },
+    row: { label: 'Facet Rows', types: ['nominal', 'ordinal', 'temporal'] },
+    column: { label: 'Facet Columns', types: ['nominal', 'ordinal', 'temporal'] }
+};
+
+/**
+ * Chart types whose marks can take a shape: point clouds switch to
+ * filled points when a shape is mapped, lines draw them on their points
+ */
+export const SHAPE_CHARTS = ['scatter', 'bubble', 'strip', 'line'];
+
+/**
+ * Layers that can be drawn over a chart, derived from its x and y
+ */
+export const LAYER_TYPES = {
+    mean: { label: 'Average line' },
+    median: { label: 'Median line' },
+    points: { label: 'Points' },
+    trendline: { label: 'Linear trendline' },
+    loess: { label: 'Smoothed trend (LOESS)' },
+    labels: { label: 'Value labels' }
+};
+
+/**
+ * Multi-view layouts: one view per field of a channel, or views side by
+ * side or stacked
+ */
+export const COMPOSITION_TYPES = {
+    repeat: { label: 'Repeat by field' },
+    hconcat: { label: 'Views side by side' },
+    vconcat: { label: 'Views stacked' }
+};
+
+/**
+ * Interactions of a new chart. zoom pans and zooms the continuous axes,
+ * brush selects an interval, click ('none'|'highlight'|'filter') picks
+ * marks and legend toggles colors from the legend.
+ */
+export const DEFAULT_INTERACTIONS = {
+    tooltip: true,
+    zoom: false,
+    brush: false,
+    click: 'none',
+    legend: false
+};
+export const CLICK_ACTIONS = ['none', 'highlight', 'filter'];
+
+/**
+ * How linked charts share a selection: the source chart's brush or
+ * clicks filter the target charts or highlight the matching marks
+ */
+export const LINK_SELECTIONS = {
+    brush: { label: 'Brush a range' },
+    click: { label: 'Click marks' }
+};
+export const LINK_EFFECTS = {
+    filter: { label: 'Filter' },
+    highlight: { label: 'Highlight' }
+};
+
+// Link names become Vega signals, so they can't shadow the built-in ones
+const LINK_NAME_PATTERN = /^[A-Za-z_][A-Za-z0-9_]*$/;
+const RESERVED_SIGNALS = ['width', 'height', 'padding', 'autosize', 'background', 'cursor', 'brush', 'zoom', 'pick', 'legend'];
+
+/**
+ * Interactions a chart type can't offer: box plots are composite marks
+ * that can't hold selections, and error bars hold them on the mean
+ * points, whose aggregated y can't take an interval
+ */
+export const UNAVAILABLE_INTERACTIONS = {
+    boxplot: ['zoom', 'brush', 'click', 'legend'],
+    errorbar: ['zoom', 'brush']
+};
+const FADED_OPACITY = 0.2;
+
+/**
+ * Flatten mappings to one { channel, column, type, ...options } entry per
+ * mapped column, so multi channels can be treated like the others
+ */
+export function getMappedFields(mappings) {
+    return Object.entries(mappings).flatMap(([channel, mapping]) => {
+        if (!mapping) return [];
+        const list = Array.isArray(mapping) ? mapping : [mapping];
+        return list.map(item => ({ channel, ...item }));
+    });
+}
+
 export class SpecBuilder {
     constructor() {
         this.version = '1.0';
@@ -10,17 +155,28 @@ export class SpecBuilder {
     }
 
     /**
-     * Build Vega-Lite specification
+     * Build Vega-Lite specification.
+     * layers: [{ type }] drawn over the chart, see LAYER_TYPES;
+     * composition: { type: 'repeat', channel, fields, columns } or
+     * { type: 'hconcat'|'vconcat', views: [{ chartType, mappings, layers }] };
+     * interactions: see DEFAULT_INTERACTIONS, none when left out
      */
-    buildSpec({ data, chartType, mappings, config }) {
+    buildSpec({ data, chartType, mappings, config, transform = [], layers = [], composition = null, interactions = null }) {
+        const chart = { chartType, mappings, config, layers, interactions };
+        const view = this.buildView(chart);
+        const { transform: viewTransform = [], ...body } = composition
+            ? this.buildComposition(view, chart, composition)
+            : view;
+
+        // Chart-specific transforms (densities) run after the pipeline's
+        const allTransforms = [...transform, ...viewTransform];
+
         const spec = {
             $schema: `https://vega.github.io/schema/vega-lite/${this.vegaLiteVersion}.json`,
             description: config.title || `${chartType} chart`,
             data: { values: data },
-            mark: this.buildMark(chartType, mappings),
-            encoding: this.buildEncoding(mappings),
-            width: config.width || 600,
-            height: config.height || 400
+            ...(allTransforms.length > 0 ? { transform: allTransforms } : {}),
+            ...body
         };
 
         // Add title if provided
@@ -40,10 +196,502 @@ export class SpecBuilder {
     }
 
     /**
-     * Build full chart specification for dashboard integration
+     * One chart without data: its transforms, mark and encoding, with any
+     * extra layers on top. The chart being built holds the selections;
+     * other views pass the selections that filter them instead.
+     */
+    buildView({ chartType, mappings, config, layers = [], interactions = null, filters = null }) {
+        const chartTransform = this.buildChartTransform(chartType, mappings);
+        const view = {
+            ...(chartTransform.length > 0 ? { transform: chartTransform } : {}),
+            mark: this.buildMark(chartType, mappings),
+            encoding: this.buildChartEncoding(chartType, mappings),
+            width: config.width || 600,
+            height: config.height || 400
+        };
+
+        // Other marks ignore shape; the mapping is kept for chart types that use it
+        if (!SHAPE_CHARTS.includes(chartType)) {
+            delete view.encoding.shape;
+        }
+
+        // Error bars show the 95% interval with the mean as a point on top
+        if (chartType === 'errorbar') {
+            view.layer = [
+                { mark: view.mark },
+                {
+                    mark: { type: 'point', filled: true, tooltip: true },
+                    encoding: { y: { ...view.encoding.y, aggregate: 'mean' } }
+                }
+            ];
+            delete view.mark;
+        }
+
+        // Violins are drawn one per facet column
+        if (chartType === 'violin') {
+            view.width = Math.max(60, Math.round(view.width / 8));
+        }
+
+        if (interactions && interactions.tooltip === false) {
+            this.removeTooltips(view);
+        }
+
+        let layerFilters = filters || [];
+        if (filters) {
+            if (filters.length > 0) {
+                view.transform = [...filters.map(param => ({ filter: { param } })), ...(view.transform || [])];
+            }
+        } else if (interactions) {
+            const params = this.buildInteractionParams(chartType, view.encoding, interactions);
+            this.applySelections(view, params);
+            layerFilters = this.getCrossFilters(params, interactions);
+        }
+
+        return layers.length > 0 ? this.applyLayers(view, layers, layerFilters) : view;
+    }
+
+    /**
+     * Selection params for the enabled interactions of a chart with this
+     * encoding: zoom binds the continuous axes, brush selects an interval
+     * on the unaggregated ones, click picks the discrete values under the
+     * pointer and legend toggles the color categories
+     */
+    buildInteractionParams(chartType, encoding, interactions) {
+        const unavailable = UNAVAILABLE_INTERACTIONS[chartType] || [];
+        const enabled = name => Boolean(interactions[name]) && interactions[name] !== 'none' && !unavailable.includes(name);
+
+        // Density estimates are computed axes, not columns to select on
+        const derived = { violin: 'x', density: 'y' }[chartType];
+        const positions = ['x', 'y'].filter(channel => encoding[channel] && encoding[channel].field && channel !== derived);
+        const numeric = positions.filter(channel => ['quantitative', 'temporal'].includes(encoding[channel].type));
+        const continuous = numeric.filter(channel => !encoding[channel].bin);
+        const params = [];
+
+        if (enabled('brush')) {
+            // Point clouds brush a rectangle, other charts a range of one
+            // axis; binned axes (histograms) brush whole bins
+            const candidates = numeric.filter(channel => !encoding[channel].aggregate && !encoding[channel].stack);
+            const brushed = ['scatter', 'bubble'].includes(chartType) ? candidates : candidates.slice(0, 1);
+            if (brushed.length > 0) {
+                params.push({ name: 'brush', select: { type: 'interval', encodings: brushed } });
+            }
+        }
+
+        // Scale bindings don't work on faceted charts
+        if (enabled('zoom') && continuous.length > 0 && !encoding.row && !encoding.column) {
+            params.push({
+                name: 'zoom',
+                select: {
+                    type: 'interval',
+                    encodings: continuous,
+                    // With a brush, dragging brushes and shift-dragging pans
+                    ...(interactions.brush ? { translate: '[mousedown[event.shiftKey], window:mouseup] > window:mousemove!' } : {})
+                },
+                bind: 'scales'
+            });
+        }
+
+        if (enabled('click')) {
+            const discrete = ['x', 'y', 'color'].filter(channel => {
+                const def = encoding[channel];
+                return def && def.field && (def.type === 'nominal' || def.type === 'ordinal' || def.bin || def.timeUnit);
+            });
+            params.push({ name: 'pick', select: { type: 'point', ...(discrete.length > 0 ? { encodings: discrete } : {}) } });
+        }
+
+        const color = encoding.color;
+        if (enabled('legend') && color && color.field && (color.type === 'nominal' || color.type === 'ordinal')) {
+            params.push({ name: 'legend', select: { type: 'point', fields: [color.field] }, bind: 'legend' });
+        }
+
+        return params;
+    }
+
+    /**
+     * Put selection params on the chart's own marks and fade the marks
+     * outside the brush, click and legend selections
+     */
+    applySelections(view, params) {
+        if (params.length === 0) return;
+
+        this.getSelectionUnit(view).params = params;
+        this.fadeUnselected(view, params.filter(({ name }) => name !== 'zoom').map(({ name }) => name));
+    }
+
+    /**
+     * Fade the marks of a view that fall outside any of the named selections
+     */
+    fadeUnselected(view, names) {
+        if (names.length === 0) return;
+
+        const faded = names.map(param => ({ param }));
+        const markOpacity = view.mark && view.mark.opacity;
+        view.encoding.opacity = {
+            condition: { test: { not: faded.length === 1 ? faded[0] : { and: faded } }, value: FADED_OPACITY },
+            ...(view.encoding.opacity || { value: markOpacity || 1 })
+        };
+    }
+
+    /**
+     * The unit of a view that holds its selections: layered charts (error
+     * bars) hold them on their first plain mark
+     */
+    getSelectionUnit(view) {
+        const units = view.layer || [view];
+        return units.find(({ mark }) => !['errorbar', 'boxplot'].includes(mark.type || mark)) || units[0];
+    }
+
+    /**
+     * Selections that filter other views and layers: the brush, and clicks
+     * when click is set to filter
+     */
+    getCrossFilters(params, interactions) {
+        return params
+            .filter(({ name }) => name === 'brush' || (name === 'pick' && interactions.click === 'filter'))
+            .map(({ name }) => name);
+    }
+
+    removeTooltips(view) {
+        [view, ...(view.layer || [])].forEach(unit => {
+            if (unit.mark && typeof unit.mark === 'object') {
+                unit.mark = { ...unit.mark, tooltip: false };
+            }
+        });
+        if (view.encoding) {
+            delete view.encoding.tooltip;
+        }
+    }
+
+    /**
+     * Turn a view into a layered one. Each layer gets the full encoding,
+     * so added layers can leave channels out; facet channels can't be used
+     * inside layers, so a faceted chart facets the layers instead.
+     * Added layers are filtered by the named selections.
+     */
+    applyLayers(view, layers, filters = []) {
+        const { mark, encoding, params, layer = [{ mark, ...(params ? { params } : {}) }], width, height, ...rest } = view;
+        const { row, column, ...shared } = encoding;
+
+        const added = layers
+            .map(layer => this.buildLayer(layer, shared))
+            .filter(Boolean)
+            .map(layer => filters.length > 0
+                ? { ...layer, transform: [...filters.map(param => ({ filter: { param } })), ...(layer.transform || [])] }
+                : layer);
+        if (added.length === 0) return view;
+
+        const layered = [
+            ...layer.map(unit => ({ ...unit, encoding: { ...shared, ...unit.encoding } })),
+            ...added
+        ];
+
+        if (!row && !column) {
+            return { ...rest, layer: layered, width, height };
+        }
+
+        return {
+            ...rest,
+            facet: { ...(row ? { row } : {}), ...(column ? { column } : {}) },
+            spec: { layer: layered, width, height }
+        };
+    }
+
+    /**
+     * A layer drawn from the chart's encoding, or null when the chart
+     * lacks what the layer needs (e.g. a trendline over categories)
+     */
+    buildLayer({ type }, encoding) {
+        const { x, y, color, xOffset } = encoding;
+        const highlight = '#e45756';
+
+        switch (type) {
+            case 'mean':
+            case 'median': {
+                if (!y || !y.field || y.type !== 'quantitative') return null;
+
+                // Over aggregated bars the rule marks the average bar, not the average row
+                const perBar = y.aggregate && x && x.field && !x.bin && !x.timeUnit;
+                return {
+                    ...(perBar ? {
+                        transform: [{ aggregate: [{ op: y.aggregate, field: y.field, as: y.field }], groupby: [x.field] }]
+                    } : {}),
+                    mark: { type: 'rule', color: highlight, strokeDash: [6, 4], size: 2, tooltip: true },
+                    encoding: { y: { field: y.field, type: 'quantitative', aggregate: type, title: y.title } }
+                };
+            }
+            case 'points':
+                if (!x || !y) return null;
+                return {
+                    mark: { type: 'point', filled: true, size: 50, tooltip: true },
+                    encoding: { x, y, ...(color ? { color } : {}), ...(xOffset ? { xOffset } : {}) }
+                };
+            case 'trendline':
+            case 'loess': {
+                const continuous = x && (x.type === 'quantitative' || x.type === 'temporal') && !x.bin;
+                if (!continuous || !y || !y.field || y.aggregate) return null;
+
+                // One trend per color category
+                const groupby = color && color.field && color.type !== 'quantitative' ? [color.field] : [];
+                return {
+                    transform: [{
+                        [type === 'trendline' ? 'regression' : 'loess']: y.field,
+                        on: x.field,
+                        ...(groupby.length > 0 ? { groupby } : {})
+                    }],
+                    mark: { type: 'line', size: 2, ...(groupby.length > 0 ? {} : { color: highlight }) },
+                    encoding: {
+                        x: { field: x.field, type: x.type, title: x.title },
+                        y: { field: y.field, type: 'quantitative', title: y.title },
+                        ...(groupby.length > 0 ? { color: { field: color.field, type: color.type } } : {})
+                    }
+                };
+            }
+            case 'labels':
+                if (!x || !y) return null;
+                return {
+                    mark: { type: 'text', dy: -6, fontSize: 10, color: '#333' },
+                    encoding: {
+                        x,
+                        y,
+                        ...(xOffset ? { xOffset } : {}),
+                        text: y.field
+                            ? { field: y.field, type: 'quantitative', ...(y.aggregate ? { aggregate: y.aggregate } : {}), format: ',.1f' }
+                            : { aggregate: 'count', type: 'quantitative' }
+                    }
+                };
+            default:
+                throw new Error(`Unknown layer type: ${type}`);
+        }
+    }
+
+    /**
+     * Several views over the same data. Repeating builds one view per field
+     * rather than using Vega-Lite's repeat operator, so chart and layer
+     * transforms that name the repeated field follow it too. Views share
+     * the configured size. The chart itself (the first repeated view)
+     * holds the selections and the brush or clicks cross-filter the others.
+     */
+    buildComposition(view, { chartType, mappings, config, layers, interactions }, composition) {
+        const width = config.width || 600;
+        const height = config.height || 400;
+        const filters = interactions
+            ? this.getCrossFilters(this.buildInteractionParams(chartType, this.buildChartEncoding(chartType, mappings), interactions), interactions)
+            : [];
+
+        switch (composition.type) {
+            case 'repeat': {
+                const { channel, fields = [], columns = 2 } = composition;
+                const mapping = mappings[channel];
+                if (!mapping || fields.length === 0) return view;
+
+                const perRow = Math.min(columns, fields.length);
+                const viewConfig = { ...config, width: Math.round(width / perRow), height: Math.round(height / Math.ceil(fields.length / perRow)) };
+                return {
+                    concat: fields.map((column, index) => this.buildView({
+                        chartType,
+                        mappings: { ...mappings, [channel]: { ...mapping, column } },
+                        config: viewConfig,
+                        layers,
+                        interactions,
+                        filters: index === 0 ? null : filters
+                    })),
+                    columns: perRow
+                };
+            }
+            case 'hconcat':
+            case 'vconcat': {
+                const views = composition.views || [];
+                if (views.length === 0) return view;
+
+                const count = views.length + 1;
+                const viewConfig = composition.type === 'hconcat'
+                    ? { ...config, width: Math.round(width / count) }
+                    : { ...config, height: Math.round(height / count) };
+                return {
+                    [composition.type]: [
+                        ...views.map(kept => this.buildView({ ...kept, config: viewConfig, interactions, filters })),
+                        this.buildView({ chartType, mappings, config: viewConfig, layers, interactions })
+                    ]
+                };
+            }
+            default:
+                throw new Error(`Unknown composition type: ${composition.type}`);
+        }
+    }
+
+    /**
+     * Every column a chart reads, including those of repeated fields and
+     * other views, as getMappedFields entries
+     */
+    getAllMappedFields(mappings, composition = null) {
+        const fields = getMappedFields(mappings);
+        if (!composition) return fields;
+
+        if (composition.type === 'repeat') {
+            const mapping = mappings[composition.channel];
+            return mapping
+                ? [...fields, ...(composition.fields || []).map(column => ({ ...mapping, channel: composition.channel, column }))]
+                : fields;
+        }
+
+        return [...fields, ...(composition.views || []).flatMap(view => getMappedFields(view.mappings))];
+    }
+
+    /**
+     * Several charts of one dataset shown together and linked by shared
+     * named selections.
+     * charts: [{ id, chartType, mappings, title }];
+     * links: [{ name, source, targets, selection, effect }] where source and
+     * targets are chart ids, selection is a LINK_SELECTIONS key and effect
+     * a LINK_EFFECTS key. The source chart holds a selection param called
+     * name; the targets are filtered by it or fade the marks outside it.
      */
-    buildFullSpec({ data, chartType, mappings, config }) {
-        const vegaSpec = this.buildSpec({ data, chartType, mappings, config });
+    buildLinkedSpec({ data, charts, links = [], config = {}, columns = 2 }) {
+        if (charts.length === 0) {
+            throw new Error('A linked view needs at least one chart');
+        }
+        this.validateLinks(charts, links);
+
+        const perRow = Math.min(columns, charts.length);
+        const viewConfig = {
+            width: Math.round((config.width || 600) / perRow),
+            height: Math.round((config.height || 400) / Math.ceil(charts.length / perRow))
+        };
+        const views = new Map(charts.map(chart => [chart.id, {
+            ...(chart.title ? { title: chart.title } : {}),
+            ...this.buildView({ chartType: chart.chartType, mappings: chart.mappings, config: viewConfig })
+        }]));
+        const faded = new Map(charts.map(chart => [chart.id, []]));
+
+        links.forEach(link => {
+            const chart = charts.find(({ id }) => id === link.source);
+            const source = views.get(link.source);
+            const param = this.buildLinkParam(chart.chartType, source.encoding, link);
+            if (!param) {
+                throw new Error(`${chart.title || chart.id} can't hold a ${link.selection} selection`);
+            }
+
+            const unit = this.getSelectionUnit(source);
+            unit.params = [...(unit.params || []), param];
+            faded.get(link.source).push(link.name);
+
+            link.targets.forEach(target => {
+                if (link.effect === 'filter') {
+                    const view = views.get(target);
+                    view.transform = [{ filter: { param: link.name } }, ...(view.transform || [])];
+                } else {
+                    faded.get(target).push(link.name);
+                }
+            });
+        });
+        faded.forEach((names, id) => this.fadeUnselected(views.get(id), names));
+
+        return {
+            $schema: `https://vega.github.io/schema/vega-lite/${this.vegaLiteVersion}.json`,
+            description: config.title || `${charts.length} linked charts`,
+            data: { values: data },
+            ...(config.title ? { title: { text: config.title, anchor: 'start', fontSize: 16, fontWeight: 'bold' } } : {}),
+            concat: [...views.values()],
+            columns: perRow,
+            config: this.buildConfig(charts[0].chartType)
+        };
+    }
+
+    /**
+     * Check that links name their charts and use unique signal-safe names
+     */
+    validateLinks(charts, links) {
+        const ids = charts.map(({ id }) => id);
+        const names = new Set();
+
+        links.forEach(link => {
+            if (!LINK_NAME_PATTERN.test(link.name || '') || RESERVED_SIGNALS.includes(link.name)) {
+                throw new Error(`Invalid link name: "${link.name}" (use letters, digits and _, not ${RESERVED_SIGNALS.join(', ')})`);
+            }
+            if (names.has(link.name)) {
+                throw new Error(`Two links are named ${link.name}`);
+            }
+            names.add(link.name);
+
+            if (!(link.selection in LINK_SELECTIONS)) {
+                throw new Error(`Unknown link selection: ${link.selection}`);
+            }
+            if (!(link.effect in LINK_EFFECTS)) {
+                throw new Error(`Unknown link effect: ${link.effect}`);
+            }
+            if (!ids.includes(link.source)) {
+                throw new Error(`Link ${link.name} starts from an unknown chart: ${link.source}`);
+            }
+            if (!link.targets || link.targets.length === 0) {
+                throw new Error(`Link ${link.name} has no target charts`);
+            }
+            link.targets.forEach(target => {
+                if (!ids.includes(target) || target === link.source) {
+                    throw new Error(`Link ${link.name} can't target ${target}`);
+                }
+            });
+        });
+    }
+
+    /**
+     * The selection param a link puts on its source chart, or null when
+     * the chart has nothing to select on: brushes need an unaggregated
+     * continuous axis, clicks a discrete channel whose values other charts
+     * can match (picking single rows can't reach other charts)
+     */
+    buildLinkParam(chartType, encoding, { name, selection }) {
+        const interactions = selection === 'brush' ? { brush: true } : { click: 'filter' };
+        const [param] = this.buildInteractionParams(chartType, encoding, interactions);
+        if (!param || (selection === 'click' && !param.select.encodings)) return null;
+        return { ...param, name };
+    }
+
+    /**
+     * Link selections a chart can be the source of
+     */
+    getLinkSelections(chartType, mappings) {
+        const encoding = this.buildChartEncoding(chartType, mappings);
+        return Object.keys(LINK_SELECTIONS).filter(selection =>
+            this.buildLinkParam(chartType, encoding, { name: 'link', selection }));
+    }
+
+    /**
+     * Whether mappings cover the channels a chart type needs
+     */
+    hasRequiredMappings(chartType, mappings) {
+        const { requires = [] } = CHART_TYPES[chartType] || {};
+        return requires.every(channels => [channels].flat().some(channel => mappings[channel]));
+    }
+
+    /**
+     * Transforms a chart type adds: density charts and violins estimate
+     * the density of their value column, per group
+     */
+    buildChartTransform(chartType, mappings) {
+        const { x, y, color } = mappings;
+
+        if (chartType === 'density' && x) {
+            return [{ density: x.column, groupby: color ? [color.column] : [], as: [x.column, 'density'] }];
+        }
+
+        if (chartType === 'violin' && x && y) {
+            const groupby = [...new Set([x.column, color && color.column].filter(Boolean))];
+            return [{ density: y.column, groupby, as: [y.column, 'density'] }];
+        }
+
+        return [];
+    }
+
+    /**
+     * Build full chart specification for dashboard integration.
+     * dataset optionally names the data, records how it was parsed and,
+     * via dataset.source, the URL it was loaded from, or via dataset.join,
+     * the datasets it was joined from;
+     * pipeline lists the transformation steps that produced transform.
+     */
+    buildFullSpec({ data, chartType, mappings, config, dataset = {}, transform = [], pipeline = [], layers = [], composition = null, interactions = DEFAULT_INTERACTIONS }) {
+        const vegaSpec = this.buildSpec({ data, chartType, mappings, config, transform, layers, composition, interactions });
+        const source = this.applyURLData(vegaSpec, dataset, this.getAllMappedFields(mappings, composition));
 
         return {
             id: this.generateChartId(),
@@ -53,18 +701,16 @@ export class SpecBuilder {
                 title: config.title || 'Untitled Chart',
                 description: `${chartType} chart with ${Object.keys(mappings).filter(k => mappings[k]).length} encodings`
             },
-            data: {
-                source: 'inline',
-                format: 'json',
-                values: data,
-                name: 'chart_data'
-            },
+            data: this.buildDataMetadata(data, dataset, source, { pipeline, transform }),
             chart: {
                 type: chartType,
                 encoding: this.buildEncodingMetadata(mappings),
+                ...(layers.length > 0 ? { layers } : {}),
+                ...(composition ? { composition: this.buildCompositionMetadata(composition) } : {}),
                 config: {
                     width: config.width || 600,
                     height: config.height || 400,
+                    ...(config.renderer ? { renderer: config.renderer } : {}),
                     padding: { top: 20, right: 30, bottom: 40, left: 50 },
                     background: '#ffffff',
                     title: {
@@ -74,16 +720,155 @@ export class SpecBuilder {
                     }
                 }
             },
-            interactions: {
-                tooltip: true,
-                zoom: false,
-                brush: false,
-                click: 'none'
+            interactions: { ...DEFAULT_INTERACTIONS, ...interactions },
+            vegaLiteSpec: vegaSpec
+        };
+    }
+
+    /**
+     * Full specification of linked charts (see buildLinkedSpec) for
+     * dashboards. Each link records the named selection its source chart
+     * holds, so the dashboard can listen to the signal of that name or
+     * reuse the selection in its own views.
+     */
+    buildDashboardSpec({ data, charts, links = [], config = {}, dataset = {}, columns = 2 }) {
+        const vegaSpec = this.buildLinkedSpec({ data, charts, links, config, columns });
+        const source = this.applyURLData(vegaSpec, dataset, charts.flatMap(chart => getMappedFields(chart.mappings)));
+
+        return {
+            id: this.generateChartId(),
+            version: this.version,
+            type: 'dashboard',
+            metadata: {
+                created: new Date().toISOString(),
+                title: config.title || 'Untitled Dashboard',
+                description: `${charts.length} charts with ${links.length} links`
             },
+            data: this.buildDataMetadata(data, dataset, source),
+            charts: charts.map(({ id, chartType, mappings, title }) => ({
+                id,
+                title: title || '',
+                type: chartType,
+                encoding: this.buildEncodingMetadata(mappings)
+            })),
+            links: links.map(link => this.buildLinkMetadata(link, vegaSpec)),
             vegaLiteSpec: vegaSpec
         };
     }
 
+    /**
+     * A link as recorded in the dashboard specification, with the type and
+     * projection of the selection its source chart holds
+     */
+    buildLinkMetadata({ name, source, targets, selection, effect }, vegaSpec) {
+        const paramsOf = view => this.getSelectionUnit(view).params || [];
+        const view = vegaSpec.concat.find(candidate => paramsOf(candidate).some(param => param.name === name));
+        const { select } = paramsOf(view).find(param => param.name === name);
+        const encodings = select.encodings || [];
+
+        return {
+            name,
+            selection,
+            selectionType: select.type,
+            source,
+            targets: [...targets],
+            effect,
+            encodings,
+            fields: encodings.map(channel => view.encoding[channel].field)
+        };
+    }
+
+    /**
+     * Point a Vega-Lite spec at the dataset's URL when Vega-Lite can read
+     * its format, handling missing values before the other transforms.
+     * Returns the URL source used, or null when the data stays inline.
+     */
+    applyURLData(vegaSpec, dataset, fields) {
+        const source = dataset.source && dataset.source.type === 'url' ? dataset.source : null;
+        const urlData = source && this.buildURLData(source, fields);
+        if (!urlData) return null;
+
+        vegaSpec.data = urlData;
+
+        // Fetched rows still have their gaps
+        const missing = this.buildMissingValueTransform(dataset.parsing && dataset.parsing.missingValues);
+        if (missing.length > 0) {
+            vegaSpec.transform = [...missing, ...(vegaSpec.transform || [])];
+        }
+        return source;
+    }
+
+    /**
+     * The data block of a full specification: where the rows come from
+     * (the URL source, or the rows themselves) and how they were prepared
+     */
+    buildDataMetadata(data, dataset, source, { pipeline = [], transform = [] } = {}) {
+        return {
+            ...(source ? {
+                source: 'url',
+                format: source.format,
+                url: source.url,
+                ...(source.refreshInterval ? { refreshInterval: source.refreshInterval } : {})
+            } : {
+                source: 'inline',
+                format: 'json',
+                values: data
+            }),
+            name: dataset.name || 'chart_data',
+            ...(dataset.join ? { join: dataset.join } : {}),
+            ...(dataset.parsing ? { parsing: dataset.parsing } : {}),
+            ...(pipeline.length > 0 ? { pipeline, transform } : {})
+        };
+    }
+
+    /**
+     * Vega-Lite data block that loads a URL source, or null for formats
+     * Vega-Lite can't read. Mapped fields (getMappedFields entries) are
+     * parsed to their encoding type.
+     */
+    buildURLData(source, fields) {
+        const formatTypes = { csv: 'csv', tsv: 'tsv', json: 'json' };
+        const type = formatTypes[source.format];
+        if (!type) return null;
+
+        const parse = {};
+        fields.forEach(mapping => {
+            if (mapping.type === 'quantitative') parse[mapping.column] = 'number';
+            if (mapping.type === 'temporal') parse[mapping.column] = 'date';
+        });
+
+        return {
+            url: source.url,
+            format: {
+                type,
+                ...(source.recordPath ? { property: source.recordPath } : {}),
+                ...(Object.keys(parse).length > 0 ? { parse } : {})
+            }
+        };
+    }
+
+    /**
+     * Vega-Lite transforms reproducing missing-value strategies on fetched
+     * data: drops become validity filters and fills use the recorded value.
+     * Forward fill has no Vega-Lite equivalent, so such data stays inline.
+     */
+    buildMissingValueTransform(missingValues = {}) {
+        const transform = [];
+
+        Object.entries(missingValues).forEach(([column, { strategy, value }]) => {
+            const field = `datum[${JSON.stringify(column)}]`;
+
+            if (strategy === 'drop') {
+                transform.push({ filter: { field: column, valid: true } });
+            } else if (value != null && strategy !== 'ffill') {
+                const fill = value instanceof Date ? `toDate(${value.getTime()})` : JSON.stringify(value);
+                transform.push({ calculate: `isValid(${field}) && ${field} === ${field} ? ${field} : ${fill}`, as: column });
+            }
+        });
+
+        return transform;
+    }
+
     /**
      * Build mark specification
      */
@@ -114,11 +899,70 @@ export class SpecBuilder {
             boxplot: {
                 type: 'boxplot',
                 tooltip: true
+            },
+            'stacked-bar': {
+                type: 'bar',
+                tooltip: true
+            },
+            'normalized-bar': {
+                type: 'bar',
+                tooltip: true
+            },
+            'grouped-bar': {
+                type: 'bar',
+                tooltip: true
+            },
+            'stacked-area': {
+                type: 'area',
+                tooltip: true
+            },
+            bubble: {
+                type: 'circle',
+                tooltip: true,
+                opacity: 0.6
+            },
+            strip: {
+                type: 'tick',
+                tooltip: true
+            },
+            errorbar: {
+                type: 'errorbar',
+                extent: 'ci',
+                ticks: true
+            },
+            violin: {
+                type: 'area',
+                orient: 'horizontal',
+                tooltip: true
+            },
+            density: {
+                type: 'area',
+                tooltip: true,
+                opacity: 0.6
+            },
+            heatmap: {
+                type: 'rect',
+                tooltip: true
+            },
+            pie: {
+                type: 'arc',
+                tooltip: true
+            },
+            donut: {
+                type: 'arc',
+                innerRadius: { expr: 'min(width, height) / 4' },
+                tooltip: true
             }
         };
 
         const baseConfig = markConfigs[chartType] || { type: chartType, tooltip: true };
 
+        // Circles and ticks can't take a shape, filled points can
+        if (mappings.shape && ['circle', 'tick'].includes(baseConfig.type)) {
+            baseConfig.type = 'point';
+            baseConfig.filled = true;
+        }
+
         // Add conditional styling based on encodings
         if (mappings.color) {
             baseConfig.stroke = 'white';
@@ -128,6 +972,167 @@ export class SpecBuilder {
         return baseConfig;
     }
 
+    /**
+     * Encoding with the defaults a chart type implies
+     */
+    buildChartEncoding(chartType, mappings) {
+        switch (chartType) {
+            case 'histogram':
+                return this.buildHistogramEncoding(mappings);
+            case 'heatmap':
+                return this.buildHeatmapEncoding(mappings);
+            case 'pie':
+            case 'donut':
+                return this.buildArcEncoding(mappings);
+            case 'stacked-bar':
+            case 'stacked-area':
+                return this.buildStackedEncoding(mappings, 'zero');
+            case 'normalized-bar':
+                return this.buildStackedEncoding(mappings, 'normalize');
+            case 'grouped-bar':
+                return this.buildGroupedEncoding(mappings);
+            case 'violin':
+                return this.buildViolinEncoding(mappings);
+            case 'density':
+                return this.buildDensityEncoding(mappings);
+            default:
+                return this.buildEncoding(mappings);
+        }
+    }
+
+    /**
+     * Histograms bin a quantitative x and count rows per bin, or sum y
+     * when it is mapped
+     */
+    buildHistogramEncoding(mappings) {
+        const { x, y } = mappings;
+        if (!x) return this.buildEncoding(mappings);
+
+        const encoding = this.buildEncoding({
+            ...mappings,
+            x: x.type === 'quantitative' && !x.bin ? { ...x, bin: { maxbins: HISTOGRAM_MAXBINS } } : x,
+            y: y && !y.aggregate ? { ...y, aggregate: 'sum' } : y
+        });
+
+        if (!y) {
+            encoding.y = this.buildCountEncoding('y');
+        }
+
+        return encoding;
+    }
+
+    /**
+     * Heatmaps bin quantitative axes and color cells by row count unless
+     * a color column is mapped
+     */
+    buildHeatmapEncoding(mappings) {
+        const binned = mapping => mapping && mapping.type === 'quantitative' && !mapping.bin && !mapping.aggregate
+            ? { ...mapping, bin: { maxbins: HEATMAP_MAXBINS } }
+            : mapping;
+
+        const encoding = this.buildEncoding({ ...mappings, x: binned(mappings.x), y: binned(mappings.y) });
+        if (!mappings.color) {
+            encoding.color = this.buildCountEncoding('color');
+        }
+
+        return encoding;
+    }
+
+    /**
+     * Pie and donut slices: the angle comes from theta or y (summed per
+     * slice) and the slices from color or x
+     */
+    buildArcEncoding({ x, y, ...mappings }) {
+        const theta = mappings.theta || y;
+        return this.buildEncoding({
+            ...mappings,
+            theta: theta && !theta.aggregate ? { ...theta, aggregate: 'sum' } : theta,
+            color: mappings.color || x
+        });
+    }
+
+    /**
+     * Bars or areas stacked on y, from zero or normalized to 100%
+     */
+    buildStackedEncoding(mappings, stack) {
+        const encoding = this.buildEncoding(mappings);
+        if (encoding.y) {
+            encoding.y.stack = stack;
+            if (stack === 'normalize') {
+                encoding.y.axis = { ...encoding.y.axis, format: '%' };
+            }
+        }
+
+        return encoding;
+    }
+
+    /**
+     * Bars side by side within each x value, one per color
+     */
+    buildGroupedEncoding(mappings) {
+        const encoding = this.buildEncoding(mappings);
+        if (mappings.color) {
+            encoding.xOffset = { field: mappings.color.column, type: mappings.color.type };
+        }
+
+        return encoding;
+    }
+
+    /**
+     * Mirrored densities of y, one violin per x value
+     */
+    buildViolinEncoding({ x, y, color, ...mappings }) {
+        if (!x || !y) return this.buildEncoding({ x, y, color, ...mappings });
+
+        const encoding = this.buildEncoding({ ...mappings, y, color: color || { column: x.column, type: 'nominal' } });
+        encoding.x = {
+            field: 'density',
+            type: 'quantitative',
+            stack: 'center',
+            impute: null,
+            title: null,
+            axis: { labels: false, values: [0], grid: false, ticks: true }
+        };
+        encoding.column = {
+            field: x.column,
+            type: x.type,
+            header: { title: this.formatTitle(x.column), titleOrient: 'bottom', labelOrient: 'bottom' }
+        };
+        if (!color) {
+            encoding.color.legend = null;
+        }
+
+        return encoding;
+    }
+
+    /**
+     * Density curves of x, overlaid per color
+     */
+    buildDensityEncoding({ y, ...mappings }) {
+        const encoding = this.buildEncoding(mappings);
+        if (mappings.x) {
+            encoding.y = {
+                field: 'density',
+                type: 'quantitative',
+                title: 'Density',
+                stack: null,
+                axis: { grid: true, tickCount: 5, labelAngle: 0 }
+            };
+        }
+
+        return encoding;
+    }
+
+    /**
+     * Row count on a channel, for charts that count rows by default
+     */
+    buildCountEncoding(channel) {
+        const encoding = { aggregate: 'count', type: 'quantitative', title: 'Count' };
+        return channel === 'color'
+            ? { ...encoding, scale: this.buildColorScale('quantitative') }
+            : { ...encoding, axis: { ...this.buildAxisConfig(channel, 'quantitative'), format: 'd' } };
+    }
+
     /**
      * Build encoding specification
      */
@@ -184,9 +1189,136 @@ export class SpecBuilder {
             encoding.size.legend = { title: this.formatTitle(mappings.size.column) };
         }
 
+        // Shape and stroke dash encodings get their own legends
+        ['shape', 'strokeDash'].forEach(channel => {
+            if (mappings[channel]) {
+                encoding[channel] = {
+                    ...this.buildFieldDef(mappings[channel]),
+                    legend: { title: this.formatTitle(mappings[channel].column) }
+                };
+            }
+        });
+
+        // Opacity encoding
+        if (mappings.opacity) {
+            encoding.opacity = {
+                field: mappings.opacity.column,
+                type: mappings.opacity.type,
+                title: this.formatTitle(mappings.opacity.column),
+                legend: { title: this.formatTitle(mappings.opacity.column) }
+            };
+
+            if (mappings.opacity.type === 'quantitative') {
+                encoding.opacity.scale = { range: [0.2, 1] };
+            }
+        }
+
+        // Detail splits marks into groups without a visual channel
+        if (mappings.detail) {
+            encoding.detail = {
+                field: mappings.detail.column,
+                type: mappings.detail.type
+            };
+        }
+
+        // Range ends share the scale of x and y, so they take no type
+        ['x2', 'y2'].forEach(channel => {
+            if (mappings[channel]) {
+                encoding[channel] = { field: mappings[channel].column };
+            }
+        });
+
+        // Angle for arc marks, stacked by default
+        if (mappings.theta) {
+            encoding.theta = { ...this.buildFieldDef(mappings.theta), stack: true };
+        }
+
+        if (mappings.text) {
+            encoding.text = this.buildFieldDef(mappings.text);
+        }
+
+        // Tooltip lists every mapped column
+        if (mappings.tooltip && mappings.tooltip.length > 0) {
+            encoding.tooltip = mappings.tooltip.map(mapping => this.buildFieldDef(mapping));
+        }
+
+        // Order sets line point order and stacking order
+        if (mappings.order) {
+            encoding.order = {
+                field: mappings.order.column,
+                type: mappings.order.type
+            };
+        }
+
+        // Facets split the chart into small multiples
+        ['row', 'column'].forEach(channel => {
+            if (mappings[channel]) {
+                encoding[channel] = {
+                    ...this.buildFieldDef(mappings[channel]),
+                    header: { title: this.formatTitle(mappings[channel].column) }
+                };
+            }
+        });
+
+        Object.keys(encoding).forEach(channel => {
+            const mapping = mappings[channel];
+            encoding[channel] = Array.isArray(mapping)
+                ? encoding[channel].map((def, i) => this.applyFieldOptions(def, mapping[i]))
+                : this.applyFieldOptions(encoding[channel], mapping);
+        });
+
         return encoding;
     }
 
+    /**
+     * Add the aggregate, bin, time unit and sort chosen for a mapped
+     * column to its field definition. Binning applies to quantitative
+     * fields and time units to temporal ones.
+     */
+    applyFieldOptions(def, { aggregate, bin, timeUnit, sort, type }) {
+        const result = { ...def };
+
+        if (aggregate) {
+            result.aggregate = aggregate;
+            result.title = aggregate === 'count' ? 'Count' : `${this.formatTitle(aggregate)} of ${def.title || def.field}`;
+            if (aggregate === 'count' || aggregate === 'distinct') {
+                result.type = 'quantitative';
+                if (result.axis) result.axis = { ...result.axis, format: 'd' };
+            }
+        }
+
+        if (bin && type === 'quantitative') {
+            const params = Object.fromEntries(Object.entries(bin).filter(([_, value]) => value));
+            result.bin = Object.keys(params).length > 0 ? params : true;
+        }
+
+        // Let Vega-Lite pick a label format that matches the unit
+        if (timeUnit && type === 'temporal') {
+            result.timeUnit = timeUnit;
+            if (result.axis) {
+                const { format, ...axis } = result.axis;
+                result.axis = axis;
+            }
+        }
+
+        if (sort) {
+            result.sort = sort;
+        }
+
+        return result;
+    }
+
+    /**
+     * Field, type and title of a mapped column
+     */
+    buildFieldDef({ column, type }) {
+        return {
+            field: column,
+            type,
+            title: this.formatTitle(column)
+        };
+    }
+
     /**
      * Build axis configuration
      */
@@ -295,18 +1427,117 @@ export class SpecBuilder {
         const metadata = {};
 
         Object.entries(mappings).forEach(([encoding, mapping]) => {
-            if (mapping) {
-                metadata[encoding] = {
-                    field: mapping.column,
-                    type: mapping.type,
-                    title: this.formatTitle(mapping.column)
-                };
+            if (Array.isArray(mapping)) {
+                if (mapping.length > 0) {
+                    metadata[encoding] = mapping.map(item => this.applyFieldOptions(this.buildFieldDef(item), item));
+                }
+            } else if (mapping) {
+                metadata[encoding] = this.applyFieldOptions(this.buildFieldDef(mapping), mapping);
             }
         });
 
         return metadata;
     }
 
+    /**
+     * Composition as recorded in the full specification; other views are
+     * described like the chart itself
+     */
+    buildCompositionMetadata(composition) {
+        if (composition.type === 'repeat') {
+            const { type, channel, fields, columns } = composition;
+            return { type, channel, fields, columns };
+        }
+
+        return {
+            type: composition.type,
+            views: composition.views.map(({ chartType, mappings, layers = [] }) => ({
+                type: chartType,
+                encoding: this.buildEncodingMetadata(mappings),
+                ...(layers.length > 0 ? { layers } : {})
+            }))
+        };
+    }
+
+    /**
+     * Read the chart back from a full specification made by buildFullSpec.
+     * Returns { chartType, mappings, config, layers, composition, interactions, data };
+     * channels, layers and chart types this version doesn't know are left out.
+     */
+    parseFullSpec(fullSpec) {
+        const chart = fullSpec && fullSpec.chart;
+        if (!chart || !(chart.type in CHART_TYPES)) {
+            throw new Error('Not a chart specification: chart.type is missing or unsupported');
+        }
+
+        const { width, height, title } = chart.config || {};
+        return {
+            chartType: chart.type,
+            mappings: this.parseEncodingMetadata(chart.encoding),
+            config: {
+                title: (title && title.text) || '',
+                width: width || 600,
+                height: height || 400
+            },
+            layers: this.parseLayers(chart.layers),
+            composition: chart.composition ? this.parseComposition(chart.composition) : null,
+            interactions: this.parseInteractions(fullSpec.interactions),
+            data: fullSpec.data || null
+        };
+    }
+
+    parseEncodingMetadata(encoding = {}) {
+        const parseDef = ({ field, type, aggregate, bin, timeUnit, sort }) => ({
+            column: field,
+            type,
+            ...(aggregate ? { aggregate } : {}),
+            ...(bin ? { bin: bin === true ? {} : bin } : {}),
+            ...(timeUnit ? { timeUnit } : {}),
+            ...(sort ? { sort } : {})
+        });
+
+        return Object.fromEntries(Object.entries(encoding)
+            .filter(([channel, def]) => channel in ENCODING_CHANNELS && def)
+            .map(([channel, def]) => [channel, Array.isArray(def) ? def.map(parseDef) : parseDef(def)]));
+    }
+
+    parseInteractions(interactions = {}) {
+        const { tooltip, zoom, brush, click, legend } = { ...DEFAULT_INTERACTIONS, ...interactions };
+        return {
+            tooltip: Boolean(tooltip),
+            zoom: Boolean(zoom),
+            brush: Boolean(brush),
+            click: CLICK_ACTIONS.includes(click) ? click : 'none',
+            legend: Boolean(legend)
+        };
+    }
+
+    parseLayers(layers = []) {
+        return layers.filter(layer => layer && layer.type in LAYER_TYPES).map(({ type }) => ({ type }));
+    }
+
+    parseComposition(composition) {
+        if (!(composition.type in COMPOSITION_TYPES)) {
+            throw new Error(`Unknown composition type: ${composition.type}`);
+        }
+
+        if (composition.type === 'repeat') {
+            const { type, channel, fields = [], columns = 2 } = composition;
+            return { type, channel, fields, columns };
+        }
+
+        return {
+            type: composition.type,
+            views: (composition.views || [])
+                .filter(view => view.type in CHART_TYPES)
+                .map(view => ({
+                    chartType: view.type,
+                    mappings: this.parseEncodingMetadata(view.encoding),
+                    layers: this.parseLayers(view.layers)
+                }))
+        };
+    }
+
     /**
      * Format column name as title
      */
@@ -336,38 +1567,41 @@ export class SpecBuilder {
             errors.push('Data must be a non-empty array');
         }
 
-        // Check chart type
-        const supportedTypes = ['bar', 'scatter', 'line', 'area', 'histogram', 'boxplot'];
-        if (!supportedTypes.includes(chartType)) {
+        // Check chart type and the channels it needs
+        if (!(chartType in CHART_TYPES)) {
             errors.push(`Unsupported chart type: ${chartType}`);
-        }
-
-        // Check required mappings
-        if (!mappings.x && !mappings.y) {
-            errors.push('Chart must have at least x or y encoding');
+        } else if (!this.hasRequiredMappings(chartType, mappings)) {
+            const required = CHART_TYPES[chartType].requires.map(channels => [channels].flat().join(' or '));
+            errors.push(`${chartType} chart requires ${required.join(', ')} encodings`);
         }
 
         // Type-specific validations
+        const { x, y, theta } = mappings;
         switch (chartType) {
-            case 'scatter':
-                if (!mappings.x || !mappings.y) {
-                    errors.push('Scatter plot requires both x and y encodings');
-                }
-                break;
             case 'line':
-                if (!mappings.x || !mappings.y) {
-                    errors.push('Line chart requires both x and y encodings');
-                }
-                if (mappings.x.type !== 'temporal' && mappings.x.type !== 'quantitative') {
-                    errors.push('Line chart x-axis should be temporal or quantitative');
+            case 'area':
+            case 'stacked-area':
+                if (x && x.type !== 'temporal' && x.type !== 'quantitative') {
+                    errors.push('Line and area charts need a temporal or quantitative x-axis');
                 }
                 break;
             case 'histogram':
-                if (!mappings.x) {
-                    errors.push('Histogram requires x encoding');
+            case 'density':
+                if (x && x.type !== 'quantitative') {
+                    errors.push(`${chartType === 'histogram' ? 'Histogram' : 'Density'} x-axis must be quantitative`);
                 }
-                if (mappings.x.type !== 'quantitative') {
-                    errors.push('Histogram x-axis must be quantitative');
+                break;
+            case 'violin':
+            case 'errorbar':
+            case 'boxplot':
+                if (x && x.type === 'quantitative') {
+                    errors.push(`${chartType} chart needs a categorical x-axis to group by`);
+                }
+                break;
+            case 'pie':
+            case 'donut':
+                if ((theta || y) && (theta || y).type !== 'quantitative') {
+                    errors.push('Pie slice sizes must be quantitative');
                 }
                 break;
         }
@@ -417,7 +1651,59 @@ export class SpecBuilder {
                     y: { column: this.findQuantitativeColumn(data), type: 'quantitative' }
                 },
                 config: { title: 'Comparison Chart', width: 600, height: 400 }
-            })
+            }),
+
+            'composition': () => ({
+                chartType: 'donut',
+                mappings: {
+                    color: { column: this.findNominalColumn(data), type: 'nominal' },
+                    theta: { column: this.findQuantitativeColumn(data), type: 'quantitative' }
+                },
+                config: { title: 'Composition Chart', width: 400, height: 400 }
+            }),
+
+            'part-to-whole': () => {
+                const [group, part] = this.findNominalColumns(data);
+                return {
+                    chartType: 'stacked-bar',
+                    mappings: {
+                        x: { column: group, type: 'nominal' },
+                        y: { column: this.findQuantitativeColumn(data), type: 'quantitative' },
+                        color: part ? { column: part, type: 'nominal' } : null
+                    },
+                    config: { title: 'Part-to-Whole Chart', width: 600, height: 400 }
+                };
+            },
+
+            'spread': () => ({
+                chartType: 'violin',
+                mappings: {
+                    x: { column: this.findNominalColumn(data), type: 'nominal' },
+                    y: { column: this.findQuantitativeColumn(data), type: 'quantitative' }
+                },
+                config: { title: 'Spread by Group', width: 600, height: 400 }
+            }),
+
+            'uncertainty': () => ({
+                chartType: 'errorbar',
+                mappings: {
+                    x: { column: this.findNominalColumn(data), type: 'nominal' },
+                    y: { column: this.findQuantitativeColumn(data), type: 'quantitative' }
+                },
+                config: { title: 'Mean with 95% Interval', width: 600, height: 400 }
+            }),
+
+            'co-occurrence': () => {
+                const [rows, columns] = this.findNominalColumns(data);
+                return {
+                    chartType: 'heatmap',
+                    mappings: {
+                        x: { column: columns || rows, type: 'nominal' },
+                        y: { column: rows, type: 'nominal' }
+                    },
+                    config: { title: 'Co-occurrence Heatmap', width: 600, height: 400 }
+                };
+            }
         };
 
         const generator = templates[templateType];
@@ -453,4 +1739,10 @@ export class SpecBuilder {
         const columns = Object.keys(data[0]);
         return columns.find(col => typeof data[0][col] === 'string');
     }
+
+    findNominalColumns(data) {
+        if (!data || data.length === 0) return [];
+        const columns = Object.keys(data[0]);
+        return columns.filter(col => typeof data[0][col] === 'string').slice(0, 2);
+    }
 }
\ No newline at end of file
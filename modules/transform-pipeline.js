@@ -0,0 +1,559 @@
+/**
+ * Transform Pipeline Module
+ * Recorded, replayable data transformations applied before charting.
+ * Steps run in JavaScript for the preview and are emitted as Vega-Lite
+ * transforms wherever Vega-Lite can express them.
+ */
+
+export const FILTER_OPERATORS = ['==', '!=', '>', '>=', '<', '<=', 'contains', 'is valid'];
+export const DERIVE_OPERATORS = ['+', '-', '*', '/', '%'];
+export const AGGREGATE_OPS = ['count', 'sum', 'mean', 'median', 'min', 'max', 'distinct'];
+export const JOIN_TYPES = ['inner', 'left', 'outer'];
+
+const PREDICATE_KEYS = { '==': 'equal', '>': 'gt', '>=': 'gte', '<': 'lt', '<=': 'lte' };
+
+export class TransformPipeline {
+    /**
+     * options.parseDate reads a filter value typed for a date column the
+     * way the column itself was parsed, returning a Date or null
+     */
+    constructor(steps = [], options = {}) {
+        this.steps = steps.map(step => ({ ...step }));
+        this.parseDate = options.parseDate || parseDate;
+    }
+
+    /**
+     * Append a step after validating it
+     */
+    addStep(step) {
+        this.validateStep(step);
+        this.steps.push({ ...step });
+        return this.steps.length - 1;
+    }
+
+    removeStep(index) {
+        this.steps.splice(index, 1);
+    }
+
+    moveStep(index, offset) {
+        const target = index + offset;
+        if (target < 0 || target >= this.steps.length) return;
+        const [step] = this.steps.splice(index, 1);
+        this.steps.splice(target, 0, step);
+    }
+
+    clear() {
+        this.steps = [];
+    }
+
+    isEmpty() {
+        return this.steps.length === 0;
+    }
+
+    /**
+     * Point every step that reads a column at its new name after the
+     * column was renamed in the source data
+     */
+    renameColumn(column, newName) {
+        const rename = name => name === column ? newName : name;
+
+        this.steps = this.steps.map(step => {
+            switch (step.type) {
+                case 'filter':
+                    return { ...step, column: rename(step.column) };
+                case 'derive':
+                    return {
+                        ...step,
+                        left: rename(step.left),
+                        right: typeof step.right === 'string' ? rename(step.right) : step.right
+                    };
+                case 'aggregate':
+                    return {
+                        ...step,
+                        groupby: step.groupby.map(rename),
+                        aggregates: step.aggregates.map(aggregate =>
+                            aggregate.field ? { ...aggregate, field: rename(aggregate.field) } : aggregate)
+                    };
+                case 'pivot':
+                    return {
+                        ...step,
+                        pivot: rename(step.pivot),
+                        value: rename(step.value),
+                        ...(step.groupby ? { groupby: step.groupby.map(rename) } : {})
+                    };
+                case 'fold':
+                    return { ...step, fields: step.fields.map(rename) };
+                case 'join':
+                    return { ...step, on: step.on.map(pair => ({ ...pair, left: rename(pair.left) })) };
+                default:
+                    return step;
+            }
+        });
+    }
+
+    /**
+     * Check that a step has everything it needs to run
+     */
+    validateStep(step) {
+        const require = (condition, message) => {
+            if (!condition) throw new Error(`Invalid ${step.type} step: ${message}`);
+        };
+
+        switch (step.type) {
+            case 'filter':
+                require(step.column, 'column is required');
+                require(FILTER_OPERATORS.includes(step.operator), `unknown operator "${step.operator}"`);
+                break;
+            case 'derive':
+                require(step.as, 'output column name is required');
+                require(step.left, 'left operand is required');
+                require(step.right !== undefined && step.right !== '', 'right operand is required');
+                require(DERIVE_OPERATORS.includes(step.operator), `unknown operator "${step.operator}"`);
+                break;
+            case 'aggregate':
+                require(Array.isArray(step.groupby), 'groupby must be a list of columns');
+                require(step.aggregates && step.aggregates.length > 0, 'at least one aggregate is required');
+                step.aggregates.forEach(({ op, field }) => {
+                    require(AGGREGATE_OPS.includes(op), `unknown aggregate "${op}"`);
+                    require(op === 'count' || field, `${op} needs a field`);
+                });
+                break;
+            case 'pivot':
+                require(step.pivot, 'pivot column is required');
+                require(step.value, 'value column is required');
+                require(AGGREGATE_OPS.includes(step.op || 'sum'), `unknown aggregate "${step.op}"`);
+                break;
+            case 'fold':
+                require(step.fields && step.fields.length > 0, 'at least one column is required');
+                break;
+            case 'join':
+                require(Array.isArray(step.data), 'joined data is required');
+                require(step.on && step.on.length > 0, 'at least one key pair is required');
+                require(JOIN_TYPES.includes(step.how), `unknown join type "${step.how}"`);
+                break;
+            default:
+                throw new Error(`Unknown transform step: ${step.type}`);
+        }
+    }
+
+    /**
+     * Run every step over the data in JavaScript
+     */
+    apply(data) {
+        if (!data) return data;
+        return this.steps.reduce((rows, step) => this.applyStep(rows, step), data);
+    }
+
+    applyStep(rows, step) {
+        switch (step.type) {
+            case 'filter': return this.applyFilter(rows, step);
+            case 'derive': return this.applyDerive(rows, step);
+            case 'aggregate': return this.applyAggregate(rows, step);
+            case 'pivot': return this.applyPivot(rows, step);
+            case 'fold': return this.applyFold(rows, step);
+            case 'join': return this.applyJoin(rows, step);
+            default: throw new Error(`Unknown transform step: ${step.type}`);
+        }
+    }
+
+    applyFilter(rows, { column, operator, value }) {
+        if (operator === 'is valid') {
+            return rows.filter(row => isValid(row[column]));
+        }
+
+        if (operator === 'contains') {
+            const needle = String(value ?? '').toLowerCase();
+            return rows.filter(row => isValid(row[column]) &&
+                String(row[column]).toLowerCase().includes(needle));
+        }
+
+        const target = comparable(coerceLike(rows, column, value, this.parseDate));
+        return rows.filter(row => {
+            const actual = comparable(row[column]);
+            switch (operator) {
+                case '==': return actual === target;
+                case '!=': return actual !== target;
+                case '>': return isValid(actual) && actual > target;
+                case '>=': return isValid(actual) && actual >= target;
+                case '<': return isValid(actual) && actual < target;
+                case '<=': return isValid(actual) && actual <= target;
+                default: return true;
+            }
+        });
+    }
+
+    applyDerive(rows, { as, left, operator, right }) {
+        return rows.map(row => {
+            const a = row[left];
+            const b = typeof right === 'number' ? right : row[right];
+            return { ...row, [as]: calculate(a, operator, b) };
+        });
+    }
+
+    applyAggregate(rows, { groupby, aggregates }) {
+        return groupRows(rows, groupby).map(({ keyRow, members }) => {
+            const result = { ...keyRow };
+            aggregates.forEach(({ op, field, as }) => {
+                result[as || defaultAggregateName(op, field)] =
+                    aggregateValues(op, members.map(row => row[field]));
+            });
+            return result;
+        });
+    }
+
+    applyPivot(rows, { pivot, value, groupby = [], op = 'sum' }) {
+        const pivotValues = [...new Set(rows.map(row => row[pivot])
+            .filter(isValid)
+            .map(String))].sort();
+
+        return groupRows(rows, groupby).map(({ keyRow, members }) => {
+            const result = { ...keyRow };
+            pivotValues.forEach(name => {
+                const cell = members.filter(row => String(row[pivot]) === name);
+                result[name] = cell.length > 0
+                    ? aggregateValues(op, cell.map(row => row[value]))
+                    : null;
+            });
+            return result;
+        });
+    }
+
+    applyFold(rows, { fields, as = ['key', 'value'] }) {
+        const [keyName, valueName] = as;
+        // Like Vega-Lite, folded rows keep the original columns too
+        return rows.flatMap(row => fields.map(field =>
+            ({ ...row, [keyName]: field, [valueName]: row[field] ?? null })));
+    }
+
+    applyJoin(rows, step) {
+        const { data: right, on, how } = step;
+        const leftKeys = on.map(pair => pair.left);
+        const rightKeys = on.map(pair => pair.right);
+        const fields = this.getJoinFields(rows, step);
+
+        // As in SQL, a row with a missing key matches nothing
+        const index = new Map();
+        right.forEach((row, i) => {
+            if (!hasJoinKey(row, rightKeys)) return;
+            const key = keyOf(row, rightKeys);
+            if (!index.has(key)) index.set(key, []);
+            index.get(key).push(i);
+        });
+
+        const matchedRight = new Set();
+        const joined = [];
+        const emptyRight = Object.fromEntries(fields.map(({ as }) => [as, null]));
+
+        rows.forEach(row => {
+            const matches = hasJoinKey(row, leftKeys) && index.get(keyOf(row, leftKeys));
+            if (matches) {
+                matches.forEach(i => {
+                    matchedRight.add(i);
+                    const extra = Object.fromEntries(fields.map(({ field, as }) => [as, right[i][field] ?? null]));
+                    joined.push({ ...row, ...extra });
+                });
+            } else if (how !== 'inner') {
+                joined.push({ ...row, ...emptyRight });
+            }
+        });
+
+        if (how === 'outer' && rows.length > 0) {
+            const emptyLeft = Object.fromEntries(Object.keys(rows[0]).map(column => [column, null]));
+            right.forEach((row, i) => {
+                if (matchedRight.has(i)) return;
+                const keys = Object.fromEntries(on.map(pair => [pair.left, row[pair.right] ?? null]));
+                const extra = Object.fromEntries(fields.map(({ field, as }) => [as, row[field] ?? null]));
+                joined.push({ ...emptyLeft, ...keys, ...extra });
+            });
+        }
+
+        return joined;
+    }
+
+    /**
+     * Columns brought in by a join, renamed when they clash with
+     * columns already on the left side
+     */
+    getJoinFields(rows, { data: right, on, fields }) {
+        const rightKeys = new Set(on.map(pair => pair.right));
+        const leftColumns = new Set(rows.length > 0 ? Object.keys(rows[0]) : []);
+        const candidates = fields || (right.length > 0 ? Object.keys(right[0]) : [])
+            .filter(field => !rightKeys.has(field));
+
+        return candidates.map(field => ({
+            field,
+            as: leftColumns.has(field) ? `${field}_right` : field
+        }));
+    }
+
+    /**
+     * Produce the inline values and Vega-Lite transforms for the spec.
+     * Steps Vega-Lite can't express (multi-key or non-left joins) are
+     * applied in JavaScript, together with everything before them, and
+     * the remaining steps are emitted as transforms.
+     */
+    compile(data) {
+        if (!data) return { values: data, transform: [] };
+
+        // Intermediate results, used to type filter values
+        const stages = [data];
+        this.steps.forEach(step => stages.push(this.applyStep(stages[stages.length - 1], step)));
+
+        let firstEmitted = 0;
+        this.steps.forEach((step, i) => {
+            if (!this.canEmit(step)) firstEmitted = i + 1;
+        });
+
+        const transform = this.steps.slice(firstEmitted)
+            .flatMap((step, i) => this.toVegaLite(step, stages[firstEmitted + i]));
+
+        return { values: stages[firstEmitted], transform };
+    }
+
+    /**
+     * Whether compile has to apply some steps in JavaScript, so the
+     * emitted values are no longer the input data
+     */
+    isMaterialized() {
+        return this.steps.some(step => !this.canEmit(step));
+    }
+
+    /**
+     * Whether a step has a Vega-Lite equivalent
+     */
+    canEmit(step) {
+        if (step.type !== 'join') return true;
+
+        // A lookup behaves like a left join only when right keys are unique
+        if (step.how !== 'left' || step.on.length !== 1) return false;
+        const keys = step.data.map(row => comparable(row[step.on[0].right]));
+        return new Set(keys).size === keys.length;
+    }
+
+    toVegaLite(step, rows) {
+        switch (step.type) {
+            case 'filter':
+                return [{ filter: this.toPredicate(step, rows) }];
+
+            case 'derive': {
+                const a = fieldRef(step.left);
+                const b = typeof step.right === 'number' ? String(step.right) : fieldRef(step.right);
+                const guards = [`isValid(${a})`, `isFinite(${a})`];
+                if (typeof step.right !== 'number') guards.push(`isValid(${b})`, `isFinite(${b})`);
+                if (step.operator === '/' || step.operator === '%') guards.push(`${b} != 0`);
+                return [{ calculate: `${guards.join(' && ')} ? ${a} ${step.operator} ${b} : null`, as: step.as }];
+            }
+
+            case 'aggregate':
+                return [{
+                    aggregate: step.aggregates.map(({ op, field, as }) => ({
+                        op,
+                        ...(field ? { field } : {}),
+                        as: as || defaultAggregateName(op, field)
+                    })),
+                    groupby: step.groupby
+                }];
+
+            case 'pivot':
+                return [{
+                    pivot: step.pivot,
+                    value: step.value,
+                    groupby: step.groupby || [],
+                    op: step.op || 'sum'
+                }];
+
+            case 'fold':
+                return [{ fold: step.fields, as: step.as || ['key', 'value'] }];
+
+            case 'join': {
+                const fields = this.getJoinFields(rows, step);
+                return [{
+                    lookup: step.on[0].left,
+                    from: {
+                        data: { values: step.data },
+                        key: step.on[0].right,
+                        fields: fields.map(({ field }) => field)
+                    },
+                    as: fields.map(({ as }) => as)
+                }];
+            }
+
+            default:
+                throw new Error(`Unknown transform step: ${step.type}`);
+        }
+    }
+
+    toPredicate({ column, operator, value }, rows) {
+        if (operator === 'is valid') {
+            return { field: column, valid: true };
+        }
+
+        if (operator === 'contains') {
+            const needle = JSON.stringify(String(value ?? '').toLowerCase());
+            return `isValid(${fieldRef(column)}) && indexof(lower(toString(${fieldRef(column)})), ${needle}) >= 0`;
+        }
+
+        const target = coerceLike(rows, column, value, this.parseDate);
+
+        // Dates compare by timestamp in an expression
+        if (target instanceof Date) {
+            const symbol = operator === '==' ? '===' : operator === '!=' ? '!==' : operator;
+            return `time(${fieldRef(column)}) ${symbol} ${target.getTime()}`;
+        }
+
+        if (operator === '!=') {
+            return { not: { field: column, equal: target } };
+        }
+
+        return { field: column, [PREDICATE_KEYS[operator]]: target };
+    }
+
+    /**
+     * Short human-readable description of a step for the step list
+     */
+    describeStep(step) {
+        switch (step.type) {
+            case 'filter':
+                return step.operator === 'is valid'
+                    ? `Filter ${step.column} is not empty`
+                    : `Filter ${step.column} ${step.operator} ${step.value}`;
+            case 'derive':
+                return `Derive ${step.as} = ${step.left} ${step.operator} ${step.right}`;
+            case 'aggregate':
+                return `Aggregate ${step.aggregates.map(({ op, field }) => op === 'count' ? 'count' : `${op}(${field})`).join(', ')}` +
+                    (step.groupby.length > 0 ? ` by ${step.groupby.join(', ')}` : '');
+            case 'pivot':
+                return `Pivot ${step.pivot} → columns of ${step.op || 'sum'}(${step.value})` +
+                    (step.groupby && step.groupby.length > 0 ? ` by ${step.groupby.join(', ')}` : '');
+            case 'fold':
+                return `Unpivot ${step.fields.join(', ')} → ${(step.as || ['key', 'value']).join(', ')}`;
+            case 'join':
+                return `${step.how[0].toUpperCase()}${step.how.slice(1)} join ${step.name || 'data'} on ` +
+                    step.on.map(({ left, right }) => left === right ? left : `${left} = ${right}`).join(', ');
+            default:
+                return step.type;
+        }
+    }
+
+    /**
+     * Serializable form of the steps for the full spec. Joined rows are
+     * left out; the joined dataset is referenced by name.
+     */
+    toJSON() {
+        return this.steps.map(step => {
+            if (step.type !== 'join') return { ...step };
+            const { data, ...rest } = step;
+            return { ...rest, rows: data.length };
+        });
+    }
+}
+
+function isValid(value) {
+    return value !== null && value !== undefined && !(typeof value === 'number' && isNaN(value));
+}
+
+/**
+ * Whether every join column of a row has a value; null, NaN and empty
+ * text keys never match
+ */
+export function hasJoinKey(row, columns) {
+    return columns.every(column => isValid(row[column]) && row[column] !== '');
+}
+
+/**
+ * Dates compare by timestamp; everything else by value
+ */
+function comparable(value) {
+    return value instanceof Date ? value.getTime() : value;
+}
+
+/**
+ * Fallback date parser for pipelines created without one
+ */
+function parseDate(value) {
+    const date = new Date(value);
+    return isNaN(date) ? null : date;
+}
+
+/**
+ * Convert a filter value typed in the UI to the type of the column's data
+ */
+function coerceLike(rows, column, value, parseDateValue = parseDate) {
+    const sample = rows.map(row => row[column]).find(isValid);
+
+    if (sample instanceof Date) {
+        if (value instanceof Date) return value;
+        return parseDateValue(String(value ?? '').trim()) || value;
+    }
+    if (typeof sample === 'number') {
+        const number = Number(value);
+        return value === '' || isNaN(number) ? value : number;
+    }
+    if (typeof sample === 'boolean') {
+        return value === true || value === 'true';
+    }
+    return value;
+}
+
+function calculate(a, operator, b) {
+    if (typeof a !== 'number' || typeof b !== 'number' || !isFinite(a) || !isFinite(b)) {
+        return null;
+    }
+
+    switch (operator) {
+        case '+': return a + b;
+        case '-': return a - b;
+        case '*': return a * b;
+        case '/': return b === 0 ? null : a / b;
+        case '%': return b === 0 ? null : a % b;
+        default: return null;
+    }
+}
+
+function groupRows(rows, groupby) {
+    const groups = new Map();
+    rows.forEach(row => {
+        const key = keyOf(row, groupby);
+        if (!groups.has(key)) {
+            groups.set(key, {
+                keyRow: Object.fromEntries(groupby.map(column => [column, row[column] ?? null])),
+                members: []
+            });
+        }
+        groups.get(key).members.push(row);
+    });
+    return [...groups.values()];
+}
+
+function keyOf(row, columns) {
+    return JSON.stringify(columns.map(column => comparable(row[column] ?? null)));
+}
+
+function aggregateValues(op, values) {
+    if (op === 'count') return values.length;
+    if (op === 'distinct') return new Set(values.filter(isValid).map(comparable)).size;
+
+    const numbers = values.filter(value => typeof value === 'number' && isFinite(value));
+    if (numbers.length === 0) return op === 'sum' ? 0 : null;
+
+    switch (op) {
+        case 'sum': return numbers.reduce((sum, n) => sum + n, 0);
+        case 'mean': return numbers.reduce((sum, n) => sum + n, 0) / numbers.length;
+        case 'min': return numbers.reduce((min, n) => n < min ? n : min);
+        case 'max': return numbers.reduce((max, n) => n > max ? n : max);
+        case 'median': {
+            const sorted = [...numbers].sort((a, b) => a - b);
+            const mid = Math.floor(sorted.length / 2);
+            return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+        }
+        default: return null;
+    }
+}
+
+function defaultAggregateName(op, field) {
+    return op === 'count' ? 'count' : `${op}_${field}`;
+}
+
+function fieldRef(column) {
+    return `datum[${JSON.stringify(column)}]`;
+}
@@ -3,6 +3,18 @@
  * Handles reusable UI components and interactions
  */
 
+/**
+ * Escape text for use in HTML content and attribute values
+ */
+export function escapeHTML(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
 export class UIComponents {
     constructor() {
         this.modals = new Map();
@@ -541,4 +553,1207 @@ export class UIComponents {
 
         document.head.appendChild(styles);
     }
+
+    /**
+     * Collapsible form for a parsing profile (see
+     * DataManager.getDefaultParsingProfile). Changes are written into
+     * profile, then options.onChange(key) is called.
+     */
+    createParsingOptions(container, profile, options = {}) {
+        const separatorOptions = (choices, selected) => choices.map(([value, label]) =>
+            `<option value="${escapeHTML(value)}" ${value === selected ? 'selected' : ''}>${label}</option>`).join('');
+        const list = values => escapeHTML(values.join(', '));
+
+        const content = `
+            <div class="parsing-options-form">
+                <label>Decimal separator
+                    <select data-profile="decimalSeparator">
+                        ${separatorOptions([['.', 'Point (1.5)'], [',', 'Comma (1,5)']], profile.decimalSeparator)}
+                    </select>
+                </label>
+                <label>Thousands separator
+                    <select data-profile="thousandsSeparator">
+                        ${separatorOptions([[',', 'Comma (1,000)'], ['.', 'Point (1.000)'], [' ', 'Space (1 000)'], ["'", "Apostrophe (1'000)"], ['', 'None']], profile.thousandsSeparator)}
+                    </select>
+                </label>
+                <label>Date formats
+                    <input type="text" data-profile="dateFormats" value="${list(profile.dateFormats)}"
+                        title="Tried in order. Tokens: YYYY, YY, MMM, MM, M, DD, D, HH, H, mm, ss, or ISO">
+                </label>
+                <label>Missing value markers
+                    <input type="text" data-profile="nullTokens" value="${list(profile.nullTokens)}"
+                        title="Cells matching one of these (ignoring case) are treated as missing">
+                </label>
+                <label>Text-only columns
+                    <input type="text" data-profile="stringColumns" value="${list(profile.stringColumns)}"
+                        placeholder="e.g. zip, account_id">
+                </label>
+                <label class="checkbox-label">
+                    <input type="checkbox" data-profile="stripCurrency" ${profile.stripCurrency ? 'checked' : ''}>
+                    Strip currency symbols
+                </label>
+                <label class="checkbox-label">
+                    <input type="checkbox" data-profile="stripPercent" ${profile.stripPercent ? 'checked' : ''}>
+                    Strip percent signs
+                </label>
+                <label class="checkbox-label">
+                    <input type="checkbox" data-profile="keepLeadingZeros" ${profile.keepLeadingZeros ? 'checked' : ''}>
+                    Keep leading zeros (e.g. 01234) as text
+                </label>
+            </div>
+        `;
+
+        const collapsible = this.createCollapsible(container, '⚙️ Parsing options', content);
+
+        collapsible.querySelectorAll('[data-profile]').forEach(input => {
+            input.addEventListener('change', () => {
+                const key = input.dataset.profile;
+
+                if (input.type === 'checkbox') {
+                    profile[key] = input.checked;
+                } else if (['dateFormats', 'stringColumns', 'nullTokens'].includes(key)) {
+                    profile[key] = input.value.split(',').map(v => v.trim()).filter(Boolean);
+                } else {
+                    profile[key] = input.value;
+                }
+
+                if (options.onChange) options.onChange(key);
+            });
+        });
+
+        this.addParsingOptionsStyles();
+
+        return collapsible;
+    }
+
+    /**
+     * Add parsing options styles
+     */
+    addParsingOptionsStyles() {
+        if (document.getElementById('parsing-options-styles')) {
+            return;
+        }
+
+        const styles = document.createElement('style');
+        styles.id = 'parsing-options-styles';
+        styles.textContent = `
+            .parsing-options-form {
+                display: flex;
+                flex-direction: column;
+                gap: 0.6rem;
+                font-size: 0.85rem;
+            }
+
+            .parsing-options-form label {
+                display: flex;
+                flex-direction: column;
+                gap: 0.3rem;
+                color: #333;
+            }
+
+            .parsing-options-form label.checkbox-label {
+                flex-direction: row;
+                align-items: center;
+                gap: 0.5rem;
+            }
+
+            .parsing-options-form select,
+            .parsing-options-form input[type="text"] {
+                padding: 0.4rem;
+                border: 1px solid #e0e0e0;
+                border-radius: 5px;
+                font-size: 0.85rem;
+            }
+        `;
+
+        document.head.appendChild(styles);
+    }
+
+    /**
+     * Render a column profile card from DataManager.getColumnStats output
+     */
+    createColumnProfile(container, column, stats, options = {}) {
+        if (typeof container === 'string') {
+            container = document.getElementById(container);
+        }
+
+        const card = document.createElement('div');
+        card.className = 'column-profile-card';
+
+        const metrics = [
+            ['Values', this.formatNumber(stats.count)],
+            ['Missing', `${this.formatNumber(stats.nullCount)} (${(stats.nullRate * 100).toFixed(1)}%)`],
+            ['Unique', this.formatNumber(stats.unique)]
+        ];
+
+        if (stats.type === 'quantitative' && stats.min !== undefined) {
+            metrics.push(
+                ['Min', this.formatNumber(stats.min)],
+                ['Q1', this.formatNumber(stats.q1)],
+                ['Median', this.formatNumber(stats.median)],
+                ['Q3', this.formatNumber(stats.q3)],
+                ['Max', this.formatNumber(stats.max)],
+                ['Mean', this.formatNumber(stats.mean)],
+                ['Std dev', this.formatNumber(stats.stdDev)],
+                ['Outliers', `${stats.outliers.low} low / ${stats.outliers.high} high`]
+            );
+        }
+
+        if (stats.type === 'temporal' && stats.dateRange) {
+            metrics.push(
+                ['From', stats.dateRange.min.toLocaleDateString()],
+                ['To', stats.dateRange.max.toLocaleDateString()],
+                ['Span', `${this.formatNumber(stats.dateRange.days)} days`]
+            );
+        }
+
+        card.innerHTML = `
+            <div class="profile-header">
+                <span class="profile-title">${escapeHTML(column)}</span>
+                <span class="profile-type">${stats.type}</span>
+                <button class="profile-close" title="Close">&times;</button>
+            </div>
+            <div class="profile-confidence" title="Share of values that match the column type">
+                Type confidence: ${Math.round(stats.typeConfidence * 100)}%
+            </div>
+            ${stats.histogram ? this.createMiniHistogram(stats.histogram) : ''}
+            ${stats.topValues ? this.createTopValuesList(stats.topValues, stats.count) : ''}
+            <dl class="profile-metrics">
+                ${metrics.map(([label, value]) => `<dt>${label}</dt><dd>${value}</dd>`).join('')}
+            </dl>
+        `;
+
+        card.querySelector('.profile-close').addEventListener('click', () => {
+            card.remove();
+            if (options.onClose) options.onClose();
+        });
+
+        this.addProfileStyles();
+
+        container.innerHTML = '';
+        container.appendChild(card);
+
+        return card;
+    }
+
+    /**
+     * Collapsible data quality report (see DataManager.getQualityReport)
+     * with a button that calls options.onDownload
+     */
+    createQualityReport(container, report, options = {}) {
+        const formatValue = value => escapeHTML(value instanceof Date ? value.toLocaleDateString() : String(value));
+        const rowList = examples => examples.map(({ row, value }) =>
+            `row ${row}${value !== undefined ? ` (${formatValue(value)})` : ''}`).join(', ');
+        const more = (count, shown) => count > shown ? `, … ${this.formatNumber(count - shown)} more` : '';
+
+        const sections = [];
+
+        if (report.droppedRows.length > 0) {
+            sections.push(['Dropped rows', report.droppedRows.map(issue =>
+                `<li>Line ${issue.line}: ${escapeHTML(issue.message)}</li>`)]);
+        }
+        if (report.renamedHeaders.length > 0) {
+            sections.push(['Renamed headers', report.renamedHeaders.map(issue =>
+                `<li>${escapeHTML(issue.message)}</li>`)]);
+        }
+        if (report.parseIssues.length > 0) {
+            sections.push(['Parse warnings', report.parseIssues.map(issue =>
+                `<li>Line ${issue.line}: ${escapeHTML(issue.message)}</li>`)]);
+        }
+        if (report.mixedTypes.length > 0) {
+            sections.push(['Mixed types', report.mixedTypes.map(({ column, majority, counts, examples }) => {
+                const others = Object.entries(counts).filter(([kind]) => kind !== majority)
+                    .map(([kind, count]) => `${this.formatNumber(count)} ${escapeHTML(kind)}`).join(', ');
+                return `<li><strong>${escapeHTML(column)}</strong> is mostly ${escapeHTML(majority)} but has ${others}: ${rowList(examples)}</li>`;
+            })]);
+        }
+        if (report.duplicateRows.count > 0) {
+            const { count, examples } = report.duplicateRows;
+            sections.push(['Duplicate rows', [`<li>${this.formatNumber(count)} rows repeat an earlier row: ` +
+                examples.map(({ row, duplicateOf }) => `row ${row} = row ${duplicateOf}`).join(', ') +
+                `${more(count, examples.length)}</li>`]]);
+        }
+        if (report.constantColumns.length > 0) {
+            sections.push(['Constant columns', report.constantColumns.map(({ column, value }) =>
+                `<li><strong>${escapeHTML(column)}</strong> is always ${formatValue(value)}</li>`)]);
+        }
+        if (report.outliers.length > 0) {
+            sections.push(['Suspicious outliers', report.outliers.map(({ column, count, lowerFence, upperFence, examples }) =>
+                `<li><strong>${escapeHTML(column)}</strong>: ${this.formatNumber(count)} values outside ` +
+                `${this.formatNumber(lowerFence)} – ${this.formatNumber(upperFence)}: ` +
+                `${rowList(examples)}${more(count, examples.length)}</li>`)]);
+        }
+
+        const content = `
+            <div class="quality-report-body">
+                ${sections.length > 0 ? sections.map(([title, items]) => `
+                    <h5>${title}</h5>
+                    <ul>${items.join('')}</ul>
+                `).join('') : '<p>No problems found.</p>'}
+                <p class="quality-report-note">Row numbers count data rows; line numbers refer to the file.</p>
+                <button class="quality-report-download">Download report (JSON)</button>
+            </div>
+        `;
+
+        const title = report.findings > 0
+            ? `🩺 Data quality: ${report.findings} finding${report.findings === 1 ? '' : 's'}`
+            : '✅ Data quality: no problems found';
+        const collapsible = this.createCollapsible(container, title, content);
+
+        collapsible.querySelector('.quality-report-download').addEventListener('click', () => {
+            if (options.onDownload) options.onDownload(report);
+        });
+
+        this.addQualityReportStyles();
+
+        return collapsible;
+    }
+
+    /**
+     * Add data quality report styles
+     */
+    addQualityReportStyles() {
+        if (document.getElementById('quality-report-styles')) {
+            return;
+        }
+
+        const styles = document.createElement('style');
+        styles.id = 'quality-report-styles';
+        styles.textContent = `
+            .quality-report-body {
+                font-size: 0.8rem;
+                color: #333;
+            }
+
+            .quality-report-body h5 {
+                margin: 0.6rem 0 0.2rem;
+                font-size: 0.8rem;
+                color: #E65100;
+            }
+
+            .quality-report-body ul {
+                margin: 0;
+                padding-left: 1.2rem;
+                max-height: 8rem;
+                overflow-y: auto;
+            }
+
+            .quality-report-note {
+                color: #999;
+                font-size: 0.7rem;
+            }
+
+            .quality-report-download {
+                border: 1px solid #2196F3;
+                color: #1976D2;
+                background: white;
+                border-radius: 4px;
+                padding: 0.3rem 0.6rem;
+                cursor: pointer;
+                font-size: 0.8rem;
+            }
+        `;
+
+        document.head.appendChild(styles);
+    }
+
+    /**
+     * Inline SVG histogram for a profile card
+     */
+    createMiniHistogram(bins, width = 240, height = 48) {
+        const maxCount = Math.max(...bins.map(bin => bin.count));
+        const barWidth = width / bins.length;
+
+        const bars = bins.map((bin, i) => {
+            const barHeight = maxCount > 0 ? (bin.count / maxCount) * height : 0;
+            return `<rect x="${i * barWidth + 0.5}" y="${height - barHeight}" width="${Math.max(barWidth - 1, 1)}" height="${barHeight}">
+                <title>${this.formatNumber(bin.x0)} – ${this.formatNumber(bin.x1)}: ${bin.count}</title>
+            </rect>`;
+        }).join('');
+
+        return `<svg class="profile-histogram" viewBox="0 0 ${width} ${height}" preserveAspectRatio="none">${bars}</svg>`;
+    }
+
+    /**
+     * Bar list of the most frequent categories for a profile card
+     */
+    createTopValuesList(topValues, total) {
+        const rows = topValues.values.map(({ value, count }) => `
+            <div class="profile-top-value">
+                <span class="top-value-label" title="${escapeHTML(value)}">${escapeHTML(value)}</span>
+                <span class="top-value-bar"><span style="width: ${(count / total) * 100}%"></span></span>
+                <span class="top-value-count">${this.formatNumber(count)}</span>
+            </div>
+        `).join('');
+
+        const other = topValues.otherCount > 0
+            ? `<div class="profile-top-other">+ ${this.formatNumber(topValues.otherCount)} other values</div>`
+            : '';
+
+        return `<div class="profile-top-values">${rows}${other}</div>`;
+    }
+
+    /**
+     * Format a number for display
+     */
+    formatNumber(value) {
+        if (typeof value !== 'number' || !isFinite(value)) return String(value);
+        return value.toLocaleString(undefined, { maximumFractionDigits: 2 });
+    }
+
+    /**
+     * Add column profile styles
+     */
+    addProfileStyles() {
+        if (document.getElementById('column-profile-styles')) {
+            return;
+        }
+
+        const styles = document.createElement('style');
+        styles.id = 'column-profile-styles';
+        styles.textContent = `
+            .column-profile-card {
+                border: 1px solid #e0e0e0;
+                border-radius: 8px;
+                padding: 0.8rem;
+                margin-top: 1rem;
+                background: white;
+                font-size: 0.8rem;
+            }
+
+            .profile-header {
+                display: flex;
+                align-items: center;
+                gap: 0.5rem;
+                margin-bottom: 0.3rem;
+            }
+
+            .profile-title {
+                font-weight: 600;
+                color: #333;
+                flex: 1;
+                overflow: hidden;
+                text-overflow: ellipsis;
+                white-space: nowrap;
+            }
+
+            .profile-type {
+                background: #e3f2fd;
+                color: #1976D2;
+                border-radius: 10px;
+                padding: 0.1rem 0.5rem;
+                font-size: 0.7rem;
+            }
+
+            .profile-close {
+                background: none;
+                border: none;
+                font-size: 1.1rem;
+                cursor: pointer;
+                color: #999;
+            }
+
+            .profile-confidence {
+                color: #666;
+                margin-bottom: 0.6rem;
+            }
+
+            .profile-histogram {
+                width: 100%;
+                height: 48px;
+                margin-bottom: 0.6rem;
+            }
+
+            .profile-histogram rect {
+                fill: #2196F3;
+            }
+
+            .profile-histogram rect:hover {
+                fill: #1565C0;
+            }
+
+            .profile-top-values {
+                margin-bottom: 0.6rem;
+            }
+
+            .profile-top-value {
+                display: grid;
+                grid-template-columns: 5rem 1fr 3rem;
+                align-items: center;
+                gap: 0.4rem;
+                margin-bottom: 0.2rem;
+            }
+
+            .top-value-label {
+                overflow: hidden;
+                text-overflow: ellipsis;
+                white-space: nowrap;
+            }
+
+            .top-value-bar {
+                background: #f0f0f0;
+                height: 8px;
+                border-radius: 4px;
+                overflow: hidden;
+            }
+
+            .top-value-bar span {
+                display: block;
+                height: 100%;
+                background: #2196F3;
+            }
+
+            .top-value-count,
+            .profile-top-other {
+                color: #666;
+                text-align: right;
+            }
+
+            .profile-metrics {
+                display: grid;
+                grid-template-columns: auto 1fr;
+                gap: 0.2rem 0.8rem;
+                margin: 0;
+            }
+
+            .profile-metrics dt {
+                color: #666;
+            }
+
+            .profile-metrics dd {
+                margin: 0;
+                text-align: right;
+                font-variant-numeric: tabular-nums;
+            }
+        `;
+
+        document.head.appendChild(styles);
+    }
+
+    /**
+     * List of loaded datasets with their size, source and load time.
+     * Clicking a dataset calls options.onSelect(name); its × button calls
+     * options.onRemove(name).
+     */
+    createDatasetSwitcher(container, datasets, activeName, options = {}) {
+        if (typeof container === 'string') {
+            container = document.getElementById(container);
+        }
+
+        const sourceLabels = { file: 'file', url: 'URL', sample: 'sample', derived: 'derived' };
+        const list = document.createElement('ul');
+        list.className = 'dataset-switcher';
+
+        list.innerHTML = datasets.map(dataset => {
+            const schema = dataset.schema.map(({ name, type }) => `${name}: ${type}`).join('\n');
+            const source = dataset.source ? sourceLabels[dataset.source.type] || dataset.source.type : 'inline';
+            return `
+                <li class="dataset-item ${dataset.name === activeName ? 'active' : ''}" data-name="${escapeHTML(dataset.name)}" title="${escapeHTML(schema)}">
+                    <div class="dataset-item-info">
+                        <span class="dataset-item-name">${escapeHTML(dataset.name)}</span>
+                        <span class="dataset-item-meta">
+                            ${this.formatNumber(dataset.rows)} rows · ${dataset.columns} columns · ${source} · ${dataset.loadedAt.toLocaleTimeString()}
+                        </span>
+                    </div>
+                    <button class="dataset-item-remove" title="Remove dataset">&times;</button>
+                </li>
+            `;
+        }).join('');
+
+        list.querySelectorAll('.dataset-item').forEach(item => {
+            item.addEventListener('click', (e) => {
+                const name = item.dataset.name;
+                if (e.target.closest('.dataset-item-remove')) {
+                    if (options.onRemove) options.onRemove(name);
+                } else if (name !== activeName && options.onSelect) {
+                    options.onSelect(name);
+                }
+            });
+        });
+
+        this.addDatasetSwitcherStyles();
+
+        container.innerHTML = '';
+        container.appendChild(list);
+
+        return list;
+    }
+
+    /**
+     * Match rates and unmatched keys of a join preview (see
+     * DataManager.previewJoin). names: { left, right, how }
+     */
+    createJoinPreview(container, preview, names) {
+        if (typeof container === 'string') {
+            container = document.getElementById(container);
+        }
+
+        const percent = rate => `${(rate * 100).toFixed(1)}%`;
+        const formatKey = values => values.map(value =>
+            value === null ? '∅' : escapeHTML(value instanceof Date ? value.toLocaleDateString() : value)).join(' | ');
+
+        const side = (label, summary) => `
+            <div class="join-preview-side">
+                <div class="join-preview-label">${escapeHTML(label)}</div>
+                <div class="join-preview-rate">
+                    <span class="top-value-bar"><span style="width: ${summary.matchRate * 100}%"></span></span>
+                    ${percent(summary.matchRate)} matched
+                </div>
+                <div class="join-preview-counts">
+                    ${this.formatNumber(summary.matchedRows)} of ${this.formatNumber(summary.rows)} rows
+                    ${summary.missingKeyRows > 0 ? `(${this.formatNumber(summary.missingKeyRows)} without a key)` : ''}
+                </div>
+                ${summary.unmatchedKeyCount > 0 ? `
+                    <div class="join-preview-unmatched">
+                        ${this.formatNumber(summary.unmatchedKeyCount)} unmatched keys:
+                        ${summary.unmatchedKeys.map(({ values, rows }) =>
+                            `<code title="${rows} rows">${formatKey(values)}</code>`).join(' ')}
+                        ${summary.unmatchedKeyCount > summary.unmatchedKeys.length ? '…' : ''}
+                    </div>
+                ` : ''}
+            </div>
+        `;
+
+        const card = document.createElement('div');
+        card.className = 'join-preview-card';
+        card.innerHTML = `
+            ${side(names.left, preview.left)}
+            ${side(names.right, preview.right)}
+            <div class="join-preview-result">
+                ${['inner', 'left', 'outer'].map(how => `
+                    <span class="${how === names.how ? 'selected' : ''}">${how}: ${this.formatNumber(preview.resultRows[how])} rows</span>
+                `).join('')}
+            </div>
+            ${preview.duplicateRightKeys > 0 ? `
+                <div class="join-preview-warning">
+                    ${this.formatNumber(preview.duplicateRightKeys)} keys appear more than once in ${escapeHTML(names.right)}; matching rows are repeated
+                </div>
+            ` : ''}
+        `;
+
+        this.addProfileStyles();
+        this.addDatasetSwitcherStyles();
+
+        container.innerHTML = '';
+        container.appendChild(card);
+
+        return card;
+    }
+
+    /**
+     * Add dataset switcher and join preview styles
+     */
+    addDatasetSwitcherStyles() {
+        if (document.getElementById('dataset-switcher-styles')) {
+            return;
+        }
+
+        const styles = document.createElement('style');
+        styles.id = 'dataset-switcher-styles';
+        styles.textContent = `
+            .dataset-switcher {
+                list-style: none;
+                margin: 0;
+                padding: 0;
+            }
+
+            .dataset-item {
+                display: flex;
+                align-items: center;
+                gap: 0.5rem;
+                border: 1px solid #e0e0e0;
+                border-radius: 6px;
+                padding: 0.4rem 0.6rem;
+                margin-bottom: 0.4rem;
+                background: white;
+                cursor: pointer;
+                font-size: 0.8rem;
+            }
+
+            .dataset-item:hover {
+                border-color: #90CAF9;
+            }
+
+            .dataset-item.active {
+                border-color: #2196F3;
+                background: #e3f2fd;
+                cursor: default;
+            }
+
+            .dataset-item-info {
+                flex: 1;
+                min-width: 0;
+            }
+
+            .dataset-item-name {
+                display: block;
+                font-weight: 600;
+                color: #333;
+                overflow: hidden;
+                text-overflow: ellipsis;
+                white-space: nowrap;
+            }
+
+            .dataset-item-meta {
+                color: #666;
+                font-size: 0.7rem;
+            }
+
+            .dataset-item-remove {
+                background: none;
+                border: none;
+                font-size: 1.1rem;
+                cursor: pointer;
+                color: #999;
+            }
+
+            .dataset-item-remove:hover {
+                color: #d32f2f;
+            }
+
+            .join-preview-card {
+                border: 1px solid #e0e0e0;
+                border-radius: 8px;
+                padding: 0.8rem;
+                margin-top: 0.8rem;
+                background: white;
+                font-size: 0.8rem;
+            }
+
+            .join-preview-side {
+                margin-bottom: 0.6rem;
+            }
+
+            .join-preview-label {
+                font-weight: 600;
+                color: #333;
+                overflow: hidden;
+                text-overflow: ellipsis;
+                white-space: nowrap;
+            }
+
+            .join-preview-rate {
+                display: grid;
+                grid-template-columns: 1fr auto;
+                align-items: center;
+                gap: 0.5rem;
+            }
+
+            .join-preview-counts,
+            .join-preview-unmatched {
+                color: #666;
+            }
+
+            .join-preview-unmatched code {
+                background: #fff3e0;
+                color: #E65100;
+                border-radius: 3px;
+                padding: 0 0.2rem;
+            }
+
+            .join-preview-result {
+                display: flex;
+                flex-wrap: wrap;
+                gap: 0.5rem;
+                color: #666;
+            }
+
+            .join-preview-result .selected {
+                color: #1976D2;
+                font-weight: 600;
+            }
+
+            .join-preview-warning {
+                margin-top: 0.5rem;
+                color: #E65100;
+            }
+        `;
+
+        document.head.appendChild(styles);
+    }
+    /**
+     * Popover under anchor with the aggregate, bin, time unit and sort of
+     * a mapped column. options: { aggregates, timeUnits, sortOrders,
+     * onChange(fieldOptions) }; unset options are passed as null. Closes on
+     * Escape or a click outside.
+     */
+    createFieldOptionsPopover(anchor, mapping, options = {}) {
+        document.querySelectorAll('.field-options-popover').forEach(popover => popover.close());
+
+        const choices = (values, selected, label = value => value) => `
+            <option value="">None</option>
+            ${values.map(value => `<option value="${value}" ${value === selected ? 'selected' : ''}>${label(value)}</option>`).join('')}
+        `;
+        const sortLabel = order => order === 'ascending' || order === 'descending'
+            ? order[0].toUpperCase() + order.slice(1)
+            : `By ${order.replace('-', '')} ${order.startsWith('-') ? 'descending' : 'ascending'}`;
+        const bin = mapping.bin || {};
+
+        const popover = document.createElement('form');
+        popover.className = 'field-options-popover';
+        popover.innerHTML = `
+            <div class="field-options-title">${escapeHTML(mapping.column)}</div>
+            <label>Aggregate<select name="aggregate">${choices(options.aggregates || [], mapping.aggregate)}</select></label>
+            ${mapping.type === 'quantitative' ? `
+                <label class="field-options-check"><input type="checkbox" name="bin" ${mapping.bin ? 'checked' : ''}> Bin</label>
+                <div class="field-options-row">
+                    <label>Max bins<input type="number" name="maxbins" min="2" value="${bin.maxbins || ''}" placeholder="auto"></label>
+                    <label>Step<input type="number" name="step" min="0" step="any" value="${bin.step || ''}" placeholder="auto"></label>
+                </div>
+            ` : ''}
+            ${mapping.type === 'temporal' ? `
+                <label>Time unit<select name="timeUnit">${choices(options.timeUnits || [], mapping.timeUnit)}</select></label>
+            ` : ''}
+            <label>Sort<select name="sort">${choices(options.sortOrders || [], mapping.sort, sortLabel)}</select></label>
+        `;
+
+        const read = () => {
+            const field = name => popover.elements[name];
+            const number = name => Number(field(name).value) || undefined;
+            return {
+                aggregate: field('aggregate').value || null,
+                bin: field('bin') && field('bin').checked ? { maxbins: number('maxbins'), step: number('step') } : null,
+                timeUnit: field('timeUnit') ? field('timeUnit').value || null : null,
+                sort: field('sort').value || null
+            };
+        };
+
+        popover.addEventListener('submit', (e) => e.preventDefault());
+        popover.addEventListener('change', () => {
+            if (options.onChange) options.onChange(read());
+        });
+
+        const onPointerDown = (e) => {
+            if (!popover.contains(e.target) && !anchor.contains(e.target)) popover.close();
+        };
+        const onKeyDown = (e) => {
+            if (e.key === 'Escape') popover.close();
+        };
+        popover.close = () => {
+            document.removeEventListener('mousedown', onPointerDown);
+            document.removeEventListener('keydown', onKeyDown);
+            popover.remove();
+        };
+        document.addEventListener('mousedown', onPointerDown);
+        document.addEventListener('keydown', onKeyDown);
+
+        this.addFieldOptionsStyles();
+
+        const rect = anchor.getBoundingClientRect();
+        popover.style.top = `${rect.bottom + window.scrollY + 4}px`;
+        popover.style.left = `${rect.left + window.scrollX}px`;
+        document.body.appendChild(popover);
+
+        return popover;
+    }
+
+    /**
+     * Add field options popover styles
+     */
+    addFieldOptionsStyles() {
+        if (document.getElementById('field-options-styles')) {
+            return;
+        }
+
+        const styles = document.createElement('style');
+        styles.id = 'field-options-styles';
+        styles.textContent = `
+            .field-options-popover {
+                position: absolute;
+                z-index: 1000;
+                width: 220px;
+                display: flex;
+                flex-direction: column;
+                gap: 0.5rem;
+                padding: 0.75rem;
+                background: white;
+                border: 1px solid #e0e0e0;
+                border-radius: 8px;
+                box-shadow: 0 4px 12px rgba(0, 0, 0, 0.15);
+                font-size: 0.8rem;
+            }
+
+            .field-options-title {
+                font-weight: 600;
+                color: #333;
+            }
+
+            .field-options-popover label {
+                display: flex;
+                flex-direction: column;
+                gap: 0.2rem;
+                color: #666;
+            }
+
+            .field-options-popover .field-options-check {
+                flex-direction: row;
+                align-items: center;
+                gap: 0.4rem;
+            }
+
+            .field-options-row {
+                display: flex;
+                gap: 0.5rem;
+            }
+
+            .field-options-row label {
+                flex: 1;
+                min-width: 0;
+            }
+
+            .field-options-popover select,
+            .field-options-popover input[type="number"] {
+                padding: 0.25rem;
+                border: 1px solid #ddd;
+                border-radius: 4px;
+                font-size: 0.8rem;
+            }
+        `;
+
+        document.head.appendChild(styles);
+    }
+
+    /**
+     * Modal asking how to download a chart: format, scale factor,
+     * transparent background, fixed pixel size and file name.
+     * options: { formats: { key: { label } }, format, filename, onDownload(settings) }
+     * where settings is { format, filename, scale, transparent, width, height }
+     * and filename comes with the format's extension. Scale only applies to
+     * options.rasterFormats and size and background to options.imageFormats.
+     * The dialog stays open showing the error when onDownload fails.
+     */
+    createDownloadDialog(id, options = {}) {
+        const existing = this.modals.get(id);
+        if (existing) {
+            existing.remove();
+            this.modals.delete(id);
+        }
+
+        const formats = options.formats || {};
+        const rasterFormats = options.rasterFormats || ['png', 'pdf'];
+        const imageFormats = options.imageFormats || ['png', 'svg', 'pdf'];
+        const selected = options.format || Object.keys(formats)[0];
+
+        const modal = this.createModal(id, 'Download Chart', `
+            <form class="download-form">
+                <fieldset class="download-formats">
+                    <legend>Format</legend>
+                    ${Object.entries(formats).map(([format, { label }]) => `
+                        <label><input type="radio" name="format" value="${format}" ${format === selected ? 'checked' : ''}> ${label}</label>
+                    `).join('')}
+                </fieldset>
+                <label>Scale
+                    <select name="scale">
+                        ${[1, 2, 3, 4].map(scale => `<option value="${scale}" ${scale === 2 ? 'selected' : ''}>${scale}×</option>`).join('')}
+                    </select>
+                </label>
+                <div class="download-size">
+                    <label>Width (px)<input type="number" name="width" min="1" placeholder="auto"></label>
+                    <label>Height (px)<input type="number" name="height" min="1" placeholder="auto"></label>
+                </div>
+                <label class="download-check"><input type="checkbox" name="transparent"> Transparent background</label>
+                <label>File name
+                    <span class="download-filename">
+                        <input type="text" name="filename" value="${options.filename || 'chart'}">
+                        <span class="download-extension"></span>
+                    </span>
+                </label>
+                <div class="download-error"></div>
+            </form>
+        `, {
+            footer: '<button type="button" class="download-submit">Download</button>'
+        });
+
+        const form = modal.querySelector('.download-form');
+        const error = modal.querySelector('.download-error');
+        const sync = () => {
+            const format = form.elements.format.value;
+            form.elements.scale.disabled = !rasterFormats.includes(format);
+            ['width', 'height', 'transparent'].forEach(name => {
+                form.elements[name].disabled = !imageFormats.includes(format);
+            });
+            modal.querySelector('.download-extension').textContent = `.${format}`;
+        };
+
+        const submit = async () => {
+            const number = name => Number(form.elements[name].value) || null;
+            const format = form.elements.format.value;
+            const settings = {
+                format,
+                filename: `${form.elements.filename.value.trim() || 'chart'}.${format}`,
+                scale: Number(form.elements.scale.value),
+                transparent: form.elements.transparent.checked,
+                width: number('width'),
+                height: number('height')
+            };
+
+            error.textContent = '';
+            try {
+                if (options.onDownload) await options.onDownload(settings);
+                this.hideModal(id);
+            } catch (e) {
+                error.textContent = e.message;
+            }
+        };
+
+        form.addEventListener('change', sync);
+        form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            submit();
+        });
+        modal.querySelector('.download-submit').addEventListener('click', submit);
+        sync();
+
+        this.addDownloadDialogStyles();
+        return modal;
+    }
+
+    /**
+     * Add download dialog styles
+     */
+    addDownloadDialogStyles() {
+        if (document.getElementById('download-dialog-styles')) {
+            return;
+        }
+
+        const styles = document.createElement('style');
+        styles.id = 'download-dialog-styles';
+        styles.textContent = `
+            .download-form {
+                display: flex;
+                flex-direction: column;
+                gap: 0.75rem;
+                font-size: 0.9rem;
+                color: #333;
+            }
+
+            .download-form label {
+                display: flex;
+                flex-direction: column;
+                gap: 0.25rem;
+            }
+
+            .download-formats {
+                display: flex;
+                flex-wrap: wrap;
+                gap: 0.5rem 1rem;
+                border: 1px solid #e0e0e0;
+                border-radius: 6px;
+                padding: 0.5rem 0.75rem;
+            }
+
+            .download-formats label,
+            .download-form .download-check {
+                flex-direction: row;
+                align-items: center;
+                gap: 0.4rem;
+            }
+
+            .download-size {
+                display: flex;
+                gap: 0.75rem;
+            }
+
+            .download-size label {
+                flex: 1;
+            }
+
+            .download-form select,
+            .download-form input[type="number"],
+            .download-form input[type="text"] {
+                padding: 0.4rem;
+                border: 1px solid #ddd;
+                border-radius: 4px;
+                font-size: 0.85rem;
+            }
+
+            .download-filename {
+                display: flex;
+                align-items: center;
+                gap: 0.25rem;
+            }
+
+            .download-filename input {
+                flex: 1;
+            }
+
+            .download-extension {
+                color: #666;
+            }
+
+            .download-error {
+                color: #c62828;
+                font-size: 0.8rem;
+            }
+
+            .download-note {
+                color: #666;
+                font-size: 0.8rem;
+            }
+
+            .modal-footer {
+                display: flex;
+                justify-content: flex-end;
+                padding: 1rem 2rem;
+                border-top: 1px solid #eee;
+            }
+
+            .download-submit {
+                background: #4285f4;
+                color: white;
+                border: none;
+                padding: 0.5rem 1.25rem;
+                border-radius: 4px;
+                cursor: pointer;
+                font-size: 0.9rem;
+            }
+
+            .download-submit:hover {
+                background: #3367d6;
+            }
+        `;
+
+        document.head.appendChild(styles);
+    }
+
+    /**
+     * Modal for exporting a chart to use outside the builder: a standalone
+     * HTML file or an embed snippet, with the data inline or loaded from a
+     * URL. options: { libraryModes: { key: { label } }, dataURL, filename,
+     * onDownload(settings), onSnippet(settings) } where settings is
+     * { data: 'inline'|'url', dataURL, libraries, filename }; onSnippet
+     * returns the snippet and copies it if it can; the snippet is also shown
+     * for copying by hand. Errors are shown in the dialog.
+     */
+    createHTMLExportDialog(id, options = {}) {
+        const existing = this.modals.get(id);
+        if (existing) {
+            existing.remove();
+            this.modals.delete(id);
+        }
+
+        const libraryModes = options.libraryModes || {};
+
+        const modal = this.createModal(id, 'Export as HTML', `
+            <form class="download-form html-export-form">
+                <fieldset class="download-formats">
+                    <legend>Data</legend>
+                    <label><input type="radio" name="data" value="inline" checked> Inline in the page</label>
+                    <label><input type="radio" name="data" value="url" ${options.dataURL && !options.dataURLProblem ? '' : 'disabled'}> Loaded from a URL</label>
+                </fieldset>
+                <label>Data URL
+                    <input type="text" name="dataURL" value="${escapeHTML(options.dataURL || '')}" placeholder="https://example.com/data.csv"
+                        ${options.dataURLProblem ? 'disabled' : ''}>
+                </label>
+                ${options.dataURLProblem ? `<div class="download-note">${escapeHTML(options.dataURLProblem)}; the data can only be put inline.</div>` : ''}
+                <fieldset class="download-formats">
+                    <legend>Libraries</legend>
+                    ${Object.entries(libraryModes).map(([mode, { label }], i) => `
+                        <label><input type="radio" name="libraries" value="${mode}" ${i === 0 ? 'checked' : ''}> ${label}</label>
+                    `).join('')}
+                </fieldset>
+                <label>File name
+                    <span class="download-filename">
+                        <input type="text" name="filename" value="${options.filename || 'chart'}">
+                        <span class="download-extension">.html</span>
+                    </span>
+                </label>
+                <div class="html-export-snippet" style="display: none;">
+                    <label>Embed code
+                        <textarea name="snippet" rows="8" readonly></textarea>
+                    </label>
+                </div>
+                <div class="download-error"></div>
+            </form>
+        `, {
+            footer: `
+                <button type="button" class="download-submit html-export-snippet-btn">Embed code</button>
+                <button type="button" class="download-submit html-export-download-btn">Download HTML</button>
+            `
+        });
+
+        const form = modal.querySelector('.download-form');
+        const error = modal.querySelector('.download-error');
+        const snippetBox = modal.querySelector('.html-export-snippet');
+
+        // A URL typed in makes the URL option available, unless the rows
+        // can't come from a URL at all
+        const sync = () => {
+            const urlOption = form.querySelector('input[name="data"][value="url"]');
+            urlOption.disabled = Boolean(options.dataURLProblem) || !form.elements.dataURL.value.trim();
+            if (urlOption.disabled && urlOption.checked) {
+                form.querySelector('input[name="data"][value="inline"]').checked = true;
+            }
+        };
+        form.elements.dataURL.addEventListener('input', sync);
+
+        const read = () => ({
+            data: form.elements.data.value,
+            dataURL: form.elements.dataURL.value.trim(),
+            libraries: form.elements.libraries.value,
+            filename: `${form.elements.filename.value.trim() || 'chart'}.html`
+        });
+
+        const run = async (action) => {
+            error.textContent = '';
+            try {
+                await action(read());
+            } catch (e) {
+                error.textContent = e.message;
+            }
+        };
+
+        modal.querySelector('.html-export-download-btn').addEventListener('click', () => run(async (settings) => {
+            if (options.onDownload) await options.onDownload(settings);
+            this.hideModal(id);
+        }));
+
+        modal.querySelector('.html-export-snippet-btn').addEventListener('click', () => run(async (settings) => {
+            const snippet = options.onSnippet ? await options.onSnippet(settings) : '';
+            form.elements.snippet.value = snippet;
+            snippetBox.style.display = 'block';
+            form.elements.snippet.select();
+        }));
+
+        form.addEventListener('submit', (e) => e.preventDefault());
+
+        this.addDownloadDialogStyles();
+        this.addHTMLExportStyles();
+        return modal;
+    }
+
+    /**
+     * Add HTML export dialog styles
+     */
+    addHTMLExportStyles() {
+        if (document.getElementById('html-export-styles')) {
+            return;
+        }
+
+        const styles = document.createElement('style');
+        styles.id = 'html-export-styles';
+        styles.textContent = `
+            .html-export-form textarea {
+                font-family: monospace;
+                font-size: 0.75rem;
+                padding: 0.5rem;
+                border: 1px solid #ddd;
+                border-radius: 4px;
+                resize: vertical;
+            }
+
+            .modal-footer .html-export-snippet-btn {
+                background: white;
+                color: #4285f4;
+                border: 1px solid #4285f4;
+                margin-right: 0.5rem;
+            }
+
+            .modal-footer .html-export-snippet-btn:hover {
+                background: #f0f6ff;
+            }
+        `;
+
+        document.head.appendChild(styles);
+    }
 }
\ No newline at end of file
@@ -1,5 +1,6 @@
 import * as monaco from 'monaco-editor';
 import * as d3 from 'd3';
+import { takeHandoff } from './modules/sandbox-handoff.js';
 
 // Configure Monaco Editor with proper worker setup
 import editorWorker from 'monaco-editor/esm/vs/editor/editor.worker?worker';
@@ -56,8 +57,15 @@ class D3MonacoSandbox {
         await this.setupMonacoEditor();
         this.setupEventListeners();
         this.setupResizer();
-        this.loadTemplate('empty');
-        this.setStatus('Monaco Editor ready! Professional D3 coding environment loaded.');
+
+        // Code sent from the chart builder's "Open in sandbox" button
+        const handoff = takeHandoff('javascript');
+        if (handoff) {
+            this.loadHandoff(handoff);
+        } else {
+            this.loadTemplate('empty');
+            this.setStatus('Monaco Editor ready! Professional D3 coding environment loaded.');
+        }
     }
 
     /**
@@ -925,6 +933,16 @@ legend.append('text')
         }
     }
 
+    /**
+     * Load code generated by the chart builder
+     */
+    loadHandoff({ code, title }) {
+        this.editor.setValue(code);
+        this.currentTemplate.textContent = title || 'Chart Builder code';
+        this.debouncePreview();
+        this.setStatus('Loaded code from the Chart Builder');
+    }
+
     /**
      * Debounced preview update
      */
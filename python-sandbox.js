@@ -6,6 +6,14 @@ import jsonWorker from 'monaco-editor/esm/vs/language/json/json.worker?worker';
 import cssWorker from 'monaco-editor/esm/vs/language/css/css.worker?worker';
 import htmlWorker from 'monaco-editor/esm/vs/language/html/html.worker?worker';
 import tsWorker from 'monaco-editor/esm/vs/language/typescript/ts.worker?worker';
+import { takeHandoff } from './modules/sandbox-handoff.js';
+
+// Chart libraries installed from PyPI the first time code imports them,
+// pinned to releases that run on this Pyodide version (Python 3.11)
+const CHART_PACKAGES = {
+    altair: 'altair==5.1.2',
+    plotly: 'plotly==5.17.0'
+};
 
 self.MonacoEnvironment = {
     getWorker(_, label) {
@@ -55,6 +63,7 @@ class PythonPlayground {
         console.log('📚 Template keys:', Object.keys(this.templates));
         
         this.isLoading = false;
+        this.installedPackages = new Set();
         
         this.init();
     }
@@ -79,9 +88,16 @@ class PythonPlayground {
             this.setupResizer();
             console.log('✅ Resizer setup complete');
             
-            console.log('📄 Loading empty template...');
-            this.loadTemplate('empty');
-            console.log('✅ Empty template loaded');
+            // Code sent from the chart builder's "Open in sandbox" button
+            const handoff = takeHandoff('python');
+            if (handoff) {
+                console.log('📄 Loading code from the Chart Builder...');
+                this.loadHandoff(handoff);
+            } else {
+                console.log('📄 Loading empty template...');
+                this.loadTemplate('empty');
+                console.log('✅ Empty template loaded');
+            }
             
             console.log('🐍 Starting Pyodide setup in background...');
             // Setup Pyodide in background (don't block UI)
@@ -198,8 +214,9 @@ class PythonPlayground {
                 await this.pyodide.loadPackage([pkg]);
             }
             
-            // Note: Plotly and Altair are not available in Pyodide
-            // We use iframe-based rendering instead
+            // Plotly and Altair don't ship with Pyodide: the helpers below draw
+            // Plotly.js traces in iframes, and installChartPackages adds the
+            // Python libraries when code imports them
             this.setStatus('Configuring iframe-based Plotly solution...');
 
             // Set up matplotlib and browser-side plotly for web
@@ -353,6 +370,62 @@ def show_plotly_chart(traces, layout=None, title="Interactive Chart"):
     
     return create_plotly_iframe(traces, layout, title=title)
 
+def create_vega_iframe(spec, title="Altair Chart"):
+    """Create a complete HTML document drawing a Vega-Lite spec with Vega-Embed"""
+    spec_json = json.dumps(spec).replace('</', '<\\\\/')
+    html_content = f"""
+<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>{title}</title>
+    <script src="https://cdn.jsdelivr.net/npm/vega@5"></script>
+    <script src="https://cdn.jsdelivr.net/npm/vega-lite@5"></script>
+    <script src="https://cdn.jsdelivr.net/npm/vega-embed@6"></script>
+    <style>
+        body {{
+            margin: 0;
+            padding: 10px;
+            font-family: Arial, sans-serif;
+            background: white;
+        }}
+    </style>
+</head>
+<body>
+    <div id="vega-div"></div>
+    <script>
+        vegaEmbed('#vega-div', {spec_json})
+            .then(() => console.log('Vega chart rendered successfully'))
+            .catch(err => console.error('Vega-Embed error:', err));
+    </script>
+</body>
+</html>"""
+
+    # Shown in the output like the Plotly iframes
+    _plotly_htmls.append(html_content)
+    print("Altair chart iframe HTML created")
+    return len(_plotly_htmls) - 1
+
+def install_chart_hooks():
+    """Make chart.show() (Altair) and fig.show() (Plotly) draw into the output"""
+    import importlib.util
+
+    if importlib.util.find_spec('altair'):
+        import altair as alt
+        alt.TopLevelMixin.show = lambda self, *args, **kwargs: create_vega_iframe(self.to_dict())
+
+    if importlib.util.find_spec('plotly'):
+        from plotly.basedatatypes import BaseFigure
+
+        def show_figure(self, *args, **kwargs):
+            figure = json.loads(self.to_json())
+            layout = figure.get('layout', {})
+            title = layout.get('title', {}).get('text', '')
+            return create_plotly_iframe(figure.get('data', []), layout, title=title)
+
+        BaseFigure.show = show_figure
+
 def get_plotly_iframes():
     """Get all plotly iframe HTMLs and clear the list"""
     global _plotly_htmls
@@ -361,7 +434,7 @@ def get_plotly_iframes():
     return htmls if htmls else None
             `);
 
-            this.setStatus('Python environment ready! 🐍 (NumPy, Pandas, Matplotlib + Iframe Plotly)');
+            this.setStatus('Python environment ready! 🐍 (NumPy, Pandas, Matplotlib + Iframe Plotly; Altair and Plotly install on import)');
 
         } catch (error) {
             console.error('Failed to initialize Pyodide:', error);
@@ -1676,6 +1749,40 @@ print("✅ Plot functions initialized successfully")
         }
     }
 
+    /**
+     * Load code generated by the chart builder
+     */
+    loadHandoff({ code, title }) {
+        this.editor.setValue(code);
+        this.currentTemplate.textContent = title || 'Chart Builder code';
+        this.clearOutput();
+        this.hideError();
+        this.setStatus('Loaded code from the Chart Builder');
+    }
+
+    /**
+     * Install Altair or Plotly with micropip the first time code imports
+     * them, then route their show() to the output panel
+     */
+    async installChartPackages(code) {
+        const missing = Object.keys(CHART_PACKAGES).filter(name =>
+            !this.installedPackages.has(name) && new RegExp(`^\\s*(import|from)\\s+${name}\\b`, 'm').test(code));
+        if (missing.length === 0) return;
+
+        this.setStatus(`Installing ${missing.join(' and ')} from PyPI...`);
+        await this.pyodide.loadPackage('micropip');
+        const micropip = this.pyodide.pyimport('micropip');
+        try {
+            await micropip.install(missing.map(name => CHART_PACKAGES[name]));
+        } finally {
+            micropip.destroy();
+        }
+
+        missing.forEach(name => this.installedPackages.add(name));
+        this.pyodide.runPython('install_chart_hooks()');
+        this.setStatus('Running Python code...');
+    }
+
     /**
      * Run Python code
      */
@@ -1735,6 +1842,8 @@ print("✅ Plot functions initialized successfully")
         runBtn.textContent = '⏳ Running...';
 
         try {
+            await this.installChartPackages(code);
+
             // Capture stdout
             this.pyodide.runPython(`
 import sys
@@ -1793,7 +1902,9 @@ ${indentedCode}
                     
                     if (plotlyIframes && plotlyIframes.length > 0) {
                         console.log('📊 Capturing plotly iframes...');
-                        plotlyResult = plotlyIframes;
+                        // Python lists arrive as proxies; copy into a JS array
+                        plotlyResult = plotlyIframes.toJs();
+                        plotlyIframes.destroy();
                         console.log('📊 Plotly iframes captured, count:', plotlyResult.length);
                     }
                 } else {
@@ -1,5 +1,71 @@
 import { defineConfig } from 'vite'
 import { resolve } from 'path'
+import { readFileSync } from 'fs'
+
+// Local data endpoints for testing "Load from URL" without internet:
+//   /api/data/sales.csv   the bundled sales sample
+//   /api/data/sales.json  the same rows as JSON
+//   /api/data/live.json   sensor readings that change on every request (try a refresh interval)
+//   /api/data/live.csv    the same readings as CSV
+function mockDataApi() {
+  const salesCSV = () => readFileSync(resolve(__dirname, 'sample-data/sales.csv'), 'utf-8')
+
+  const salesJSON = () => {
+    const [header, ...lines] = salesCSV().trim().split(/\r?\n/)
+    const columns = header.split(',')
+    return lines.map(line => {
+      const values = line.split(',')
+      return Object.fromEntries(columns.map((column, i) => [column, isNaN(values[i]) ? values[i] : Number(values[i])]))
+    })
+  }
+
+  const liveReadings = () => {
+    const now = Date.now()
+    return Array.from({ length: 60 }, (_, i) => {
+      const minute = 59 - i
+      return ['north', 'south'].map((sensor, s) => ({
+        time: new Date(now - minute * 60000).toISOString(),
+        sensor,
+        temperature: Math.round((20 + s * 3 + 2 * Math.sin((now / 60000 - minute) / 8) + Math.random()) * 10) / 10
+      }))
+    }).flat()
+  }
+
+  const toCSV = rows => [Object.keys(rows[0]).join(','), ...rows.map(row => Object.values(row).join(','))].join('\n')
+
+  const endpoints = {
+    'sales.csv': () => ['text/csv', salesCSV()],
+    'sales.json': () => ['application/json', JSON.stringify(salesJSON())],
+    'live.json': () => ['application/json', JSON.stringify(liveReadings())],
+    'live.csv': () => ['text/csv', toCSV(liveReadings())]
+  }
+
+  const handler = (req, res) => {
+    const name = req.url.split('?')[0].replace(/^\//, '')
+    const endpoint = endpoints[name]
+    if (!endpoint) {
+      res.statusCode = 404
+      res.end(`Unknown data endpoint: ${name}. Available: ${Object.keys(endpoints).join(', ')}`)
+      return
+    }
+
+    const [contentType, body] = endpoint()
+    res.setHeader('Content-Type', `${contentType}; charset=utf-8`)
+    res.setHeader('Access-Control-Allow-Origin', '*')
+    res.setHeader('Cache-Control', 'no-store')
+    res.end(body)
+  }
+
+  return {
+    name: 'mock-data-api',
+    configureServer(server) {
+      server.middlewares.use('/api/data', handler)
+    },
+    configurePreviewServer(server) {
+      server.middlewares.use('/api/data', handler)
+    }
+  }
+}
 
 export default defineConfig({
   // Set the base path for GitHub Pages deployment
@@ -36,6 +102,11 @@ export default defineConfig({
     }
   },
   
+  // Bundle the data worker as an ES module so it can share chart builder modules
+  worker: {
+    format: 'es'
+  },
+  
   // Development server configuration
   server: {
     port: 4173,
@@ -49,6 +120,7 @@ export default defineConfig({
 
   // Copy additional directories to build output
   plugins: [
+    mockDataApi(),
     {
       name: 'copy-assets',
       generateBundle() {